@@ -0,0 +1,23 @@
+// Bakes the lighting presets into public/hdri/*.hdr
+//   npm run hdri
+// The output is committed, so this only needs re-running after a preset's
+// lights change in src/lib/lighting.js.
+
+import { mkdirSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { LIGHTING_PRESETS } from "../src/lib/lighting.js";
+import { encodeHDR, renderEquirect } from "../src/lib/hdri.js";
+
+const WIDTH = 512;
+const HEIGHT = 256;
+const publicDir = new URL("../public/", import.meta.url);
+
+mkdirSync(new URL("hdri/", publicDir), { recursive: true });
+
+for (const [id, preset] of Object.entries(LIGHTING_PRESETS)) {
+  const pixels = renderEquirect(preset, WIDTH, HEIGHT);
+  const bytes = encodeHDR(pixels, WIDTH, HEIGHT);
+  const file = new URL(preset.file.replace(/^\//, ""), publicDir);
+  writeFileSync(file, bytes);
+  console.log(`${id}: ${fileURLToPath(file)} (${(bytes.length / 1024).toFixed(1)} KB)`);
+}
@@ -1,12 +1,28 @@
-import { Suspense } from "react";
+import { Suspense, useCallback, useState } from "react";
+import { useGLTF } from "@react-three/drei";
 import Experience from "./components/Experience";
+import LoadingScreen, { LoadErrorBoundary } from "./components/LoadingScreen";
+import { MODEL_PATH } from "./components/Playstation";
 import "./App.css";
 
 function App() {
+  // Bumped by RETRY: a new boundary and a fresh load of the scene
+  const [attempt, setAttempt] = useState(0);
+
+  // Failed loads stay cached (useGLTF keeps the error): forget the model
+  // so mounting the scene again fetches it again. A failed catalog load
+  // forgets itself (lib/catalog.js).
+  const handleRetry = useCallback(() => {
+    useGLTF.clear(MODEL_PATH);
+    setAttempt((n) => n + 1);
+  }, []);
+
   return (
-    <Suspense fallback={<div style={{ width: "100vw", height: "100vh", background: "#ffffff" }} />}>
-      <Experience />
-    </Suspense>
+    <LoadErrorBoundary key={attempt} onRetry={handleRetry}>
+      <Suspense fallback={<LoadingScreen />}>
+        <Experience />
+      </Suspense>
+    </LoadErrorBoundary>
   );
 }
 
@@ -0,0 +1,221 @@
+import { useState } from "react";
+import { captureKeyframe, exportSequence } from "../lib/cameraPaths";
+
+/* ═══════════════════════════════════════════════════════════════════
+   CameraPathEditor – authoring overlay (P key): capture the camera as
+   keyframes, tune each segment, preview it and export the JSON for
+   CAMERA_SEQUENCES (see lib/cameraPaths.js)
+   ═══════════════════════════════════════════════════════════════════ */
+
+const EASES = [
+  "none",
+  "sine.inOut",
+  "power1.inOut",
+  "power2.in",
+  "power2.out",
+  "power2.inOut",
+  "power3.inOut",
+];
+
+export default function CameraPathEditor({ controlsRef, onPreview, onStop }) {
+  const [keyframes, setKeyframes] = useState([]);
+  const [loop, setLoop] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const handleCapture = () => {
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const camera = controls.object;
+    setKeyframes((list) => [
+      ...list,
+      captureKeyframe({
+        position: camera.position.toArray(),
+        target: controls.target.toArray(),
+        fov: camera.fov,
+      }),
+    ]);
+  };
+
+  const handleChange = (index, patch) => {
+    setKeyframes((list) =>
+      list.map((kf, i) => (i === index ? { ...kf, ...patch } : kf)),
+    );
+  };
+
+  const handleRemove = (index) => {
+    setKeyframes((list) => list.filter((_, i) => i !== index));
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exportSequence(keyframes, { loop }));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.warn(`[camera paths] Could not copy to the clipboard: ${err.message}`);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([exportSequence(keyframes, { loop })], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "camera-path.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const containerStyle = {
+    position: "fixed",
+    left: 16,
+    top: 16,
+    zIndex: 100,
+    width: 300,
+    maxWidth: "calc(100vw - 32px)",
+    maxHeight: "calc(100vh - 32px)",
+    overflowY: "auto",
+    boxSizing: "border-box",
+    padding: "8px 10px",
+    background: "rgba(8,8,8,0.85)",
+    border: "1px solid #1a1a1a",
+    borderRadius: 3,
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 10,
+    color: "#ccc",
+    letterSpacing: 0.5,
+    userSelect: "none",
+  };
+
+  const titleStyle = {
+    color: "#ff3333",
+    letterSpacing: 2,
+    marginBottom: 6,
+    textShadow: "0 0 6px rgba(255,51,51,0.5)",
+  };
+
+  const rowStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 4,
+  };
+
+  const buttonStyle = {
+    padding: "3px 8px",
+    background: "#1a1a1a",
+    border: "1px solid #333",
+    borderRadius: 2,
+    color: "#ccc",
+    fontFamily: "inherit",
+    fontSize: 10,
+    letterSpacing: 1.5,
+    cursor: "pointer",
+  };
+
+  const fieldStyle = {
+    background: "#111",
+    border: "1px solid #333",
+    borderRadius: 2,
+    color: "#ccc",
+    fontFamily: "inherit",
+    fontSize: 10,
+  };
+
+  const empty = keyframes.length === 0;
+
+  return (
+    <div
+      style={containerStyle}
+      role="dialog"
+      aria-label="Camera path editor"
+      data-testid="camera-path-editor"
+      // Typing a duration must not trigger the scene's shortcuts
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <div style={titleStyle}>CAMERA PATH</div>
+
+      {keyframes.map((kf, i) => (
+        <div key={i} style={rowStyle}>
+          <span style={{ minWidth: 18, color: "#888" }}>{i + 1}</span>
+          <input
+            type="number"
+            min={0}
+            step={0.1}
+            value={kf.duration}
+            aria-label={`Keyframe ${i + 1} duration (s)`}
+            style={{ ...fieldStyle, width: 44 }}
+            onChange={(e) =>
+              handleChange(i, { duration: Math.max(0, Number(e.target.value)) })
+            }
+          />
+          <select
+            value={kf.ease}
+            aria-label={`Keyframe ${i + 1} ease`}
+            style={{ ...fieldStyle, flex: 1 }}
+            onChange={(e) => handleChange(i, { ease: e.target.value })}
+          >
+            {EASES.map((ease) => (
+              <option key={ease} value={ease}>
+                {ease}
+              </option>
+            ))}
+          </select>
+          <button
+            style={buttonStyle}
+            aria-label={`Remove keyframe ${i + 1}`}
+            onClick={() => handleRemove(i)}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      {empty && (
+        <div style={{ color: "#888", marginBottom: 4 }}>
+          Orbit to a view and capture it.
+        </div>
+      )}
+
+      <div style={{ ...rowStyle, flexWrap: "wrap", marginTop: 6 }}>
+        <button style={buttonStyle} onClick={handleCapture}>
+          CAPTURE
+        </button>
+        <button
+          style={buttonStyle}
+          disabled={empty}
+          onClick={() => onPreview({ keyframes, loop })}
+        >
+          PLAY
+        </button>
+        <button style={buttonStyle} onClick={onStop}>
+          STOP
+        </button>
+        <label style={rowStyle}>
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => setLoop(e.target.checked)}
+          />
+          LOOP
+        </label>
+      </div>
+      <div style={{ ...rowStyle, flexWrap: "wrap" }}>
+        <button style={buttonStyle} disabled={empty} onClick={handleCopy}>
+          {copied ? "COPIED" : "COPY JSON"}
+        </button>
+        <button style={buttonStyle} disabled={empty} onClick={handleDownload}>
+          DOWNLOAD
+        </button>
+        <button
+          style={buttonStyle}
+          disabled={empty}
+          onClick={() => setKeyframes([])}
+        >
+          CLEAR
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+/* ═══════════════════════════════════════════════════════════════════
+   CatalogNotice – problems found in public/videos.json while some
+   entries still play (invalid entries skipped, files missing). With
+   nothing playable, the loading screen shows NO SIGNAL and RETRY instead.
+   ═══════════════════════════════════════════════════════════════════ */
+
+export default function CatalogNotice({ errors, onDismiss }) {
+  const containerStyle = {
+    position: "fixed",
+    top: 16,
+    right: 16,
+    zIndex: 150,
+    width: "min(420px, calc(100vw - 32px))",
+    maxHeight: "40vh",
+    overflow: "auto",
+    boxSizing: "border-box",
+    padding: "10px 12px",
+    background: "rgba(8,8,8,0.85)",
+    border: "1px solid #1a1a1a",
+    borderRadius: 3,
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 11,
+    color: "#ccc",
+    letterSpacing: 0.5,
+  };
+
+  const headerStyle = {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 6,
+  };
+
+  const titleStyle = {
+    color: "#ff3333",
+    letterSpacing: 2,
+    textShadow: "0 0 6px rgba(255,51,51,0.5)",
+  };
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    background: "#1a1a1a",
+    border: "1px solid #333",
+    borderRadius: 2,
+    color: "#ccc",
+    fontFamily: "inherit",
+    fontSize: 10,
+    letterSpacing: 1.5,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={containerStyle}
+      role="region"
+      aria-label="Video catalog problems"
+      data-testid="catalog-notice"
+    >
+      <div style={headerStyle}>
+        <span style={titleStyle}>CATALOG ERRORS</span>
+        <button style={buttonStyle} onClick={onDismiss}>
+          DISMISS
+        </button>
+      </div>
+      <ul style={{ margin: 0, paddingLeft: 16, lineHeight: 1.5 }}>
+        {errors.map((message) => (
+          <li key={message}>{message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
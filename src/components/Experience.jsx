@@ -5,45 +5,116 @@ import {
   useEffect,
   Suspense,
   memo,
+  use,
+  useMemo,
+  useSyncExternalStore,
 } from "react";
-import { Canvas, useThree } from "@react-three/fiber";
+import {
+  Canvas,
+  addEffect,
+  addTail,
+  useThree,
+  useFrame,
+} from "@react-three/fiber";
 import {
   OrbitControls,
-  Environment,
   ContactShadows,
   useVideoTexture,
   Html,
 } from "@react-three/drei";
 import * as THREE from "three";
+import { EffectComposer, Bloom } from "@react-three/postprocessing";
 import gsap from "gsap";
 import Playstation from "./Playstation";
 import VideoControls from "./VideoControls";
-
-// Available videos (WebM in public/)
-export const VIDEOS = [
-  {
-    id: "crash",
-    label: "Crash Team Racing",
-    src: "/crash-team-racing.webm",
-    cover: "/cover-crash.webp",
-  },
-  {
-    id: "harryp",
-    label: "Harry Potter",
-    src: "/harryp.webm",
-    cover: "/cover-harryp.webp",
-  },
-  {
-    id: "winning",
-    label: "Winning Eleven",
-    src: "/winning-eleven.webm",
-    cover: "/cover-winning.webp",
-  },
-];
+import { loadCatalog } from "../lib/catalog";
+import {
+  DEFAULT_CRT_PRESET,
+  resolveCrtSettings,
+  nextCrtPreset,
+} from "../lib/crtShader";
+import { readUrlState, writeUrlState } from "../lib/urlState";
+import { createSceneMachine } from "../lib/sceneMachine";
+import {
+  BOOT_SPLASH_DURATION,
+  BOOT_CHIME_AT,
+  getBootSplashTexture,
+  createBootSequence,
+  isBootSkip,
+  playBootChime,
+} from "../lib/bootSplash";
+import { getAudioContext } from "../lib/audio";
+import { createTrackingLayer } from "../lib/tracking";
+import {
+  captionTextAt,
+  createCaptionLayer,
+  loadCaptions,
+} from "../lib/captions";
+import {
+  EMBED_COMMANDS,
+  createEventBus,
+  createEmbedApi,
+  installEmbedApi,
+  parseAllowedOrigins,
+} from "../lib/embedApi";
+import SceneDebugOverlay from "./SceneDebugOverlay";
+import CameraPathEditor from "./CameraPathEditor";
+import GamepadController from "./GamepadController";
+import GamepadLegend from "./GamepadLegend";
+import Lighting from "./Lighting";
+import { DEFAULT_LIGHTING, nextLighting } from "../lib/lighting";
+import {
+  clearPreferences,
+  loadPreferences,
+  resetAllPreferences,
+  resumeOffer,
+  resumePoint,
+  updatePreferences,
+} from "../lib/preferences";
+import ResumePrompt from "./ResumePrompt";
+import CatalogNotice from "./CatalogNotice";
+import {
+  COMPACT_QUERY,
+  aspectDistanceScale,
+  createSwipeTracker,
+  scaledPosition,
+} from "../lib/mobile";
+import { closeupFraming } from "../lib/framing";
+import {
+  DEFAULT_PLAYBACK_MODE,
+  createPlaylist,
+  nextPlaybackMode,
+  startedVideo,
+  toggleQueued,
+  upNext,
+} from "../lib/playlist";
+import {
+  ACTIVE,
+  createInactivityManager,
+  watchActivity,
+} from "../lib/inactivity";
+import {
+  CAMERA_SEQUENCES,
+  createCameraPath,
+  resolveKeyframes,
+} from "../lib/cameraPaths";
+import { createTvAudio } from "../lib/tvAudio";
+import { DEFAULT_UI_VOLUME, createFoley } from "../lib/foley";
+import {
+  DEFAULT_QUALITY_MODE,
+  QUALITY_TIERS,
+  createQualityGovernor,
+  nextQualityMode,
+} from "../lib/quality";
+import { createRenderStats } from "../lib/renderStats";
 
 // Default video index
-const DEFAULT_VIDEO_INDEX = 0; // Crash Team Racing
+const DEFAULT_VIDEO_INDEX = 0; // First entry of public/videos.json
 const ACTION_LAYOUTS = ["rightTransport", "topRightPair", "bottomActionRow"];
+const NO_CAPTIONS = []; // stable fallback for videos without caption tracks
+// Parent pages allowed to drive the iframe (build-time, comma-separated);
+// unset, only pages on the showcase's own origin. "*" allows any site.
+const EMBED_ORIGINS = parseAllowedOrigins(import.meta.env.VITE_EMBED_ORIGINS);
 
 /* ═══════════════════════════════════════════════════════════════════
    TWEAKABLE VALUES
@@ -56,10 +127,32 @@ const INITIAL_CAMERA = {
 };
 
 const CLOSEUP_FOV = 35;
-const CLOSEUP_DISTANCE = 2.5;
-
-const ANIM_DURATION = 2.2;
-const ANIM_EASE = "power2.inOut";
+// Free space around the TV screen in the close-up, per side (see
+// lib/framing.js): 0.35 has the screen fill the middle 30%, roughly the
+// old fixed 2.5-unit close-up
+const CLOSEUP_MARGIN = 0.35;
+// Re-framing the close-up after a resize / rotation
+const REFRAME_DURATION = 0.6;
+
+// Zoom / pinch limits (the portrait close-up backs off to ~6)
+const MIN_ORBIT_DISTANCE = 1.2;
+const MAX_ORBIT_DISTANCE = 12;
+// In the close-up one finger is free for swipes (channel / seek)
+const ORBIT_TOUCHES = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+const CLOSEUP_TOUCHES = { ONE: null, TWO: THREE.TOUCH.DOLLY_ROTATE };
+
+// Camera moves are keyframe sequences in lib/cameraPaths.js; the day ↔
+// night fade is spread over the whole zoom with this ease
+const FADE_EASE = "power2.inOut";
+
+// Idle time (ms) before the "PRESS START" hint
+const HINT_DELAY = 20000;
+// Attract mode (kiosks, ?attract): orbit while the lid closes and
+// reopens, then one muted trailer in the close-up, then back out
+const ATTRACT_ORBIT_TIME = 20000;
+const ATTRACT_LID_CLOSE_AT = 6000;
+const ATTRACT_LID_OPEN_AT = 12000;
+const ATTRACT_TRAILER_TIME = 30000;
 
 const BG_DAY = new THREE.Color("#dbdbdf");
 const BG_NIGHT = new THREE.Color("#120E1A");
@@ -70,14 +163,28 @@ const BG_NIGHT = new THREE.Color("#120E1A");
 const CameraAnimator = memo(function CameraAnimator({
   zoomTrigger,
   zoomOutTrigger = 0,
-  screenCenterRef,
+  homeTrigger = 0,
+  turntable = false,
+  pathPreview = null,
+  screenBoxRef,
   controlsRef,
+  nightRef,
   onZoomComplete,
   onZoomOutComplete,
 }) {
-  const { camera, scene } = useThree();
+  const { camera, scene, size, invalidate } = useThree();
   const tweenRef = useRef(null);
   const savedUpdateRef = useRef(null);
+  // Where the playing path is looking (OrbitControls' target is parked)
+  const pathTargetRef = useRef(new THREE.Vector3());
+  // Portrait / narrow windows back the camera off (see lib/mobile.js)
+  const aspect = size.width / size.height;
+  const aspectRef = useRef(aspect);
+  const distanceScale = aspectDistanceScale(aspect);
+  // True from the start of a zoom-in until a zoom-out starts
+  const closeupRef = useRef(false);
+  // Aspect the settled close-up is framed for (null while not settled)
+  const framedAspectRef = useRef(null);
 
   // Store callbacks in refs so they never trigger effect re-runs.
   // Without this, changing videoSrc/currentVideoIndex would recreate
@@ -89,90 +196,231 @@ const CameraAnimator = memo(function CameraAnimator({
   onZoomOutCompleteRef.current = onZoomOutComplete;
 
   useEffect(() => {
-    if (controlsRef.current) {
-      controlsRef.current.target.set(...INITIAL_CAMERA.target);
-      controlsRef.current.update();
+    aspectRef.current = aspect;
+  }, [aspect]);
+
+  // Initial view, re-framed when the window changes shape while idle
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!controls || closeupRef.current || tweenRef.current) return;
+    controls.object.position.set(
+      ...scaledPosition(INITIAL_CAMERA.position, INITIAL_CAMERA.target, distanceScale),
+    );
+    controls.target.set(...INITIAL_CAMERA.target);
+    controls.update();
+  }, [controlsRef, distanceScale]);
+
+  // Paths own the camera: OrbitControls' update() is parked (kept only
+  // once, so a path interrupting another can't park the no-op instead)
+  const freezeControls = useCallback((controls) => {
+    controls.enabled = false;
+    if (!savedUpdateRef.current) {
+      savedUpdateRef.current = controls.update.bind(controls);
+    }
+    controls.update = () => {};
+  }, []);
+
+  // Hands the camera back to OrbitControls, aimed where the path left it
+  const releaseControls = useCallback((controls) => {
+    if (!savedUpdateRef.current) return;
+    controls.update = savedUpdateRef.current;
+    savedUpdateRef.current = null;
+    controls.target.copy(pathTargetRef.current);
+    controls.update();
+  }, []);
+
+  // Stops whatever path is playing (effect cleanups, interruptions)
+  const stopPath = useCallback(() => {
+    if (tweenRef.current) {
+      tweenRef.current.kill();
+      tweenRef.current = null;
+    }
+    const controls = controlsRef.current;
+    if (controls && savedUpdateRef.current) {
+      releaseControls(controls);
+      controls.enabled = true;
     }
-  }, [controlsRef]);
+  }, [controlsRef, releaseControls]);
+
+  // The camera as a keyframe / the "current" anchor (lib/cameraPaths.js)
+  const currentView = useCallback(
+    () => ({
+      position: camera.position.toArray(),
+      target: controlsRef.current.target.toArray(),
+      fov: camera.fov,
+    }),
+    [camera, controlsRef],
+  );
+
+  // The "home" anchor: the initial view, backed off for narrow windows
+  const homeView = useCallback(
+    () => ({
+      ...INITIAL_CAMERA,
+      position: scaledPosition(
+        INITIAL_CAMERA.position,
+        INITIAL_CAMERA.target,
+        aspectDistanceScale(aspectRef.current),
+      ),
+    }),
+    [],
+  );
+
+  // ── Path playback: the camera follows resolved keyframes ─────────────
+  // onProgress(0..1) runs on every update. A path's onComplete may start
+  // the next one; otherwise the controls are handed back.
+  const playPath = useCallback(
+    (keyframes, { loop = false, onProgress, onComplete } = {}) => {
+      const controls = controlsRef.current;
+      const camera = controls.object;
+      if (tweenRef.current) tweenRef.current.kill();
+      freezeControls(controls);
+
+      const path = createCameraPath(keyframes, {
+        closed: loop,
+        ease: gsap.parseEase,
+      });
+      const clock = { time: 0 };
+      const apply = () => {
+        const { position, target, fov } = path.sample(clock.time);
+        camera.position.set(...position);
+        pathTargetRef.current.set(...target);
+        camera.lookAt(pathTargetRef.current);
+        camera.fov = fov;
+        camera.updateProjectionMatrix();
+        onProgress?.(path.duration > 0 ? clock.time / path.duration : 1);
+        // The loop renders on demand: every tween step asks for a frame
+        invalidate();
+      };
+
+      apply();
+      tweenRef.current = gsap.to(clock, {
+        time: path.duration,
+        duration: path.duration,
+        ease: "none",
+        repeat: loop ? -1 : 0,
+        onUpdate: apply,
+        onComplete: () => {
+          apply();
+          tweenRef.current = null;
+          onComplete?.();
+          if (tweenRef.current) return;
+          releaseControls(controls);
+          requestAnimationFrame(() => {
+            controls.enabled = true;
+          });
+        },
+      });
+    },
+    [controlsRef, freezeControls, releaseControls, invalidate],
+  );
+
+  // Lead-in (a { duration, ease }) from wherever the camera is to the
+  // first keyframe, then round the closed loop
+  const playLoop = useCallback(
+    (keyframes, leadIn) => {
+      const [first] = keyframes;
+      playPath(
+        [currentView(), { ...first, duration: leadIn.duration, ease: leadIn.ease }],
+        { onComplete: () => playPath(keyframes, { loop: true }) },
+      );
+    },
+    [playPath, currentView],
+  );
+
+  // ── Re-frame: the window changed shape while in the close-up ─────────
+  const reframe = useCallback(() => {
+    const controls = controlsRef.current;
+    const box = screenBoxRef.current;
+    const framedAspect = framedAspectRef.current;
+    if (!controls || !box || framedAspect === null) return;
+    if (framedAspect === aspectRef.current) return;
+    framedAspectRef.current = aspectRef.current;
+
+    // A resize mid re-frame restarts it from wherever the camera is
+    stopPath();
+
+    const framing = closeupFraming(box, aspectRef.current, {
+      fov: CLOSEUP_FOV,
+      margin: CLOSEUP_MARGIN,
+    });
+    playPath([
+      currentView(),
+      {
+        position: framing.position,
+        target: framing.target,
+        fov: CLOSEUP_FOV,
+        duration: REFRAME_DURATION,
+        ease: "power2.out",
+      },
+    ]);
+  }, [controlsRef, screenBoxRef, stopPath, playPath, currentView]);
+
+  useEffect(() => {
+    reframe();
+  }, [aspect, reframe]);
 
   // ── Zoom-in: camera → TV screen, bg → night ──────────────────────────
   useEffect(() => {
     if (zoomTrigger === 0) return;
-    if (!screenCenterRef.current) return;
+    if (!screenBoxRef.current) return;
 
     const controls = controlsRef.current;
     if (!controls) return;
 
-    if (tweenRef.current) tweenRef.current.kill();
+    stopPath();
 
-    const startPos = camera.position.clone();
-    const startTarget = controls.target.clone();
-    const startFov = camera.fov;
-
-    const screenCenter = screenCenterRef.current;
-    const endPos = new THREE.Vector3(
-      screenCenter.x,
-      screenCenter.y + 0.03,
-      screenCenter.z + CLOSEUP_DISTANCE,
-    );
-    const endTarget = screenCenter.clone();
+    const framedAspect = aspectRef.current;
+    const framing = closeupFraming(screenBoxRef.current, framedAspect, {
+      fov: CLOSEUP_FOV,
+      margin: CLOSEUP_MARGIN,
+    });
+    const keyframes = resolveKeyframes(CAMERA_SEQUENCES.zoomIn.keyframes, {
+      current: currentView(),
+      closeup: {
+        position: framing.position,
+        target: framing.target,
+        fov: CLOSEUP_FOV,
+      },
+    });
 
-    controls.enabled = false;
-    savedUpdateRef.current = controls.update.bind(controls);
-    controls.update = () => {};
+    closeupRef.current = true;
+    framedAspectRef.current = null;
 
-    const lerpTarget = new THREE.Vector3();
-    const progress = { value: 0 };
+    const fade = gsap.parseEase(FADE_EASE);
     const startBg = scene.background
       ? scene.background.clone()
       : BG_DAY.clone();
+    const startNight = nightRef.current;
 
-    tweenRef.current = gsap.to(progress, {
-      value: 1,
-      duration: ANIM_DURATION,
-      ease: ANIM_EASE,
-      onUpdate: () => {
-        const t = progress.value;
-        camera.position.lerpVectors(startPos, endPos, t);
-        lerpTarget.lerpVectors(startTarget, endTarget, t);
-        camera.lookAt(lerpTarget);
-        camera.fov = THREE.MathUtils.lerp(startFov, CLOSEUP_FOV, t);
-        camera.updateProjectionMatrix();
+    playPath(keyframes, {
+      onProgress: (progress) => {
+        const t = fade(progress);
         if (scene.background) {
           scene.background.copy(startBg).lerp(BG_NIGHT, t);
         }
+        nightRef.current = THREE.MathUtils.lerp(startNight, 1, t);
       },
       onComplete: () => {
-        camera.position.copy(endPos);
-        camera.lookAt(endTarget);
-        camera.fov = CLOSEUP_FOV;
-        camera.updateProjectionMatrix();
-        if (scene.background) scene.background.copy(BG_NIGHT);
-
-        controls.update = savedUpdateRef.current;
-        savedUpdateRef.current = null;
-        controls.target.copy(endTarget);
-        controls.update();
-        requestAnimationFrame(() => {
-          controls.enabled = true;
-        });
-
         onZoomCompleteRef.current?.();
+
+        // Resized during the zoom: settle on the new shape
+        framedAspectRef.current = framedAspect;
+        reframe();
       },
     });
 
-    return () => {
-      if (tweenRef.current) {
-        tweenRef.current.kill();
-        tweenRef.current = null;
-      }
-      if (savedUpdateRef.current && controls) {
-        controls.update = savedUpdateRef.current;
-        savedUpdateRef.current = null;
-        controls.enabled = true;
-      }
-    };
-  }, [zoomTrigger, screenCenterRef, controlsRef, camera, scene]);
+    return stopPath;
+  }, [
+    zoomTrigger,
+    screenBoxRef,
+    controlsRef,
+    nightRef,
+    scene,
+    reframe,
+    stopPath,
+    playPath,
+    currentView,
+  ]);
 
   // ── Zoom-out (reverse): camera → initial position, bg → day ──────────
   useEffect(() => {
@@ -181,71 +429,90 @@ const CameraAnimator = memo(function CameraAnimator({
     const controls = controlsRef.current;
     if (!controls) return;
 
-    if (tweenRef.current) tweenRef.current.kill();
-
-    const startPos = camera.position.clone();
-    const startTarget = controls.target.clone();
-    const startFov = camera.fov;
+    stopPath();
 
-    const endPos = new THREE.Vector3(...INITIAL_CAMERA.position);
-    const endTarget = new THREE.Vector3(...INITIAL_CAMERA.target);
+    const keyframes = resolveKeyframes(CAMERA_SEQUENCES.zoomOut.keyframes, {
+      current: currentView(),
+      home: homeView(),
+    });
 
-    controls.enabled = false;
-    savedUpdateRef.current = controls.update.bind(controls);
-    controls.update = () => {};
+    closeupRef.current = false;
+    framedAspectRef.current = null;
 
-    const lerpTarget = new THREE.Vector3();
-    const progress = { value: 0 };
+    const fade = gsap.parseEase(FADE_EASE);
     const startBg = scene.background
       ? scene.background.clone()
       : BG_NIGHT.clone();
+    const startNight = nightRef.current;
 
-    tweenRef.current = gsap.to(progress, {
-      value: 1,
-      duration: ANIM_DURATION,
-      ease: ANIM_EASE,
-      onUpdate: () => {
-        const t = progress.value;
-        camera.position.lerpVectors(startPos, endPos, t);
-        lerpTarget.lerpVectors(startTarget, endTarget, t);
-        camera.lookAt(lerpTarget);
-        camera.fov = THREE.MathUtils.lerp(startFov, INITIAL_CAMERA.fov, t);
-        camera.updateProjectionMatrix();
+    playPath(keyframes, {
+      onProgress: (progress) => {
+        const t = fade(progress);
         if (scene.background) {
           scene.background.copy(startBg).lerp(BG_DAY, t);
         }
+        nightRef.current = THREE.MathUtils.lerp(startNight, 0, t);
       },
-      onComplete: () => {
-        camera.position.copy(endPos);
-        camera.lookAt(endTarget);
-        camera.fov = INITIAL_CAMERA.fov;
-        camera.updateProjectionMatrix();
-        if (scene.background) scene.background.copy(BG_DAY);
+      onComplete: () => onZoomOutCompleteRef.current?.(),
+    });
 
-        controls.update = savedUpdateRef.current;
-        savedUpdateRef.current = null;
-        controls.target.copy(endTarget);
-        controls.update();
-        requestAnimationFrame(() => {
-          controls.enabled = true;
-        });
+    return stopPath;
+  }, [
+    zoomOutTrigger,
+    controlsRef,
+    nightRef,
+    scene,
+    stopPath,
+    playPath,
+    currentView,
+    homeView,
+  ]);
+
+  // ── Home: back to the initial view, no fades (attract mode ended) ────
+  useEffect(() => {
+    if (homeTrigger === 0 || !controlsRef.current) return;
+    stopPath();
+
+    playPath(
+      resolveKeyframes(CAMERA_SEQUENCES.home.keyframes, {
+        current: currentView(),
+        home: homeView(),
+      }),
+    );
 
-        onZoomOutCompleteRef.current?.();
-      },
-    });
+    return stopPath;
+  }, [homeTrigger, controlsRef, stopPath, playPath, currentView, homeView]);
 
-    return () => {
-      if (tweenRef.current) {
-        tweenRef.current.kill();
-        tweenRef.current = null;
-      }
-      if (savedUpdateRef.current && controls) {
-        controls.update = savedUpdateRef.current;
-        savedUpdateRef.current = null;
-        controls.enabled = true;
-      }
-    };
-  }, [zoomOutTrigger, controlsRef, camera, scene]);
+  // ── Turntable: slow orbit round the console while idle ───────────────
+  useEffect(() => {
+    if (!turntable || !controlsRef.current) return;
+    stopPath();
+
+    const { keyframes, leadIn } = CAMERA_SEQUENCES.turntable;
+    const scale = aspectDistanceScale(aspectRef.current);
+    const orbit = resolveKeyframes(keyframes, {}).map((kf) => ({
+      ...kf,
+      position: scaledPosition(kf.position, kf.target, scale),
+    }));
+    playLoop(orbit, leadIn);
+
+    return stopPath;
+  }, [turntable, controlsRef, stopPath, playLoop]);
+
+  // ── Path editor preview (CameraPathEditor) ───────────────────────────
+  useEffect(() => {
+    if (!pathPreview || !controlsRef.current) return;
+    stopPath();
+
+    const keyframes = resolveKeyframes(pathPreview.keyframes, {});
+    if (pathPreview.loop && keyframes.length > 1) {
+      playLoop(keyframes, keyframes[0]);
+    } else {
+      playPath([currentView(), ...keyframes]);
+    }
+
+    return stopPath;
+  }, [pathPreview, controlsRef, stopPath, playPath, playLoop, currentView]);
 
   return null;
 });
@@ -253,42 +520,296 @@ const CameraAnimator = memo(function CameraAnimator({
 /* ═══════════════════════════════════════════════════════════════════
    VideoTextureLoader
    ═══════════════════════════════════════════════════════════════════ */
-function VideoTextureLoader({ src, onReady }) {
+// drei's onVideoFrame needs requestVideoFrameCallback; without it (older
+// Firefox) the loader keeps the loop running while the video plays
+const HAS_VIDEO_FRAME_CALLBACK =
+  typeof HTMLVideoElement !== "undefined" &&
+  "requestVideoFrameCallback" in HTMLVideoElement.prototype;
+
+function VideoTextureLoader({ src, channel, onReady, onError }) {
+  const invalidate = useThree((state) => state.invalidate);
+  // Stable, or drei re-registers the frame callback on every render
+  const handleVideoFrame = useCallback(() => invalidate(), [invalidate]);
+  const handleError = useCallback(() => onError(channel), [onError, channel]);
   const texture = useVideoTexture(src, {
     unsuspend: "loadedmetadata",
     start: false,
     muted: false,
     loop: false,
     crossOrigin: "anonymous",
+    // requestVideoFrameCallback: one render per decoded frame, none while
+    // paused (seeks while paused present a frame too)
+    onVideoFrame: handleVideoFrame,
+    // Spread onto the <video>: drei keeps suspending when it fails to load
+    onerror: handleError,
   });
 
   useEffect(() => {
-    onReady(texture);
-  }, [texture, onReady]);
+    onReady(texture, channel);
+  }, [texture, channel, onReady]);
+
+  // Fallback: wake the loop on play / seek, then render every frame
+  // until the video pauses
+  useEffect(() => {
+    if (HAS_VIDEO_FRAME_CALLBACK) return;
+    const video = texture.image;
+    video.addEventListener("play", handleVideoFrame);
+    video.addEventListener("seeked", handleVideoFrame);
+    return () => {
+      video.removeEventListener("play", handleVideoFrame);
+      video.removeEventListener("seeked", handleVideoFrame);
+    };
+  }, [texture, handleVideoFrame]);
+
+  useFrame((state) => {
+    if (!HAS_VIDEO_FRAME_CALLBACK && !texture.image.paused) state.invalidate();
+  });
 
   return null;
 }
 
+/* ═══════════════════════════════════════════════════════════════════
+   TrackingPlayer – Suspense fallback while VideoTextureLoader fetches
+   the next video: the VCR's "TRACKING..." display over the static
+   ═══════════════════════════════════════════════════════════════════ */
+function TrackingPlayer({ layer, onChange }) {
+  useEffect(() => {
+    layer.reset();
+    onChange(true);
+    return () => onChange(false);
+  }, [layer, onChange]);
+
+  useFrame((state, delta) => {
+    layer.advance(delta);
+    state.invalidate();
+  });
+
+  return null;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   FrameMeter – counts rendered frames (lib/renderStats.js) and hands
+   frame times to the quality governor. The loop renders on demand, so
+   the first frame after a quiet spell isn't timed, and the spell is
+   taken out of the clock (delta and elapsedTime): animations pick up
+   where they were instead of jumping ahead by the time nothing was
+   rendered.
+   ═══════════════════════════════════════════════════════════════════ */
+function FrameMeter({ stats, quality }) {
+  const clock = useThree((state) => state.clock);
+
+  useEffect(() => {
+    const removeBefore = addEffect(() => {
+      if (stats.isStopped()) clock.elapsedTime -= clock.getDelta();
+    });
+    const removeTail = addTail(() => stats.stop());
+    return () => {
+      removeBefore();
+      removeTail();
+    };
+  }, [stats, clock]);
+
+  useFrame((_, delta) => {
+    if (stats.frame()) quality.sample(delta * 1000);
+  });
+  return null;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   TvSpeaker – hears the video from the camera (AudioListener) and plays
+   it from the PVM's speaker (PositionalAudio), once tvAudio has a graph
+   ═══════════════════════════════════════════════════════════════════ */
+function TvSpeaker({ tvAudio, position }) {
+  const camera = useThree((state) => state.camera);
+  const graph = useSyncExternalStore(tvAudio.subscribe, tvAudio.getSnapshot);
+
+  useEffect(() => {
+    if (!graph) return;
+    camera.add(graph.listener);
+    return () => {
+      camera.remove(graph.listener);
+    };
+  }, [camera, graph]);
+
+  if (!graph || !position) return null;
+  return <primitive object={graph.speaker} position={position} />;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   BootSequencePlayer – advances the boot intro's canvas every frame
+   ═══════════════════════════════════════════════════════════════════ */
+function BootSequencePlayer({ sequence, onDone }) {
+  const invalidate = useThree((state) => state.invalidate);
+  const doneRef = useRef(false);
+
+  useEffect(() => {
+    invalidate();
+  }, [invalidate]);
+
+  useFrame((state, delta) => {
+    if (doneRef.current) return;
+    if (sequence.advance(delta)) {
+      doneRef.current = true;
+      onDone();
+      return;
+    }
+    state.invalidate();
+  });
+
+  return null;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   Screen-reader announcement for the scene state (polite live region)
+   ═══════════════════════════════════════════════════════════════════ */
+function describeScene(scene, videos, index) {
+  const video = videos[index];
+  const channel = video ? `channel ${index + 1}, ${video.label}` : "";
+  const state =
+    scene.state === "hidden" ? scene.context.resumeTo : scene.state;
+  switch (state) {
+    case "zoomingIn":
+      return "Powering on";
+    case "loadingVideo":
+    case "switchingChannel":
+      return `Loading ${channel}`;
+    case "playing":
+      return `Playing ${channel}`;
+    case "paused":
+      return `Paused, ${channel}`;
+    case "resetting":
+      return "Powering off";
+    default:
+      return "";
+  }
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   CaptionPlayer – shows the cue for the video's current time
+   ═══════════════════════════════════════════════════════════════════ */
+function CaptionPlayer({ layer, cues, videoRef }) {
+  useFrame(() => {
+    const video = videoRef.current;
+    layer.show(video ? captionTextAt(cues, video.currentTime) : "");
+  });
+
+  return null;
+}
+
+/* ═══════════════════════════════════════════════════════════════════
+   useMediaQuery – live matchMedia result (compact phone layout)
+   ═══════════════════════════════════════════════════════════════════ */
+function useMediaQuery(query) {
+  const subscribe = useCallback(
+    (onChange) => {
+      const list = window.matchMedia(query);
+      list.addEventListener("change", onChange);
+      return () => list.removeEventListener("change", onChange);
+    },
+    [query],
+  );
+  return useSyncExternalStore(
+    subscribe,
+    () => window.matchMedia(query).matches,
+  );
+}
+
 /* ═══════════════════════════════════════════════════════════════════
    Experience – main scene
    ═══════════════════════════════════════════════════════════════════ */
 export default function Experience() {
+  // Video catalog from public/videos.json (suspends until validated)
+  const { videos, errors: catalogErrors } = use(loadCatalog());
+
   const controlsRef = useRef();
-  const screenCenterRef = useRef(null);
+  // World-space bounding box of the TV screen mesh (frames the close-up)
+  const screenBoxRef = useRef(null);
   const videoRef = useRef(null);
   const controlsWrapRef = useRef(null);
   const controlsStaticOverlayRef = useRef(null);
   const casesWrapRef = useRef(null);
   const controlsTlRef = useRef(null);
   const isHidingControlsRef = useRef(false);
+  const endedCleanupRef = useRef(null);
+
+  // ── Scene state machine: every flow decision goes through it ─
+  const [machine] = useState(() => createSceneMachine());
+  const scene = useSyncExternalStore(machine.subscribe, machine.getSnapshot);
+  const isResetting = scene.state === "resetting";
+  const isHidden =
+    scene.state === "hidden" || (isResetting && scene.context.panelHidden);
+  const isPlaying =
+    scene.state === "playing" ||
+    (scene.state === "hidden" && scene.context.resumeTo === "playing");
+
+  // ── Deep link: URL state is read once, then kept in sync ────
+  const [initialUrlState] = useState(() =>
+    readUrlState({ layouts: ACTION_LAYOUTS }),
+  );
+  // Saved preferences: read once; a deep link takes precedence over them
+  const [savedPrefs] = useState(() =>
+    loadPreferences({ layouts: ACTION_LAYOUTS }),
+  );
+  // Pending deep-link work, consumed as the auto-started scene progresses
+  const deepLinkRef = useRef({
+    autoStart: initialUrlState.view === "closeup",
+    // A link straight into the close-up goes straight to the game too
+    skipBoot: initialUrlState.view === "closeup",
+    seekTo: initialUrlState.view === "closeup" ? initialUrlState.time : 0,
+    panel: initialUrlState.panel,
+  });
 
   const [zoomTrigger, setZoomTrigger] = useState(0);
-  const [currentVideoIndex, setCurrentVideoIndex] =
-    useState(DEFAULT_VIDEO_INDEX);
+  const [closeLidTrigger, setCloseLidTrigger] = useState(0);
+  // Disc swap on channel change: { count, from, to } (cover URLs)
+  const [discSwap, setDiscSwap] = useState(null);
+  // A loaded video is held back while something else owns the screen
+  // (reasons: "disc" swap, "boot" intro) and starts once all are released
+  const videoHoldRef = useRef({ reasons: new Set(), ready: null });
+  const [currentVideoIndex, setCurrentVideoIndex] = useState(() => {
+    const linked = videos.findIndex((v) => v.id === initialUrlState.videoId);
+    if (linked >= 0) return linked;
+    const saved = videos.findIndex((v) => v.id === savedPrefs.channel);
+    return saved >= 0 ? saved : DEFAULT_VIDEO_INDEX;
+  });
+  // "Continue where you left off?" – only offered when no deep link says
+  // where to go: { index, time } or null once answered
+  const [resume, setResume] = useState(() =>
+    initialUrlState.view === "closeup" || initialUrlState.videoId
+      ? null
+      : resumeOffer(savedPrefs, videos),
+  );
+  // Problems with some catalog entries, shown until dismissed
+  const [showCatalogNotice, setShowCatalogNotice] = useState(
+    () => catalogErrors.length > 0,
+  );
   const [videoSrc, setVideoSrc] = useState(null);
   const [videoTexture, setVideoTexture] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [actionLayout, setActionLayout] = useState(ACTION_LAYOUTS[0]);
+  // TV tube power: drives the power-on / power-off / static transitions
+  const [tvOn, setTvOn] = useState(false);
+  // Console RESET: splash texture shown on the screen instead of the video
+  const [bootSplash, setBootSplash] = useState(null);
+  const bootSplashTimerRef = useRef(null);
+  // Boot intro before the video: { texture, advance, dispose } or null
+  const [bootSequence, setBootSequence] = useState(null);
+  const stopChimeRef = useRef(null);
+  const [actionLayout, setActionLayout] = useState(
+    initialUrlState.layout ?? savedPrefs.actionLayout ?? ACTION_LAYOUTS[0],
+  );
+  const [crtPreset, setCrtPreset] = useState(
+    initialUrlState.crtPreset ?? DEFAULT_CRT_PRESET,
+  );
+  // Per-setting CRT intensities (only settable through the URL for now)
+  const [crtOverrides] = useState(initialUrlState.crtOverrides);
+  const crtSettings = useMemo(
+    () => resolveCrtSettings(crtPreset, crtOverrides),
+    [crtPreset, crtOverrides],
+  );
+  const [lighting, setLighting] = useState(
+    initialUrlState.lighting ?? DEFAULT_LIGHTING,
+  );
+  // Day (0) → night (1) blend of the environment, follows the camera tweens
+  const nightRef = useRef(0);
 
   // Ref to track currentVideoIndex without stale closures
   const currentVideoIndexRef = useRef(currentVideoIndex);
@@ -296,79 +817,422 @@ export default function Experience() {
     currentVideoIndexRef.current = currentVideoIndex;
   }, [currentVideoIndex]);
 
+  // ── Playlist: playback mode, queued games (see lib/playlist.js) ─
+  const [playlist, setPlaylist] = useState(() =>
+    createPlaylist(videos.length),
+  );
+  // Read by the "ended" listener, which outlives renders
+  const playlistRef = useRef(playlist);
+  useEffect(() => {
+    playlistRef.current = playlist;
+  }, [playlist]);
+  // Stop after current powers down like ⏻, keeping the saved channel and
+  // resume point (set once powerDown exists)
+  const powerDownRef = useRef(null);
+  // Set by ⏻: the zoom-out ends back on the first channel
+  const forgetChannelRef = useRef(false);
+
   // ── Animated reset state ──────────────────────────────────────
-  const [isResetting, setIsResetting] = useState(false);
   const [zoomOutTrigger, setZoomOutTrigger] = useState(0);
   const [openLidTrigger, setOpenLidTrigger] = useState(0);
 
   // ── Controls visibility & hide/show ─────────────────────────
   const [showControls, setShowControls] = useState(false);
   const [controlsKey, setControlsKey] = useState(0);
-  const [isHidden, setIsHidden] = useState(false);
   const hasShownControlsRef = useRef(false);
   const showTimerRef = useRef(null);
 
-  // ── Instruction tooltip state ────────────────────────────────
-  const [showInstructionTooltip, setShowInstructionTooltip] = useState(false);
-  const instructionTimerRef = useRef(null);
+  // ── Inactivity: "PRESS START" hint, then attract mode (kiosks) ─
+  const [inactivity] = useState(() =>
+    createInactivityManager([
+      { name: "hint", after: HINT_DELAY },
+      { name: "attract", after: (initialUrlState.attract ?? Infinity) * 1000 },
+    ]),
+  );
+  const idleStage = useSyncExternalStore(
+    inactivity.subscribe,
+    inactivity.getSnapshot,
+  );
+  const attracting = idleStage === "attract";
+  const showInstructionTooltip =
+    idleStage !== ACTIVE && scene.state === "idle" && !videoSrc;
+  // Next channel for an attract mode trailer
+  const attractChannelRef = useRef(0);
+  // Attract mode hand-over in the initial view: glide back home
+  const [homeTrigger, setHomeTrigger] = useState(0);
+
+  // ── Debug overlay (?debug in the URL, or the D key) ─────────
+  const [showDebug, setShowDebug] = useState(initialUrlState.debug);
+
+  // ── Camera paths: turntable (T key), path editor (P key) ────
+  // Any press on the canvas hands the camera back to the visitor
+  const [turntable, setTurntable] = useState(false);
+  const [showPathEditor, setShowPathEditor] = useState(false);
+  const [pathPreview, setPathPreview] = useState(null);
+
+  // ── Phones: compact panel, swipes on the TV (see lib/mobile.js) ─
+  const compact = useMediaQuery(COMPACT_QUERY);
+
+  // ── Gamepad: number of connected controllers (shows the legend) ─
+  const [padCount, setPadCount] = useState(0);
+
+  // ── Rendering quality: Q key / ?quality, or picked from frame times
+  //    in auto mode (see lib/quality.js) ──────────────────────────
+  const [quality] = useState(() =>
+    createQualityGovernor({
+      mode: initialUrlState.quality ?? DEFAULT_QUALITY_MODE,
+    }),
+  );
+  const qualityTierId = useSyncExternalStore(
+    quality.subscribe,
+    () => quality.getSnapshot().tier,
+  );
+  const qualityTier = QUALITY_TIERS[qualityTierId];
+  // WebGL context attributes can't change later: set from the first mode
+  const [glOptions] = useState(() => ({
+    antialias: quality.getSnapshot().mode !== "low",
+    powerPreference:
+      quality.getSnapshot().mode === "high" ? "high-performance" : "default",
+  }));
+  // Rendered frames (the loop runs on demand), shown in the D overlay
+  const [renderStats] = useState(() => createRenderStats());
+
+  // ── Volume (shared by the VOL fader and the embed API) ──────
+  // Mute is kept apart from the level so unmuting restores it
+  const [volume, setVolume] = useState(savedPrefs.volume);
+  const [muted, setMuted] = useState(savedPrefs.muted);
+  // Effective level (0 while muted), as applied to the video
+  const volumeRef = useRef(savedPrefs.muted ? 0 : savedPrefs.volume);
+  // The video's sound, out of the PVM's speaker (see lib/tvAudio.js)
+  const [tvAudio] = useState(() =>
+    createTvAudio({ level: savedPrefs.muted ? 0 : savedPrefs.volume }),
+  );
+  const [speakerPosition, setSpeakerPosition] = useState(null);
+  const [crtSpeaker, setCrtSpeaker] = useState(savedPrefs.crtSpeaker);
+  useEffect(() => {
+    tvAudio.setLofi(crtSpeaker);
+  }, [tvAudio, crtSpeaker]);
 
-  // ── Scene callbacks ─────────────────────────────────────────
-  const handleScreenReady = useCallback((center) => {
-    screenCenterRef.current = center;
-  }, []);
+  // ── Foley: synthesized room tone and UI sounds (see lib/foley.js) ─
+  const [uiVolume, setUiVolume] = useState(savedPrefs.uiVolume);
+  const [foley] = useState(() => createFoley({ level: savedPrefs.uiVolume }));
+
+  // Room tone throughout; it (and anything held) waits for a first gesture
+  useEffect(() => {
+    foley.hold("room", true);
+    const resume = () => foley.resume();
+    window.addEventListener("pointerdown", resume);
+    window.addEventListener("keydown", resume);
+    return () => {
+      window.removeEventListener("pointerdown", resume);
+      window.removeEventListener("keydown", resume);
+      foley.hold("room", false);
+    };
+  }, [foley]);
+
+  // Tube lights up: degauss thunk, then the whine while it stays on
+  useEffect(() => {
+    if (!tvOn) return;
+    foley.play("degauss");
+    foley.hold("whine", true);
+    return () => foley.hold("whine", false);
+  }, [foley, tvOn]);
+
+  // Static between channels, until the next picture is ready
+  const switchingChannel = scene.state === "switchingChannel";
+  useEffect(() => {
+    if (!switchingChannel) return;
+    foley.hold("static", true);
+    return () => foley.hold("static", false);
+  }, [foley, switchingChannel]);
+
+  const handleLidClosing = useCallback(() => foley.play("discSpin"), [foley]);
+  const handlePanelClick = useCallback(() => foley.play("click"), [foley]);
+
+  // ── Captions (per-video WebVTT / SRT tracks from videos.json) ─
+  const [captionsOn, setCaptionsOn] = useState(false);
+  // Preferred language; videos without it fall back to their first track
+  const [captionLang, setCaptionLang] = useState(null);
+  const [captionLayer] = useState(() => createCaptionLayer());
+  const [captionCues, setCaptionCues] = useState({ src: null, cues: [] });
+  const captionTracks = videos[currentVideoIndex]?.captions ?? NO_CAPTIONS;
+  const captionTrack =
+    captionTracks.find((track) => track.lang === captionLang) ??
+    captionTracks[0] ??
+    null;
+  const captionSrc = captionsOn ? captionTrack?.src : null;
+  const activeCues =
+    captionSrc && captionCues.src === captionSrc ? captionCues.cues : null;
+
+  useEffect(() => {
+    if (!captionSrc) return;
+    let cancelled = false;
+    loadCaptions(captionSrc).then((cues) => {
+      if (!cancelled) setCaptionCues({ src: captionSrc, cues });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [captionSrc]);
+
+  useEffect(() => () => captionLayer.dispose(), [captionLayer]);
+
+  // ── "TRACKING..." on the tube while a video loads (lib/tracking.js) ─
+  const [trackingLayer] = useState(() => createTrackingLayer());
+  const [tracking, setTracking] = useState(false);
+  useEffect(() => () => trackingLayer.dispose(), [trackingLayer]);
+
+  // ── Embed API: events for the hosting page ──────────────────
+  const [embedBus] = useState(() => createEventBus());
 
+  // ── Scene callbacks ─────────────────────────────────────────
   const handlePs1Click = useCallback(() => {
-    if (screenCenterRef.current) {
-      setZoomTrigger((n) => n + 1);
+    if (!screenBoxRef.current) return;
+    // Powering on by hand answers the resume prompt with "start over"
+    setResume(null);
+    setTurntable(false);
+    const wasIdle = machine.getSnapshot().state === "idle";
+    if (
+      !machine.send("POWER_ON", { channel: currentVideoIndexRef.current })
+    ) {
+      return;
+    }
+    setZoomTrigger((n) => n + 1);
+    if (wasIdle) setCloseLidTrigger((n) => n + 1);
+  }, [machine]);
+
+  const handleScreenReady = useCallback(
+    (box) => {
+      screenBoxRef.current = box;
+
+      // Deep link to the close-up: run the click-to-start flow by itself
+      if (deepLinkRef.current.autoStart) {
+        deepLinkRef.current.autoStart = false;
+        handlePs1Click();
+      }
+    },
+    [handlePs1Click],
+  );
+
+  // Boot intro on the screen while the video loads underneath (the
+  // "boot" hold keeps a loaded video back until it is done or skipped)
+  const startBootIntro = useCallback((video) => {
+    videoHoldRef.current.reasons.add("boot");
+    setBootSequence(createBootSequence({ region: video.region }));
+    stopChimeRef.current?.();
+    stopChimeRef.current = null;
+    const audio = getAudioContext();
+    if (audio) {
+      stopChimeRef.current = playBootChime(audio, {
+        volume: volumeRef.current,
+        delay: BOOT_CHIME_AT,
+      });
     }
   }, []);
 
   const handleZoomComplete = useCallback(() => {
+    if (machine.send("ZOOM_COMPLETE")) embedBus.emit("zoomComplete");
+    setTvOn(true);
     if (!videoSrc) {
-      setVideoSrc(VIDEOS[currentVideoIndex].src);
+      const video = videos[currentVideoIndex];
+      const skipBoot = deepLinkRef.current.skipBoot;
+      deepLinkRef.current.skipBoot = false;
+
+      if (video.boot && !skipBoot) startBootIntro(video);
+      setVideoSrc(video.src);
+      setPlaylist((p) => startedVideo(p, currentVideoIndex, videos.length));
     }
-  }, [videoSrc, currentVideoIndex]);
+  }, [machine, embedBus, videoSrc, currentVideoIndex, videos, startBootIntro]);
+
+  const cancelBootSplash = useCallback(() => {
+    if (!bootSplashTimerRef.current) return;
+    clearTimeout(bootSplashTimerRef.current);
+    bootSplashTimerRef.current = null;
+    setBootSplash(null);
+  }, []);
 
-  const handleVideoReady = useCallback((texture) => {
+  // Stops the current video, swaps the disc and starts loading another
+  // channel in parallel. The scene event (SWITCH_CHANNEL / ENDED) must
+  // already have been accepted.
+  const loadChannel = useCallback(
+    (index) => {
+      if (videoRef.current) videoRef.current.pause();
+      videoRef.current = null;
+      cancelBootSplash();
+      // An intro still running belongs to the channel being left
+      stopChimeRef.current?.();
+      stopChimeRef.current = null;
+      setBootSequence(null);
+      const fromIndex = currentVideoIndexRef.current;
+      videoHoldRef.current = { reasons: new Set(["disc"]), ready: null };
+      setDiscSwap((prev) => ({
+        count: (prev?.count ?? 0) + 1,
+        from: videos[fromIndex].cover,
+        to: videos[index].cover,
+      }));
+      // tvOn stays true, so the screen shows a static burst until the new
+      // texture arrives instead of going black
+      setVideoTexture(null);
+      setCurrentVideoIndex(index);
+      setVideoSrc(videos[index].src);
+      setPlaylist((p) => startedVideo(p, index, videos.length));
+      embedBus.emit("channelChanged", { channel: videos[index].id, index });
+    },
+    [videos, embedBus, cancelBootSplash],
+  );
+
+  // The browser's muted-autoplay fallback, or an attract mode trailer:
+  // the fader shows the mute like any other, but the user's saved
+  // setting is left alone. Raising VOL or unmuting undoes it.
+  const forceMute = useCallback(
+    (video) => {
+      video.muted = true;
+      setMuted(true);
+      volumeRef.current = 0;
+      tvAudio.setLevel(0);
+    },
+    [tvAudio],
+  );
+
+  // A video that can't be loaded never applies the deep link's seek, which
+  // would hold back the URL sync for good
+  const handleVideoError = useCallback(
+    (channel) => {
+      console.error(`[video] Could not load "${videos[channel].src}"`);
+      deepLinkRef.current.seekTo = 0;
+    },
+    [videos],
+  );
+
+  const handleVideoReady = useCallback((texture, channel) => {
+    // Disc swap or boot intro still running: start once they are done
+    const hold = videoHoldRef.current;
+    if (hold.reasons.size > 0) {
+      hold.ready = [texture, channel];
+      return;
+    }
+    if (!machine.send("VIDEO_READY", { channel })) return;
     setVideoTexture(texture);
     const video = texture.source.data;
     videoRef.current = video;
-    video.currentTime = 0;
+    tvAudio.connect(video);
+    // Attract mode trailers play silently
+    if (inactivity.getSnapshot() === "attract") forceMute(video);
+
+    // Deep link: jump to the requested time once, on the first video only
+    const seekTo = deepLinkRef.current.seekTo;
+    deepLinkRef.current.seekTo = 0;
+    video.currentTime =
+      seekTo > 0 && isFinite(video.duration)
+        ? Math.min(seekTo, video.duration)
+        : seekTo;
+
+    // When the video ends, the playlist picks what comes next. drei
+    // caches textures per src, so drop the listener from an earlier visit
+    // first.
+    endedCleanupRef.current?.();
+    const onEnded = () => {
+      const nextIndex = upNext(playlistRef.current, channel, videos.length);
+      const ended = { channel: videos[channel].id, index: channel };
+      if (nextIndex === null) {
+        embedBus.emit("ended", ended);
+        powerDownRef.current?.();
+        return;
+      }
+      // Same video again: rewind in place (its texture is already loaded,
+      // so a channel switch would wait forever for VIDEO_READY)
+      if (nextIndex === channel) {
+        embedBus.emit("ended", ended);
+        setPlaylist((p) => startedVideo(p, channel, videos.length));
+        video.currentTime = 0;
+        video.play().catch(() => machine.send("PAUSE"));
+        return;
+      }
+      if (!machine.send("ENDED", { channel: nextIndex })) return;
+      embedBus.emit("ended", ended);
+      loadChannel(nextIndex);
+    };
+    video.addEventListener("ended", onEnded);
+    endedCleanupRef.current = () =>
+      video.removeEventListener("ended", onEnded);
+
+    embedBus.emit("videoReady", {
+      channel: videos[channel].id,
+      index: channel,
+      duration: video.duration,
+    });
 
-    // When the video ends, automatically play the next one
-    video.addEventListener("ended", () => {
-      const nextIndex =
-        (currentVideoIndexRef.current + 1) % VIDEOS.length;
-      video.pause();
-      videoRef.current = null;
-      setIsPlaying(false);
-      setVideoTexture(null);
-      setCurrentVideoIndex(nextIndex);
-      setVideoSrc(VIDEOS[nextIndex].src);
+    video.play().catch((err) => {
+      if (err?.name !== "NotAllowedError") {
+        machine.send("PAUSE");
+        return;
+      }
+      // No user gesture yet (e.g. opened from a deep link): the browser
+      // only allows muted autoplay. Raising VOL unmutes it again.
+      forceMute(video);
+      video.play().catch(() => machine.send("PAUSE"));
     });
+  }, [machine, embedBus, videos, loadChannel, inactivity, tvAudio, forceMute]);
+
+  const releaseVideo = useCallback(
+    (reason) => {
+      const hold = videoHoldRef.current;
+      hold.reasons.delete(reason);
+      if (hold.reasons.size > 0 || !hold.ready) return;
+      const ready = hold.ready;
+      hold.ready = null;
+      handleVideoReady(...ready);
+    },
+    [handleVideoReady],
+  );
 
-    video
-      .play()
-      .then(() => {
-        setIsPlaying(true);
-      })
-      .catch(() => {});
-  }, []);
+  // Lid shut on the new disc: a "boot" channel boots like at power-on
+  const handleDiscSwapComplete = useCallback(() => {
+    const video = videos[currentVideoIndexRef.current];
+    if (video.boot) startBootIntro(video);
+    releaseVideo("disc");
+  }, [videos, startBootIntro, releaseVideo]);
+
+  // ── Boot intro (per catalog entry), skippable ───────────────
+  const finishBoot = useCallback(() => {
+    stopChimeRef.current?.();
+    stopChimeRef.current = null;
+    setBootSequence(null);
+    releaseVideo("boot");
+  }, [releaseVideo]);
+
+  // A click, Enter / Space / Escape skips the intro, but not the input
+  // that started it (see isBootSkip)
+  useEffect(() => {
+    if (!bootSequence) return;
+    const startedAt = performance.now();
+    const handleInput = (e) => {
+      if (isBootSkip(e, startedAt)) finishBoot();
+    };
+    window.addEventListener("pointerdown", handleInput);
+    window.addEventListener("keydown", handleInput);
+    return () => {
+      window.removeEventListener("pointerdown", handleInput);
+      window.removeEventListener("keydown", handleInput);
+      bootSequence.dispose();
+    };
+  }, [bootSequence, finishBoot]);
 
   // ── Video control callbacks ─────────────────────────────────
   const handlePlayPause = useCallback(() => {
     const video = videoRef.current;
     if (!video) return;
     if (video.paused) {
+      if (!machine.can("PLAY")) return machine.reject("PLAY");
       video
         .play()
-        .then(() => setIsPlaying(true))
+        .then(() => machine.send("PLAY"))
         .catch(() => {});
     } else {
+      if (!machine.send("PAUSE")) return;
       video.pause();
-      setIsPlaying(false);
     }
-  }, []);
+  }, [machine]);
 
   const handleSeek = useCallback((offset) => {
     const video = videoRef.current;
@@ -379,18 +1243,126 @@ export default function Experience() {
     );
   }, []);
 
-  const handleSwitchVideo = useCallback((newIndex) => {
-    if (videoRef.current) videoRef.current.pause();
-    videoRef.current = null;
-    setIsPlaying(false);
-    setVideoTexture(null);
-    setCurrentVideoIndex(newIndex);
-    setVideoSrc(VIDEOS[newIndex].src);
+  // save: false while a fader is dragged; it saves once on release
+  const applyVolume = useCallback((level, isMuted, { save = true } = {}) => {
+    setVolume(level);
+    setMuted(isMuted);
+    if (save) updatePreferences({ volume: level, muted: isMuted });
+    const effective = isMuted ? 0 : level;
+    volumeRef.current = effective;
+    tvAudio.setLevel(effective);
+    // Undo the muted-autoplay fallback once the user picks a level
+    const video = videoRef.current;
+    if (video && effective > 0) video.muted = false;
+  }, [tvAudio]);
+
+  // Picking a level always unmutes
+  const handleVolumeChange = useCallback(
+    (newVol, options) =>
+      applyVolume(Math.max(0, Math.min(1, newVol)), false, options),
+    [applyVolume],
+  );
+
+  const handleToggleMute = useCallback(() => {
+    if (!muted && volume > 0) applyVolume(volume, true);
+    // Unmuting a fader pulled all the way down brings it back to full
+    else applyVolume(volume > 0 ? volume : 1, false);
+  }, [muted, volume, applyVolume]);
+
+  const handleSelectLayout = useCallback((layout) => {
+    setActionLayout(layout);
+    updatePreferences({ actionLayout: layout });
   }, []);
 
+  const handleToggleCrtSpeaker = useCallback(() => {
+    const next = !crtSpeaker;
+    setCrtSpeaker(next);
+    updatePreferences({ crtSpeaker: next });
+  }, [crtSpeaker]);
+
+  const handleUiVolumeChange = useCallback(
+    (level, { save = true } = {}) => {
+      const clamped = Math.max(0, Math.min(1, level));
+      setUiVolume(clamped);
+      foley.setLevel(clamped);
+      if (save) updatePreferences({ uiVolume: clamped });
+    },
+    [foley],
+  );
+
+  // "Clear saved data" (CLR, confirmed in the panel): forget everything
+  // and go back to defaults
+  const handleClearSavedData = useCallback(() => {
+    setResume(null);
+    setActionLayout(ACTION_LAYOUTS[0]);
+    setCrtSpeaker(false);
+    applyVolume(1, false);
+    handleUiVolumeChange(DEFAULT_UI_VOLUME);
+    clearPreferences();
+  }, [applyVolume, handleUiVolumeChange]);
+
+  // Console RESET button: restart the current game behind a boot splash
+  const handleConsoleReset = useCallback(() => {
+    const video = videoRef.current;
+    if (!video || bootSplashTimerRef.current) return;
+
+    video.pause();
+    video.currentTime = 0;
+    // Paused behind the splash, as far as the panel and the embed API know
+    if (machine.can("PAUSE")) machine.send("PAUSE");
+    setBootSplash(getBootSplashTexture());
+    bootSplashTimerRef.current = setTimeout(() => {
+      bootSplashTimerRef.current = null;
+      setBootSplash(null);
+      video
+        .play()
+        .then(() => {
+          if (machine.can("PLAY")) machine.send("PLAY");
+        })
+        .catch(() => machine.send("PAUSE"));
+    }, BOOT_SPLASH_DURATION * 1000);
+  }, [machine]);
+
+  // Returns false when the scene machine rejects the switch
+  const handleSwitchVideo = useCallback(
+    (newIndex) => {
+      if (!machine.send("SWITCH_CHANNEL", { channel: newIndex })) return false;
+      loadChannel(newIndex);
+      return true;
+    },
+    [machine, loadChannel],
+  );
+
+  // ── Jewel cases: roving-focus listbox (arrows move, Enter/Space pick) ─
+  const [focusedCase, setFocusedCase] = useState(null);
+  const handleCaseKeyDown = useCallback(
+    (e, idx) => {
+      if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        if (idx !== currentVideoIndex) handleSwitchVideo(idx);
+        return;
+      }
+      const moves = {
+        ArrowRight: idx + 1,
+        ArrowDown: idx + 1,
+        ArrowLeft: idx - 1,
+        ArrowUp: idx - 1,
+        Home: 0,
+        End: videos.length - 1,
+      };
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      const next = (moves[e.key] + videos.length) % videos.length;
+      e.currentTarget.parentElement.children[next]?.focus();
+    },
+    [currentVideoIndex, videos.length, handleSwitchVideo],
+  );
+
   // ── Hide/show callbacks ─────────────────────────────────────
   const handleHide = useCallback(() => {
     if (isHidingControlsRef.current) return;
+    // Validate now; the transition itself happens once the panel is gone
+    if (!machine.can("HIDE_PANEL")) return machine.reject("HIDE_PANEL");
 
     const wrapEl = controlsWrapRef.current;
     const overlayEl = controlsStaticOverlayRef.current;
@@ -398,7 +1370,7 @@ export default function Experience() {
 
     // Fallback: if refs aren't ready, hide immediately.
     if (!wrapEl || !overlayEl) {
-      setIsHidden(true);
+      machine.send("HIDE_PANEL");
       return;
     }
 
@@ -415,7 +1387,7 @@ export default function Experience() {
     controlsTlRef.current = gsap.timeline({
       onComplete: () => {
         isHidingControlsRef.current = false;
-        setIsHidden(true);
+        machine.send("HIDE_PANEL");
       },
     });
 
@@ -424,20 +1396,42 @@ export default function Experience() {
       .to(overlayEl, { opacity: 0.9, duration: 0.1, ease: "steps(2)" })
       .to(overlayEl, { opacity: 1, duration: 0.12, ease: "steps(4)" })
       .to(wrapEl, { opacity: 0, duration: 0.25, ease: "power2.in" }, "-=0.08");
+  }, [machine]);
+
+  const handleCycleCrt = useCallback(() => {
+    setCrtPreset((preset) => nextCrtPreset(preset));
+  }, []);
+
+  const handleToggleCaptions = useCallback(() => {
+    setCaptionsOn((on) => !on);
+  }, []);
+
+  const handleCycleCaptionLang = useCallback(() => {
+    if (captionTracks.length < 2) return;
+    const idx = captionTracks.indexOf(captionTrack);
+    setCaptionLang(captionTracks[(idx + 1) % captionTracks.length].lang);
+  }, [captionTracks, captionTrack]);
+
+  const handleCycleLighting = useCallback(() => {
+    setLighting((preset) => nextLighting(preset));
   }, []);
 
   const handleShow = useCallback(() => {
-    setIsHidden(false);
+    if (!machine.send("SHOW_PANEL")) return;
     setControlsKey((k) => k + 1);
-  }, []);
+  }, [machine]);
 
   // ── Animated reset: zoom-out completion callback ────────────
   const handleZoomOutComplete = useCallback(() => {
     // Final cleanup after all animations have finished
-    setIsResetting(false);
+    if (machine.send("ZOOM_OUT_COMPLETE")) embedBus.emit("resetComplete");
     setShowControls(false);
-    setIsHidden(false);
-    setCurrentVideoIndex(DEFAULT_VIDEO_INDEX);
+    // Only ⏻ forgets the channel; other power-downs stay tuned to it
+    if (forgetChannelRef.current) {
+      forgetChannelRef.current = false;
+      currentVideoIndexRef.current = DEFAULT_VIDEO_INDEX;
+      setCurrentVideoIndex(DEFAULT_VIDEO_INDEX);
+    }
     setControlsKey((k) => k + 1);
 
     // Kill any lingering GSAP timelines
@@ -446,13 +1440,14 @@ export default function Experience() {
       controlsTlRef.current = null;
     }
     isHidingControlsRef.current = false;
-  }, []);
-
-  const handleResetAll = useCallback(() => {
-    if (isResetting) return; // Prevent double-reset
+  }, [machine, embedBus]);
 
-    // 1. Mark as resetting (keeps panel alive while videoTexture goes null)
-    setIsResetting(true);
+  // Power-down animation back to the initial view. Returns false when the
+  // machine rejects it (a reset is already running).
+  const powerDown = useCallback(() => {
+    // 1. Enter "resetting" (keeps panel alive while videoTexture goes null);
+    //    a second reset while one is running is rejected here
+    if (!machine.send("RESET")) return false;
 
     // 2. Pause video & clear timers
     if (videoRef.current) {
@@ -465,12 +1460,17 @@ export default function Experience() {
     }
     videoRef.current = null;
     hasShownControlsRef.current = false;
+    videoHoldRef.current = { reasons: new Set(), ready: null };
+    cancelBootSplash();
+    stopChimeRef.current?.();
+    stopChimeRef.current = null;
+    setBootSequence(null);
 
     // 3. Hide panel with VHS static animation
     handleHide();
 
-    // 4. Clear video (screen goes black via Playstation's bidirectional effect)
-    setIsPlaying(false);
+    // 4. Clear video (tube collapses to a dot via Playstation's power-off)
+    setTvOn(false);
     setVideoTexture(null);
     setVideoSrc(null);
 
@@ -483,8 +1483,54 @@ export default function Experience() {
     // 7. Start lid open animation
     setOpenLidTrigger((n) => n + 1);
 
+    // 8. The queue belongs to the session; "stop after current" is one-shot
+    setPlaylist((p) => ({
+      ...p,
+      queue: [],
+      mode: p.mode === "stopAfter" ? DEFAULT_PLAYBACK_MODE : p.mode,
+    }));
+
     // State fully resets when handleZoomOutComplete fires (~2.2s)
-  }, [isResetting, handleHide]);
+    return true;
+  }, [machine, handleHide, cancelBootSplash]);
+
+  useEffect(() => {
+    powerDownRef.current = powerDown;
+  }, [powerDown]);
+
+  // ⏻: power down and forget the channel and resume point (settings are
+  // kept, see RESET_ALL_KEYS in lib/preferences.js)
+  const handleResetAll = useCallback(() => {
+    if (!powerDown()) return;
+    resetAllPreferences();
+    forgetChannelRef.current = true;
+  }, [powerDown]);
+
+  // ── Playlist controls (mode button on the VFD, queue tabs) ──
+  const handleCyclePlaybackMode = useCallback(() => {
+    setPlaylist((p) => ({ ...p, mode: nextPlaybackMode(p.mode) }));
+  }, []);
+
+  const handleToggleQueued = useCallback((index) => {
+    setPlaylist((p) => toggleQueued(p, index));
+  }, []);
+
+  const nextVideoIndex = upNext(playlist, currentVideoIndex, videos.length);
+
+  // ── Buttons on the 3D model (OPEN is handled inside Playstation) ──
+  const handleConsoleButton = useCallback(
+    (id) => {
+      if (id === "power" || id === "tvPower") {
+        // Toggle: power on from idle, otherwise the animated power-off
+        // (saved channel and resume point are kept, unlike ⏻)
+        if (machine.getSnapshot().state === "idle") handlePs1Click();
+        else powerDown();
+      } else if (id === "reset") {
+        handleConsoleReset();
+      }
+    },
+    [machine, handlePs1Click, powerDown, handleConsoleReset],
+  );
 
   // ── Entrance: cases = fade only, panel = static reveal ────────
   useEffect(() => {
@@ -526,16 +1572,55 @@ export default function Experience() {
   useEffect(() => {
     if (isPlaying && videoTexture && !hasShownControlsRef.current) {
       hasShownControlsRef.current = true;
-      showTimerRef.current = setTimeout(() => setShowControls(true), 8000);
+
+      // Deep link with an explicit panel state: skip the 8s delay
+      const linkedPanel = deepLinkRef.current.panel;
+      deepLinkRef.current.panel = "auto";
+
+      showTimerRef.current = setTimeout(
+        () => {
+          if (linkedPanel === "hidden") machine.send("HIDE_PANEL");
+          setShowControls(true);
+        },
+        linkedPanel === "auto" ? 8000 : 0,
+      );
     }
     return () => {
       if (showTimerRef.current) clearTimeout(showTimerRef.current);
     };
-  }, [isPlaying, videoTexture]);
+  }, [machine, isPlaying, videoTexture]);
 
   // ── Keyboard shortcuts ──────────────────────────────────────
   useEffect(() => {
     const handler = (e) => {
+      // C = cycle CRT preset (PVM → consumer TV → off)
+      if (e.key === "c" || e.key === "C") handleCycleCrt();
+
+      // L = cycle lighting (studio → living room → showroom)
+      if (e.key === "l" || e.key === "L") handleCycleLighting();
+
+      // D = scene state debug overlay
+      if (e.key === "d" || e.key === "D") setShowDebug((v) => !v);
+
+      // Q = cycle rendering quality (auto → high → medium → low)
+      if (e.key === "q" || e.key === "Q") {
+        quality.setMode(nextQualityMode(quality.getSnapshot().mode));
+      }
+
+      // T = turntable orbit round the console (initial view only)
+      if (
+        (e.key === "t" || e.key === "T") &&
+        machine.getSnapshot().state === "idle"
+      ) {
+        setTurntable((v) => !v);
+      }
+
+      // P = camera path editor
+      if (e.key === "p" || e.key === "P") {
+        setShowPathEditor((v) => !v);
+        setPathPreview(null);
+      }
+
       if (!showControls) return;
 
       // R = replay entrance animation (only when panel visible)
@@ -549,49 +1634,366 @@ export default function Experience() {
       }
 
       // 1/2/3 = compare action-button layouts
-      if (e.key === "1") setActionLayout(ACTION_LAYOUTS[0]);
-      if (e.key === "2") setActionLayout(ACTION_LAYOUTS[1]);
-      if (e.key === "3") setActionLayout(ACTION_LAYOUTS[2]);
+      if (e.key === "1") handleSelectLayout(ACTION_LAYOUTS[0]);
+      if (e.key === "2") handleSelectLayout(ACTION_LAYOUTS[1]);
+      if (e.key === "3") handleSelectLayout(ACTION_LAYOUTS[2]);
     };
     window.addEventListener("keydown", handler);
     return () => window.removeEventListener("keydown", handler);
-  }, [showControls, isHidden, handleShow]);
+  }, [
+    machine,
+    quality,
+    showControls,
+    isHidden,
+    handleShow,
+    handleCycleCrt,
+    handleCycleLighting,
+    handleSelectLayout,
+  ]);
+
+  // ── Gamepad buttons (DualShock layout, see lib/gamepad.js) ──
+  const handlePadAction = useCallback(
+    (action) => {
+      // Pad buttons count as activity (window only sees mouse and keys)
+      inactivity.poke();
+      // Any button skips the boot intro
+      if (bootSequence) {
+        finishBoot();
+        return;
+      }
+      switch (action) {
+        case "powerOn":
+          handlePs1Click();
+          break;
+        case "playPause":
+          handlePlayPause();
+          break;
+        case "prevChannel":
+        case "nextChannel": {
+          const step = action === "nextChannel" ? 1 : -1;
+          const index = currentVideoIndexRef.current;
+          handleSwitchVideo((index + step + videos.length) % videos.length);
+          break;
+        }
+        case "seekBack":
+          handleSeek(-10);
+          break;
+        case "seekForward":
+          handleSeek(10);
+          break;
+        case "togglePanel":
+          if (!showControls) break;
+          if (isHidden) handleShow();
+          else handleHide();
+          break;
+      }
+    },
+    [
+      handlePs1Click,
+      handlePlayPause,
+      handleSwitchVideo,
+      handleSeek,
+      handleShow,
+      handleHide,
+      showControls,
+      isHidden,
+      videos,
+      bootSequence,
+      finishBoot,
+      inactivity,
+    ],
+  );
 
-  // ── Show instruction after 10s if PS1 not clicked ─────────────
-  useEffect(() => {
-    // Only show if user hasn't zoomed in yet and not resetting
-    if (zoomTrigger === 0 && !isResetting && !videoSrc) {
-      instructionTimerRef.current = setTimeout(() => {
-        setShowInstructionTooltip(true);
-      }, 20000);
-    } else {
-      setShowInstructionTooltip(false);
-      if (instructionTimerRef.current) {
-        clearTimeout(instructionTimerRef.current);
-        instructionTimerRef.current = null;
+  // ── Touch swipes on the TV: same actions as the gamepad ─────
+  // One finger swipes in the close-up; two fingers still pinch and orbit
+  const [swipe] = useState(() => createSwipeTracker());
+  const handleSwipeEnd = useCallback(
+    (e) => {
+      const action = swipe.up(e);
+      const state = machine.getSnapshot().state;
+      if (
+        action &&
+        (state === "playing" || state === "paused" || state === "hidden")
+      ) {
+        handlePadAction(action);
       }
-    }
+    },
+    [swipe, machine, handlePadAction],
+  );
+  const handleCanvasPointerDown = useCallback(
+    (e) => {
+      swipe.down(e);
+      setTurntable(false);
+      setPathPreview(null);
+    },
+    [swipe],
+  );
+
+  // ── URL sync: reflect view, channel, time and display settings ─
+  const syncUrl = useCallback(() => {
+    // Don't overwrite a deep link that hasn't been fully applied yet
+    const pending = deepLinkRef.current;
+    if (pending.autoStart || pending.seekTo > 0) return;
+    // Attract mode leaves the visitor's link alone
+    if (attracting) return;
+
+    const closeup = tvOn;
+    writeUrlState({
+      view: closeup ? "closeup" : "initial",
+      videoId:
+        closeup || currentVideoIndex !== DEFAULT_VIDEO_INDEX
+          ? videos[currentVideoIndex].id
+          : null,
+      time: videoRef.current?.currentTime ?? 0,
+      crtPreset: crtPreset !== DEFAULT_CRT_PRESET ? crtPreset : null,
+      crtOverrides,
+      panel: !showControls ? "auto" : isHidden ? "hidden" : "shown",
+      layout: actionLayout !== ACTION_LAYOUTS[0] ? actionLayout : null,
+      lighting: lighting !== DEFAULT_LIGHTING ? lighting : null,
+    });
+  }, [
+    attracting,
+    tvOn,
+    currentVideoIndex,
+    videos,
+    crtPreset,
+    crtOverrides,
+    showControls,
+    isHidden,
+    actionLayout,
+    lighting,
+  ]);
+
+  useEffect(() => {
+    syncUrl();
+    if (!isPlaying) return;
+    // Playback time: refreshed once per second while playing
+    const id = setInterval(syncUrl, 1000);
+    return () => clearInterval(id);
+  }, [syncUrl, isPlaying]);
+
+  // ── Saved preferences: last channel and resume point ────────
+  useEffect(() => {
+    if (attracting) return;
+    updatePreferences({
+      channel:
+        currentVideoIndex !== DEFAULT_VIDEO_INDEX
+          ? videos[currentVideoIndex].id
+          : null,
+    });
+  }, [currentVideoIndex, videos, attracting]);
+
+  const saveResumePoint = useCallback(() => {
+    const video = videoRef.current;
+    // Nothing on screen (off, or mid-reset): keep what is stored. Attract
+    // mode trailers aren't anyone's viewing either.
+    if (!video || inactivity.getSnapshot() === "attract") return;
+    const channel = videos[currentVideoIndexRef.current].id;
+    updatePreferences({
+      resume: resumePoint(channel, video.currentTime, video.duration),
+    });
+  }, [videos, inactivity]);
 
+  useEffect(() => {
+    // Saved every few seconds while playing and when the page goes away
+    window.addEventListener("pagehide", saveResumePoint);
+    const id = isPlaying ? setInterval(saveResumePoint, 5000) : null;
     return () => {
-      if (instructionTimerRef.current) {
-        clearTimeout(instructionTimerRef.current);
-      }
+      window.removeEventListener("pagehide", saveResumePoint);
+      if (id) clearInterval(id);
+      // Paused: remember where it stopped
+      saveResumePoint();
+    };
+  }, [saveResumePoint, isPlaying]);
+
+  // CONTINUE: power on straight into the saved channel and time, the
+  // same way a close-up deep link does
+  const handleResume = useCallback(() => {
+    if (!resume) return;
+    setResume(null);
+    currentVideoIndexRef.current = resume.index;
+    setCurrentVideoIndex(resume.index);
+    deepLinkRef.current.skipBoot = true;
+    deepLinkRef.current.seekTo = resume.time;
+    if (screenBoxRef.current) handlePs1Click();
+    else deepLinkRef.current.autoStart = true;
+  }, [resume, handlePs1Click]);
+
+  const handleDismissResume = useCallback(() => {
+    setResume(null);
+    updatePreferences({ resume: null });
+  }, []);
+
+  // ── Embed API: window.PS1Showcase / postMessage ─────────────
+  // Commands wrap the scene handlers above. They are re-bound every render
+  // so the long-lived API object never calls a stale closure.
+  const embedCommandsRef = useRef(null);
+  useEffect(() => {
+    // A rejected command answers ok: false, so the host can tell
+    const rejected = (command) =>
+      new Error(`${command} rejected in "${machine.getSnapshot().state}"`);
+    embedCommandsRef.current = {
+      powerOn: handlePs1Click,
+      powerOff: () => {
+        if (!powerDown()) throw rejected("powerOff");
+      },
+      selectChannel: (id) => {
+        const index = videos.findIndex((v) => v.id === id);
+        if (index < 0) throw new Error(`unknown channel "${id}"`);
+        if (index === currentVideoIndexRef.current) return;
+        if (machine.getSnapshot().state !== "idle") {
+          if (!handleSwitchVideo(index)) throw rejected("selectChannel");
+          return;
+        }
+        // TV still off: the next powerOn starts on this channel
+        currentVideoIndexRef.current = index;
+        setCurrentVideoIndex(index);
+        embedBus.emit("channelChanged", { channel: id, index });
+      },
+      play: () => {
+        if (videoRef.current?.paused) handlePlayPause();
+      },
+      pause: () => {
+        if (videoRef.current && !videoRef.current.paused) handlePlayPause();
+      },
+      seek: (seconds) => {
+        if (!isFinite(seconds)) throw new Error("seek needs a time in seconds");
+        const video = videoRef.current;
+        if (video) handleSeek(seconds - video.currentTime);
+      },
+      setVolume: (value) => {
+        if (!isFinite(value)) throw new Error("setVolume needs a 0..1 value");
+        handleVolumeChange(value);
+      },
+      getState: () => {
+        const video = videoRef.current;
+        const index = currentVideoIndexRef.current;
+        return {
+          state: machine.getSnapshot().state,
+          channel: videos[index].id,
+          index,
+          channels: videos.map((v) => v.id),
+          currentTime: video?.currentTime ?? 0,
+          duration: video?.duration || 0,
+          paused: video ? video.paused : true,
+          volume: volumeRef.current,
+        };
+      },
+    };
+  });
+
+  useEffect(() => {
+    const commands = Object.fromEntries(
+      EMBED_COMMANDS.map((name) => [
+        name,
+        (...args) => embedCommandsRef.current[name](...args),
+      ]),
+    );
+    const uninstall = installEmbedApi(
+      createEmbedApi(commands, embedBus),
+      embedBus,
+      window,
+      { allowedOrigins: EMBED_ORIGINS },
+    );
+
+    let previous = machine.getSnapshot().state;
+    const unsubscribe = machine.subscribe(({ state }) => {
+      if (state === previous) return;
+      embedBus.emit("stateChange", { state, previous });
+      previous = state;
+    });
+
+    return () => {
+      unsubscribe();
+      uninstall();
     };
-  }, [zoomTrigger, isResetting, videoSrc]);
+  }, [machine, embedBus]);
+
+  // ── Inactivity: counts while the scene waits in the initial view ─
+  // Attract mode keeps it running through its own power-on and reset
+  useEffect(() => watchActivity(window, inactivity), [inactivity]);
+
+  useEffect(() => {
+    if (scene.state === "idle" && !videoSrc) inactivity.arm();
+    else if (!attracting) inactivity.disarm();
+  }, [inactivity, scene.state, videoSrc, attracting]);
+
+  // ── Attract mode: the same power-on and reset a visitor triggers ─
+  const startAttractTrailer = useCallback(() => {
+    const index = attractChannelRef.current % videos.length;
+    attractChannelRef.current = index + 1;
+    currentVideoIndexRef.current = index;
+    setCurrentVideoIndex(index);
+    deepLinkRef.current.skipBoot = true;
+    handlePs1Click();
+    // No panel unless someone takes over (see handleAttractEnd)
+    hasShownControlsRef.current = true;
+  }, [videos, handlePs1Click]);
+
+  useEffect(() => {
+    if (!attracting) return;
+    if (scene.state === "idle") {
+      const timers = [
+        setTimeout(
+          () => setCloseLidTrigger((n) => n + 1),
+          ATTRACT_LID_CLOSE_AT,
+        ),
+        setTimeout(() => setOpenLidTrigger((n) => n + 1), ATTRACT_LID_OPEN_AT),
+        setTimeout(startAttractTrailer, ATTRACT_ORBIT_TIME),
+      ];
+      return () => timers.forEach(clearTimeout);
+    }
+    if (scene.state === "playing") {
+      const id = setTimeout(powerDown, ATTRACT_TRAILER_TIME);
+      return () => clearTimeout(id);
+    }
+  }, [attracting, scene.state, startAttractTrailer, powerDown]);
+
+  // Any input ends it: in the initial view the camera glides home, during
+  // a trailer it becomes a normal session (muted until VOL is raised)
+  const handleAttractEnd = useCallback(() => {
+    const state = machine.getSnapshot().state;
+    if (state === "idle") {
+      setOpenLidTrigger((n) => n + 1);
+      setHomeTrigger((n) => n + 1);
+      // Trailers muted and tuned without saving it: back to the
+      // visitor's settings and channel
+      const saved = loadPreferences();
+      applyVolume(saved.volume, saved.muted);
+      const channel = videos.findIndex((v) => v.id === saved.channel);
+      currentVideoIndexRef.current = channel >= 0 ? channel : DEFAULT_VIDEO_INDEX;
+      setCurrentVideoIndex(currentVideoIndexRef.current);
+    } else if (state !== "resetting") {
+      setShowControls(true);
+    }
+  }, [machine, applyVolume, videos]);
+
+  useEffect(() => {
+    let previous = inactivity.getSnapshot();
+    return inactivity.subscribe((stage) => {
+      if (previous === "attract") handleAttractEnd();
+      previous = stage;
+    });
+  }, [inactivity, handleAttractEnd]);
 
   // ── Styles for residual elements & mode switcher ────────────
+  // Phones: full width along the bottom, clear of the home indicator
   const controlsAreaStyle = {
     position: "absolute",
-    bottom: 24,
-    left: 24,
+    bottom: compact ? "calc(8px + env(safe-area-inset-bottom))" : 24,
+    left: compact ? 8 : 24,
+    right: compact ? 8 : undefined,
     zIndex: 10,
     pointerEvents: "auto",
     userSelect: "none",
   };
 
   const ledDotStyle = {
+    display: "block",
     width: 10,
     height: 10,
+    padding: 0,
+    border: "none",
     borderRadius: "50%",
     background: "#ff3333",
     cursor: "pointer",
@@ -601,16 +2003,40 @@ export default function Experience() {
   };
 
   // ── PS1 jewel case styles (floating above panel) ────────────
+  const caseAreaStyle = {
+    marginBottom: 10,
+    // Phones: smaller cases that scroll sideways (room for the scale-up)
+    ...(compact && { overflowX: "auto", padding: "4px 4px 2px" }),
+  };
+
   const caseRowStyle = {
     display: "flex",
-    gap: 12,
-    marginBottom: 10,
+    gap: compact ? 8 : 12,
   };
 
+  // Queue tab under each case: "+Q", or its place in the queue
+  const makeQueueTabStyle = (position) => ({
+    flexShrink: 0,
+    width: compact ? 52 : 75,
+    height: 14,
+    marginTop: 6,
+    padding: 0,
+    background: position ? "rgba(255,51,51,0.15)" : "rgba(8,8,8,0.6)",
+    border: `1px solid ${position ? "#ff3333" : "#2a2a2a"}`,
+    borderRadius: 2,
+    color: position ? "#ff3333" : "#777",
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 9,
+    letterSpacing: 1,
+    lineHeight: "12px",
+    cursor: "pointer",
+  });
+
   const makeCaseStyle = (isActive) => ({
     display: "flex",
-    width: 75,
-    height: 64,
+    flexShrink: 0,
+    width: compact ? 52 : 75,
+    height: compact ? 44 : 64,
     cursor: "pointer",
     borderRadius: 2,
     overflow: "hidden",
@@ -746,6 +2172,17 @@ export default function Experience() {
   const panelVisible = panelReady && !isHidden;
   const panelHidden = panelReady && isHidden;
   const showResidualLed = panelHidden && !isResetting;
+  // Boot intro / RESET splash show instead of the video (and its captions)
+  const screenOverride = bootSequence?.texture ?? bootSplash;
+  // Drawn over the picture (not over an override): the tracking display
+  // while a video loads, else the captions
+  let screenOverlay = null;
+  if (!screenOverride && tracking) {
+    screenOverlay = trackingLayer.texture;
+  } else if (!screenOverride && activeCues && videoTexture) {
+    screenOverlay = captionLayer.texture;
+  }
+  const announcement = describeScene(scene, videos, currentVideoIndex);
 
   return (
     <div style={{ width: "100vw", height: "100vh", position: "relative" }}>
@@ -777,23 +2214,64 @@ export default function Experience() {
         .ps1-case {
           transition: transform 0.15s ease, box-shadow 0.15s ease, opacity 0.15s ease, filter 0.15s ease;
         }
-        .ps1-case:hover {
+        .ps1-case:focus-visible {
           transform: scale(1.05) !important;
           opacity: 1 !important;
           filter: brightness(1) !important;
         }
+        /* Touch screens keep :hover after a tap; only real pointers get it */
+        @media (hover: hover) {
+          .ps1-case:hover {
+            transform: scale(1.05) !important;
+            opacity: 1 !important;
+            filter: brightness(1) !important;
+          }
+        }
+        /* Keyboard focus ring, same LED red as the VHS panel's */
+        .ps1-case:focus-visible,
+        .ps1-queue-tab:focus-visible,
+        .vhs-led-dot:focus-visible {
+          outline: 2px solid #ff3333;
+          outline-offset: 3px;
+        }
+        .ps1-case:focus:not(:focus-visible),
+        .ps1-queue-tab:focus:not(:focus-visible),
+        .vhs-led-dot:focus:not(:focus-visible) {
+          outline: none;
+        }
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          margin: -1px;
+          padding: 0;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+          border: 0;
+        }
       `}</style>
 
       <Canvas
         shadows
+        frameloop="demand"
+        dpr={qualityTier.dpr}
         camera={{ position: INITIAL_CAMERA.position, fov: INITIAL_CAMERA.fov }}
-        gl={{ antialias: true, powerPreference: "high-performance" }}
+        gl={glOptions}
         onCreated={({ gl }) => {
           gl.forceContextLoss = null;
         }}
+        onPointerDown={handleCanvasPointerDown}
+        onPointerUp={handleSwipeEnd}
+        onPointerCancel={swipe.cancel}
       >
         <color attach="background" args={["#dbdbdf"]} />
-        <Environment preset="city" environmentIntensity={0.9} />
+        <Lighting
+          presetId={lighting}
+          nightRef={nightRef}
+          intensityScale={qualityTier.environment}
+        />
+        <FrameMeter stats={renderStats} quality={quality} />
         <ambientLight intensity={0.45} />
 
         <ContactShadows
@@ -801,7 +2279,8 @@ export default function Experience() {
           scale={9}
           blur={2.2}
           far={1.6}
-          resolution={512}
+          resolution={qualityTier.contactShadows.resolution}
+          frames={qualityTier.contactShadows.frames}
           position={[0, 0.001, 0]}
         />
 
@@ -812,23 +2291,56 @@ export default function Experience() {
           enableRotate
           minPolarAngle={0}
           maxPolarAngle={Math.PI}
+          minDistance={MIN_ORBIT_DISTANCE}
+          maxDistance={MAX_ORBIT_DISTANCE}
+          touches={tvOn ? CLOSEUP_TOUCHES : ORBIT_TOUCHES}
         />
 
         <CameraAnimator
           zoomTrigger={zoomTrigger}
           zoomOutTrigger={zoomOutTrigger}
-          screenCenterRef={screenCenterRef}
+          homeTrigger={homeTrigger}
+          turntable={(turntable || attracting) && scene.state === "idle"}
+          pathPreview={pathPreview}
+          screenBoxRef={screenBoxRef}
           controlsRef={controlsRef}
+          nightRef={nightRef}
           onZoomComplete={handleZoomComplete}
           onZoomOutComplete={handleZoomOutComplete}
         />
 
+        <TvSpeaker tvAudio={tvAudio} position={speakerPosition} />
+
+        <GamepadController
+          controlsRef={controlsRef}
+          onAction={handlePadAction}
+          onConnectionChange={setPadCount}
+        />
+
+        {bootSequence && (
+          <BootSequencePlayer sequence={bootSequence} onDone={finishBoot} />
+        )}
+
+        {activeCues && (
+          <CaptionPlayer
+            layer={captionLayer}
+            cues={activeCues}
+            videoRef={videoRef}
+          />
+        )}
+
         {videoSrc && (
-          <Suspense fallback={null}>
+          <Suspense
+            fallback={
+              <TrackingPlayer layer={trackingLayer} onChange={setTracking} />
+            }
+          >
             <VideoTextureLoader
               key={videoSrc}
               src={videoSrc}
+              channel={currentVideoIndex}
               onReady={handleVideoReady}
+              onError={handleVideoError}
             />
           </Suspense>
         )}
@@ -836,10 +2348,32 @@ export default function Experience() {
         <Playstation
           onPs1Click={handlePs1Click}
           onScreenReady={handleScreenReady}
+          onSpeakerReady={setSpeakerPosition}
           videoTexture={videoTexture}
+          tvOn={tvOn}
+          closeLidTrigger={closeLidTrigger}
           openLidTrigger={openLidTrigger}
+          discSwap={discSwap}
+          onDiscSwapComplete={handleDiscSwapComplete}
+          onLidClosing={handleLidClosing}
+          screenOverride={screenOverride}
+          overlay={screenOverlay}
+          onConsoleButton={handleConsoleButton}
+          crtSettings={crtSettings}
         />
 
+        {/* Screen-space phosphor glow, only while the tube is lit */}
+        {tvOn && crtSettings.glow > 0 && qualityTier.post && (
+          <EffectComposer>
+            <Bloom
+              mipmapBlur
+              intensity={crtSettings.glow}
+              luminanceThreshold={0.75}
+              luminanceSmoothing={0.2}
+            />
+          </EffectComposer>
+        )}
+
         {/* ── Instruction tooltip (3D floating label) ─────────── */}
         {showInstructionTooltip && (
           <group position={[0.6, 0.95, 0.8]}>
@@ -861,31 +2395,61 @@ export default function Experience() {
           {panelVisible && (
             <>
               {/* Floating cases – fade only (no static) */}
-              <div ref={casesWrapRef} style={{ ...caseRowStyle, opacity: 0 }}>
-                {VIDEOS.map((v, idx) => (
-                  <div
-                    key={v.id}
-                    className="ps1-case"
-                    style={makeCaseStyle(idx === currentVideoIndex)}
-                    onClick={() =>
-                      idx !== currentVideoIndex && handleSwitchVideo(idx)
-                    }
-                    title={v.label}
-                  >
-                    <div style={caseSpineStyle}>
-                      <div style={caseSpineBottomStyle} />
-                    </div>
-                    <div style={caseFrontStyle}>
-                      <img
-                        src={v.cover}
-                        alt={v.label}
-                        style={caseCoverImgStyle}
-                        draggable={false}
-                      />
-                      <div style={caseShineStyle} />
+              <div ref={casesWrapRef} style={{ ...caseAreaStyle, opacity: 0 }}>
+                <div
+                  style={caseRowStyle}
+                  role="listbox"
+                  aria-label="Games"
+                  aria-orientation="horizontal"
+                >
+                  {videos.map((v, idx) => (
+                    <div
+                      key={v.id}
+                      className="ps1-case"
+                      style={makeCaseStyle(idx === currentVideoIndex)}
+                      onClick={() =>
+                        idx !== currentVideoIndex && handleSwitchVideo(idx)
+                      }
+                      onKeyDown={(e) => handleCaseKeyDown(e, idx)}
+                      onFocus={() => setFocusedCase(idx)}
+                      title={v.label}
+                      role="option"
+                      aria-selected={idx === currentVideoIndex}
+                      tabIndex={idx === (focusedCase ?? currentVideoIndex) ? 0 : -1}
+                    >
+                      <div style={caseSpineStyle}>
+                        <div style={caseSpineBottomStyle} />
+                      </div>
+                      <div style={caseFrontStyle}>
+                        <img
+                          src={v.cover}
+                          alt={v.label}
+                          style={caseCoverImgStyle}
+                          draggable={false}
+                        />
+                        <div style={caseShineStyle} />
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  ))}
+                </div>
+                <div style={caseRowStyle} role="group" aria-label="Queue games">
+                  {videos.map((v, idx) => {
+                    const position = playlist.queue.indexOf(idx) + 1;
+                    return (
+                      <button
+                        key={v.id}
+                        className="ps1-queue-tab"
+                        style={makeQueueTabStyle(position)}
+                        onClick={() => handleToggleQueued(idx)}
+                        aria-pressed={position > 0}
+                        aria-label={`Queue ${v.label}`}
+                        title={position ? "Remove from the queue" : "Add to the queue"}
+                      >
+                        {position ? `Q${position}` : "+Q"}
+                      </button>
+                    );
+                  })}
+                </div>
               </div>
 
               {/* Panel – VHS static reveal */}
@@ -903,12 +2467,34 @@ export default function Experience() {
                   videoRef={videoRef}
                   isPlaying={isPlaying}
                   currentVideoIndex={currentVideoIndex}
-                  videos={VIDEOS}
+                  videos={videos}
                   onPlayPause={handlePlayPause}
                   onSeek={handleSeek}
+                  volume={volume}
+                  muted={muted}
+                  onVolumeChange={handleVolumeChange}
+                  onToggleMute={handleToggleMute}
+                  onClearSavedData={handleClearSavedData}
+                  compact={compact}
                   onSwitchVideo={handleSwitchVideo}
                   onResetAll={handleResetAll}
                   actionLayout={actionLayout}
+                  crtLabel={crtSettings.label}
+                  onCycleCrt={handleCycleCrt}
+                  crtSpeaker={crtSpeaker}
+                  onToggleCrtSpeaker={handleToggleCrtSpeaker}
+                  uiVolume={uiVolume}
+                  onUiVolumeChange={handleUiVolumeChange}
+                  onButtonClick={handlePanelClick}
+                  captionTracks={captionTracks}
+                  captionLang={captionTrack?.lang ?? null}
+                  captionsOn={captionsOn}
+                  onToggleCaptions={handleToggleCaptions}
+                  onCycleCaptionLang={handleCycleCaptionLang}
+                  playbackMode={playlist.mode}
+                  onCyclePlaybackMode={handleCyclePlaybackMode}
+                  upNext={nextVideoIndex === null ? null : videos[nextVideoIndex]}
+                  queuedCount={playlist.queue.length}
                 />
               </div>
             </>
@@ -916,15 +2502,55 @@ export default function Experience() {
 
           {/* Residual: pulsing LED dot */}
           {showResidualLed && (
-            <div
+            <button
+              className="vhs-led-dot"
               onClick={handleShow}
               style={ledDotStyle}
               title="Show controls (H)"
+              aria-label="Show video controls"
             />
           )}
         </div>
       )}
 
+      {/* Screen-reader announcements (play / pause / channel changes) */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {announcement}
+      </div>
+
+      {showDebug && (
+        <SceneDebugOverlay
+          snapshot={scene}
+          quality={quality}
+          renderStats={renderStats}
+        />
+      )}
+      {showPathEditor && (
+        <CameraPathEditor
+          controlsRef={controlsRef}
+          onPreview={setPathPreview}
+          onStop={() => setPathPreview(null)}
+        />
+      )}
+
+      {padCount > 0 && <GamepadLegend />}
+
+      {resume && (
+        <ResumePrompt
+          video={videos[resume.index]}
+          time={resume.time}
+          onResume={handleResume}
+          onDismiss={handleDismissResume}
+        />
+      )}
+
+      {showCatalogNotice && (
+        <CatalogNotice
+          errors={catalogErrors}
+          onDismiss={() => setShowCatalogNotice(false)}
+        />
+      )}
+
       {/* ── 3D Model Credits ───────────────────────────────────── */}
       <div
         style={creditContainerStyle}
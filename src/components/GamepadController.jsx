@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { createGamepadPoller } from "../lib/gamepad";
+
+/* ═══════════════════════════════════════════════════════════════════
+   GamepadController – polls the Gamepad API once per frame
+   Buttons become scene actions; the stick orbits through OrbitControls.
+   The Gamepad API has no button events, so while a pad is connected the
+   on-demand loop keeps running to poll it.
+   ═══════════════════════════════════════════════════════════════════ */
+
+const ORBIT_SPEED = 1.8; // radians per second at full tilt
+const POLAR_EPSILON = 0.01;
+
+// Scratch objects for the per-frame orbit math
+const offset = new THREE.Vector3();
+const spherical = new THREE.Spherical();
+
+export default function GamepadController({
+  controlsRef,
+  onAction,
+  onConnectionChange,
+}) {
+  const { camera, invalidate } = useThree();
+  const [poller] = useState(() => createGamepadPoller());
+
+  // Callbacks in refs, so a new handler identity doesn't matter mid-frame
+  const onActionRef = useRef(onAction);
+  const onConnectionChangeRef = useRef(onConnectionChange);
+  useEffect(() => {
+    onActionRef.current = onAction;
+    onConnectionChangeRef.current = onConnectionChange;
+  }, [onAction, onConnectionChange]);
+
+  // A pad appears on its first button press: start polling
+  useEffect(() => {
+    const wake = () => invalidate();
+    window.addEventListener("gamepadconnected", wake);
+    return () => window.removeEventListener("gamepadconnected", wake);
+  }, [invalidate]);
+
+  useFrame((state, delta) => {
+    const { actions, stick, count, connected, disconnected } = poller.poll();
+    if (connected.length || disconnected.length) {
+      onConnectionChangeRef.current?.(count);
+    }
+    if (count > 0) state.invalidate();
+    for (const action of actions) onActionRef.current?.(action);
+
+    // Orbit: move the camera on its sphere around the OrbitControls target.
+    // Disabled controls mean a camera tween owns the camera right now.
+    const controls = controlsRef.current;
+    if (!controls?.enabled || (stick.x === 0 && stick.y === 0)) return;
+
+    const step = ORBIT_SPEED * Math.min(delta, 0.1);
+    offset.copy(camera.position).sub(controls.target);
+    spherical.setFromVector3(offset);
+    spherical.theta -= stick.x * step;
+    spherical.phi = THREE.MathUtils.clamp(
+      spherical.phi + stick.y * step,
+      Math.max(POLAR_EPSILON, controls.minPolarAngle),
+      Math.min(Math.PI - POLAR_EPSILON, controls.maxPolarAngle),
+    );
+    offset.setFromSpherical(spherical);
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+  });
+
+  return null;
+}
@@ -0,0 +1,49 @@
+import { PAD_LEGEND } from "../lib/gamepad";
+
+/* ═══════════════════════════════════════════════════════════════════
+   GamepadLegend – button hints, shown while a controller is connected
+   ═══════════════════════════════════════════════════════════════════ */
+
+export default function GamepadLegend() {
+  const containerStyle = {
+    position: "fixed",
+    right: 16,
+    bottom: 16,
+    zIndex: 100,
+    padding: "8px 10px",
+    background: "rgba(8,8,8,0.75)",
+    border: "1px solid #1a1a1a",
+    borderRadius: 3,
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 10,
+    color: "#888",
+    letterSpacing: 0.5,
+    pointerEvents: "none",
+    userSelect: "none",
+  };
+
+  const titleStyle = {
+    color: "#ff3333",
+    letterSpacing: 2,
+    marginBottom: 4,
+    textShadow: "0 0 6px rgba(255,51,51,0.5)",
+  };
+
+  const buttonStyle = {
+    display: "inline-block",
+    minWidth: 56,
+    color: "#ccc",
+  };
+
+  return (
+    <div style={containerStyle} data-testid="gamepad-legend">
+      <div style={titleStyle}>CONTROLLER</div>
+      {PAD_LEGEND.map(({ button, label }) => (
+        <div key={button}>
+          <span style={buttonStyle}>{button}</span>
+          {label}
+        </div>
+      ))}
+    </div>
+  );
+}
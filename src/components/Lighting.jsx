@@ -0,0 +1,100 @@
+import { Component, Suspense, useEffect } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Environment, Lightformer } from "@react-three/drei";
+import * as THREE from "three";
+import { LIGHTING_PRESETS, gradientColor } from "../lib/lighting";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Lighting – bundled HDRI environment with a procedural fallback
+   ═══════════════════════════════════════════════════════════════════ */
+
+// drei sets scene.environment in an effect, which asks for no frame: the
+// on-demand loop would keep showing the old lighting until something moved
+function RenderOnMount() {
+  const invalidate = useThree((state) => state.invalidate);
+  useEffect(() => {
+    invalidate();
+  }, [invalidate]);
+  return null;
+}
+
+// The preset's panels rendered live with lightformers. Stands in while
+// the .hdr loads and replaces it for good if the file can't be loaded.
+function LightformerEnvironment({ preset }) {
+  const sky = gradientColor(preset.sky);
+  const ground = gradientColor(preset.ground);
+  const ambient = sky.map((c, i) => (c + ground[i]) / 2);
+
+  return (
+    <>
+      <Environment resolution={256}>
+        <color attach="background" args={ambient} />
+        {preset.lights.map((light, i) => (
+          <Lightformer
+            key={i}
+            form={light.form}
+            position={light.position}
+            scale={light.form === "circle" ? light.scale[0] : [...light.scale, 1]}
+            color={light.color}
+            intensity={light.intensity}
+          />
+        ))}
+      </Environment>
+      <RenderOnMount />
+    </>
+  );
+}
+
+class EnvironmentBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(err) {
+    console.error(
+      `[lighting] "${this.props.preset.file}" failed to load, using lightformers`,
+      err,
+    );
+  }
+
+  render() {
+    if (this.state.failed) {
+      return <LightformerEnvironment preset={this.props.preset} />;
+    }
+    return this.props.children;
+  }
+}
+
+// drei's <Environment> resets environmentIntensity whenever it renders,
+// so the day/night blend is applied per frame instead of through props
+function EnvironmentIntensity({ preset, nightRef, scale }) {
+  useFrame(({ scene }) => {
+    scene.environmentIntensity =
+      scale * THREE.MathUtils.lerp(preset.day, preset.night, nightRef.current);
+  });
+  return null;
+}
+
+// nightRef: 0 = day (initial view) … 1 = night (close-up), driven by the
+// camera tweens. intensityScale comes from the quality tier.
+export default function Lighting({ presetId, nightRef, intensityScale = 1 }) {
+  const preset = LIGHTING_PRESETS[presetId];
+  return (
+    <>
+      {/* Keyed so a failed preset doesn't keep the next one on the fallback */}
+      <EnvironmentBoundary key={presetId} preset={preset}>
+        <Suspense fallback={<LightformerEnvironment preset={preset} />}>
+          <Environment files={preset.file} />
+          <RenderOnMount />
+        </Suspense>
+      </EnvironmentBoundary>
+      <EnvironmentIntensity
+        preset={preset}
+        nightRef={nightRef}
+        scale={intensityScale}
+      />
+    </>
+  );
+}
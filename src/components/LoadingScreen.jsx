@@ -0,0 +1,174 @@
+import { Component } from "react";
+import { useProgress } from "@react-three/drei";
+import { CATALOG_URL } from "../lib/catalog";
+
+/* ═══════════════════════════════════════════════════════════════════
+   LoadingScreen – shown while the scene suspends (video manifest, GLB
+   model, Draco decoder): progress from three's loading manager through
+   drei's useProgress, and the file being fetched. With an `error` it
+   becomes the failure screen with a RETRY button.
+   ═══════════════════════════════════════════════════════════════════ */
+
+const SEGMENTS = 20;
+
+// "/models/playstation.glb?v=2" → "playstation.glb"
+function assetName(url) {
+  const path = url.split(/[?#]/)[0];
+  const name = path.slice(path.lastIndexOf("/") + 1);
+  try {
+    return decodeURIComponent(name) || url;
+  } catch {
+    return name || url;
+  }
+}
+
+export default function LoadingScreen({ error = null, onRetry }) {
+  const { progress, item, loaded, total, errors } = useProgress();
+  const percent = Math.round(progress);
+  const lit = Math.round((percent / 100) * SEGMENTS);
+  const failed = [...new Set(errors.map(assetName))];
+
+  const containerStyle = {
+    position: "fixed",
+    inset: 0,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    background: "#0a0a0a",
+    fontFamily: "'Share Tech Mono', monospace",
+    color: "#aaa",
+    userSelect: "none",
+  };
+
+  const panelStyle = {
+    width: "min(360px, calc(100vw - 48px))",
+    padding: "16px 18px",
+    background: "#080808",
+    border: "1px solid #1a1a1a",
+    borderRadius: 3,
+    boxShadow: "inset 0 2px 6px rgba(0,0,0,0.9)",
+  };
+
+  const titleStyle = {
+    display: "flex",
+    justifyContent: "space-between",
+    fontSize: 16,
+    color: "#ff3333",
+    letterSpacing: 2,
+    textShadow: "0 0 6px rgba(255,51,51,0.7), 0 0 14px rgba(255,51,51,0.3)",
+  };
+
+  const barStyle = {
+    display: "flex",
+    gap: 2,
+    margin: "10px 0 8px",
+  };
+
+  const segmentStyle = (on) => ({
+    flex: 1,
+    height: 8,
+    background: on ? "#ff3333" : "#441111",
+    boxShadow: on ? "0 0 4px rgba(255,51,51,0.6)" : "none",
+  });
+
+  const detailStyle = {
+    fontSize: 11,
+    letterSpacing: 0.5,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  };
+
+  const buttonStyle = {
+    marginTop: 12,
+    padding: "4px 10px",
+    background: "#1a1a1a",
+    border: "1px solid #333",
+    borderRadius: 2,
+    color: "#ccc",
+    fontFamily: "inherit",
+    fontSize: 10,
+    letterSpacing: 1.5,
+    cursor: "pointer",
+  };
+
+  if (error) {
+    return (
+      <div style={containerStyle} data-testid="loading-screen">
+        <div style={panelStyle} role="alert">
+          <div style={titleStyle}>
+            <span>NO SIGNAL</span>
+          </div>
+          <div style={{ ...detailStyle, marginTop: 10, whiteSpace: "normal" }}>
+            {error.message || String(error)}
+          </div>
+          {error.problems?.map((problem) => (
+            <div key={problem} style={{ ...detailStyle, whiteSpace: "normal" }}>
+              ✕ {problem}
+            </div>
+          ))}
+          {failed.map((name) => (
+            <div key={name} style={detailStyle}>
+              ✕ {name}
+            </div>
+          ))}
+          <button style={buttonStyle} onClick={onRetry} autoFocus>
+            RETRY
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={containerStyle} data-testid="loading-screen">
+      <div
+        style={panelStyle}
+        role="progressbar"
+        aria-label="Loading"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div style={titleStyle}>
+          <span>LOADING</span>
+          <span>{percent}%</span>
+        </div>
+        <div style={barStyle}>
+          {Array.from({ length: SEGMENTS }, (_, i) => (
+            <div key={i} style={segmentStyle(i < lit)} />
+          ))}
+        </div>
+        <div style={detailStyle}>
+          {total > 0
+            ? `${assetName(item)} · ${loaded}/${total}`
+            : assetName(CATALOG_URL)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// A load that fails (the GLB, say, or the video catalog) is thrown out of
+// the scene; this shows it on the loading screen. onRetry must forget the failed load
+// and remount the boundary (a new key), or the same error comes back.
+export class LoadErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.error("[loading] scene failed to load:", error);
+  }
+
+  render() {
+    if (this.state.error) {
+      return (
+        <LoadingScreen error={this.state.error} onRetry={this.props.onRetry} />
+      );
+    }
+    return this.props.children;
+  }
+}
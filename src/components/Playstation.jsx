@@ -1,8 +1,39 @@
 import { useEffect, useRef, useState, useCallback } from "react";
 import { useGLTF } from "@react-three/drei";
-import { useFrame } from "@react-three/fiber";
+import { invalidate, useFrame } from "@react-three/fiber";
 import * as THREE from "three";
-const MODEL_PATH = "/playstationconpantallalista.glb";
+import {
+  createCrtMaterial,
+  applyCrtSettings,
+  applyTubeState,
+  advanceTube,
+  createTube,
+  switchTube,
+  tubePowerOn,
+  CRT_PRESETS,
+  DEFAULT_CRT_PRESET,
+} from "../lib/crtShader";
+import {
+  setupConsoleButtons,
+  disposeConsoleButtons,
+  findConsoleButton,
+  setButtonHighlight,
+  pressConsoleButton,
+  updateConsoleButtons,
+} from "../lib/consoleButtons";
+import { findSpeaker } from "../lib/tvAudio";
+import {
+  DISC_LID_DURATION,
+  DISC_RADIUS_RATIO,
+  advanceDiscSwap,
+  createCoverCache,
+  createDiscSwap,
+  discSwapLidOpened,
+  endDiscSwap,
+  isDiscMoving,
+  startDiscSwap,
+} from "../lib/discSwap";
+export const MODEL_PATH = "/playstationconpantallalista.glb";
 
 // The dedicated screen material created in Blender
 const SCREEN_MATERIAL_NAME = "Pantalla_Video";
@@ -29,11 +60,30 @@ function easeInOut(t) {
 let pristineScreenMaterial = null;
 let initialLidRotationX = null;
 
+// Disc label textures (the game's cover art), loaded once per URL
+const textureLoader = new THREE.TextureLoader();
+const coverTextures = createCoverCache((url) => {
+  // Loaded while nothing animates: the label still needs a frame
+  const texture = textureLoader.load(url, () => invalidate());
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+});
+
 export default function Playstation({
   onPs1Click,
   onScreenReady,
+  onSpeakerReady,
   videoTexture,
+  tvOn = false,
+  closeLidTrigger = 0,
   openLidTrigger = 0,
+  discSwap = null,
+  onDiscSwapComplete,
+  onLidClosing,
+  screenOverride = null,
+  overlay = null,
+  onConsoleButton,
+  crtSettings = CRT_PRESETS[DEFAULT_CRT_PRESET],
   ...props
 }) {
   const { scene, materials } = useGLTF(MODEL_PATH);
@@ -47,10 +97,17 @@ export default function Playstation({
 
   // Keep a ref to the screen material (cloned from the model)
   const screenMatRef = useRef(null);
+  // Screen mesh + CRT shader material swapped in while a video is showing
+  const screenMeshRef = useRef(null);
+  const crtMatRef = useRef(null);
+  // Tube power / static timeline (lib/crtShader.js)
+  const tubeRef = useRef(createTube());
+  const prevTvOnRef = useRef(false);
 
   // Lid refs
   const lidRef = useRef(null);
-  // Lid animation state: { active, startAngle, endAngle, elapsed }
+  // Lid animation state: { active, startAngle, endAngle, elapsed,
+  // duration?, onDone? } – onDone chains the disc swap steps
   const lidAnimRef = useRef({
     active: false,
     startAngle: 0,
@@ -58,6 +115,26 @@ export default function Playstation({
     elapsed: 0,
   });
 
+  // Disc refs: the swap timeline lives in lib/discSwap
+  const discRef = useRef(null);
+  const discBodyMatRef = useRef(null);
+  const discLabelMatRef = useRef(null);
+  const discSwapRef = useRef(createDiscSwap());
+  // Resting place in the tray, measured from the closed lid once
+  const discRestRef = useRef(null);
+  const onDiscSwapCompleteRef = useRef(onDiscSwapComplete);
+  useEffect(() => {
+    onDiscSwapCompleteRef.current = onDiscSwapComplete;
+  }, [onDiscSwapComplete]);
+  const onLidClosingRef = useRef(onLidClosing);
+  useEffect(() => {
+    onLidClosingRef.current = onLidClosing;
+  }, [onLidClosing]);
+
+  // Console buttons (POWER / RESET / OPEN / PVM knob), set up with the model
+  const buttonsRef = useRef([]);
+  const hoveredButtonRef = useRef(null);
+
   // Pointer cursor on PS1 hover
   useEffect(() => {
     document.body.style.cursor = hovered ? "pointer" : "auto";
@@ -70,7 +147,7 @@ export default function Playstation({
     return obj?.isMesh && PS1_CLICKABLE.has(obj.material?.name);
   }, []);
 
-  // ── Model setup: shadows, normals, fit, screen material, screen center ──
+  // ── Model setup: shadows, normals, fit, screen material, screen bounds ──
   useEffect(() => {
     if (!groupRef.current) return;
 
@@ -96,6 +173,7 @@ export default function Playstation({
         clonedMat.needsUpdate = true;
         child.material = clonedMat;
         screenMatRef.current = clonedMat;
+        screenMeshRef.current = child;
       }
     });
 
@@ -138,17 +216,59 @@ export default function Playstation({
       }
     });
 
-    // Report screen center for camera animation
+    // Report the screen's bounds: the close-up camera is fitted to them
     groupRef.current.traverse((child) => {
       if (child.isMesh && child.material?.name === SCREEN_MATERIAL_NAME) {
-        const meshBox = new THREE.Box3().setFromObject(child);
-        const meshCenter = meshBox.getCenter(new THREE.Vector3());
-        onScreenReady?.(meshCenter.clone());
+        onScreenReady?.(new THREE.Box3().setFromObject(child));
       }
     });
   }, [scene, materials, onScreenReady]);
 
-  // ── Lid close: called directly from the click handler ─────────────────
+  // ── Console buttons: after the model is fitted (stand-in caps are
+  // placed from its bounding boxes) ───────────────────────────────────────
+  useEffect(() => {
+    if (!groupRef.current) return;
+    const buttons = setupConsoleButtons(groupRef.current);
+    buttonsRef.current = buttons;
+    return () => {
+      disposeConsoleButtons(buttons);
+      buttonsRef.current = [];
+      hoveredButtonRef.current = null;
+    };
+  }, [scene]);
+
+  // ── TV speaker: where the video's sound comes from (lib/tvAudio.js) ──
+  useEffect(() => {
+    if (!groupRef.current) return;
+    const position = findSpeaker(groupRef.current);
+    if (position) onSpeakerReady?.(position);
+  }, [scene, onSpeakerReady]);
+
+  // ── CRT material lifetime ─────────────────────────────────────────────
+  useEffect(() => {
+    crtMatRef.current = createCrtMaterial();
+    return () => {
+      crtMatRef.current.dispose();
+      crtMatRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (crtMatRef.current) applyCrtSettings(crtMatRef.current, crtSettings);
+    invalidate();
+  }, [crtSettings]);
+
+  // Caption layer or tracking display texture, composited by the CRT
+  // shader over the picture
+  useEffect(() => {
+    const crtMat = crtMatRef.current;
+    if (!crtMat) return;
+    crtMat.uniforms.overlay.value = overlay;
+    crtMat.uniforms.overlayOpacity.value = overlay ? 1 : 0;
+    invalidate();
+  }, [overlay]);
+
+  // ── Lid close ─────────────────────────────────────────────────────────
   const startLidAnimation = useCallback(() => {
     if (!lidRef.current) return;
 
@@ -166,33 +286,164 @@ export default function Playstation({
       endAngle,
       elapsed: 0,
     };
+    invalidate();
+  }, []);
+
+  // ── Lid close: triggered externally via closeLidTrigger prop ──────────────
+  useEffect(() => {
+    if (closeLidTrigger === 0) return;
+    startLidAnimation();
+  }, [closeLidTrigger, startLidAnimation]);
+
+  // ── OPEN button: lid animation alone, toggling open ↔ closed ─────────────
+  const toggleLid = useCallback(() => {
+    const lid = lidRef.current;
+    if (!lid || initialLidRotationX === null) return;
+    // The disc swap owns the lid until it has finished
+    if (discSwapRef.current.phase !== "idle") return;
+
+    const target = lidAnimRef.current.active
+      ? lidAnimRef.current.endAngle
+      : lid.rotation.x;
+    const isClosed = Math.abs(target) < 0.001;
+    lidAnimRef.current = {
+      active: true,
+      startAngle: lid.rotation.x,
+      endAngle: isClosed ? initialLidRotationX : 0,
+      elapsed: 0,
+    };
+    invalidate();
   }, []);
 
   // ── Lid open: triggered externally via openLidTrigger prop ────────────────
   useEffect(() => {
     if (openLidTrigger === 0 || !lidRef.current || initialLidRotationX === null)
       return;
+    // A reset cancels a disc swap in progress
+    endDiscSwap(discSwapRef.current);
+    if (discRef.current) discRef.current.visible = false;
     lidAnimRef.current = {
       active: true,
       startAngle: lidRef.current.rotation.x,
       endAngle: initialLidRotationX,
       elapsed: 0,
     };
+    invalidate();
   }, [openLidTrigger]);
 
-  // ── useFrame: animate lid every frame (R3F render loop) ─────────────────
-  useFrame((_, delta) => {
-    // Video texture update
-    if (videoTexture?.source?.data?.readyState >= 2) {
-      videoTexture.needsUpdate = true;
+  const setDiscOpacity = (opacity) => {
+    if (discBodyMatRef.current) discBodyMatRef.current.opacity = opacity;
+    if (discLabelMatRef.current) discLabelMatRef.current.opacity = opacity;
+  };
+
+  // ── Disc swap: triggered externally via the discSwap prop ─────────────
+  // { count, from, to }: from/to are the cover URLs used as disc labels.
+  // Lid opens → disc lifts out → label swaps → disc lowers → lid closes.
+  useEffect(() => {
+    if (!discSwap) return;
+    const lid = lidRef.current;
+    const disc = discRef.current;
+    if (!lid || !disc || initialLidRotationX === null) {
+      onDiscSwapCompleteRef.current?.();
+      return;
+    }
+
+    if (!discRestRef.current) {
+      // Measure with the lid shut, so the box is the tray footprint
+      const angle = lid.rotation.x;
+      lid.rotation.x = 0;
+      lid.updateWorldMatrix(true, true);
+      const box = new THREE.Box3().setFromObject(lid);
+      lid.rotation.x = angle;
+      lid.updateWorldMatrix(true, true);
+
+      const size = box.getSize(new THREE.Vector3());
+      const center = box.getCenter(new THREE.Vector3());
+      center.y = box.min.y;
+      const group = groupRef.current;
+      const scale = group.scale.x || 1;
+      const radius = (Math.min(size.x, size.z) * DISC_RADIUS_RATIO) / scale;
+      discRestRef.current = { position: group.worldToLocal(center), radius };
+    }
+
+    const rest = discRestRef.current;
+    disc.position.copy(rest.position);
+    disc.scale.setScalar(rest.radius);
+    setDiscOpacity(1);
+    discLabelMatRef.current.map = coverTextures.get(discSwap.from);
+    discLabelMatRef.current.needsUpdate = true;
+    coverTextures.get(discSwap.to); // warm the cache for the swap
+
+    const swap = discSwapRef.current;
+    startDiscSwap(swap, discSwap.to);
+    lidAnimRef.current = {
+      active: true,
+      startAngle: lid.rotation.x,
+      endAngle: initialLidRotationX,
+      elapsed: 0,
+      duration: DISC_LID_DURATION,
+      onDone: () => {
+        discSwapLidOpened(swap);
+        disc.visible = true;
+      },
+    };
+    invalidate();
+  }, [discSwap]);
+
+  const updateDiscSwap = (delta) => {
+    const swap = discSwapRef.current;
+    const disc = discRef.current;
+    const rest = discRestRef.current;
+    const step = advanceDiscSwap(swap, delta);
+    if (!step) return;
+
+    disc.position.y = rest.position.y + rest.radius * step.rise;
+    setDiscOpacity(step.opacity);
+    if (step.swapLabel) {
+      discLabelMatRef.current.map = coverTextures.get(swap.to);
+      discLabelMatRef.current.needsUpdate = true;
+    }
+    if (!step.closeLid) return;
+
+    lidAnimRef.current = {
+      active: true,
+      startAngle: lidRef.current.rotation.x,
+      endAngle: 0,
+      elapsed: 0,
+      duration: DISC_LID_DURATION,
+      onDone: () => {
+        endDiscSwap(swap);
+        disc.visible = false;
+        onDiscSwapCompleteRef.current?.();
+      },
+    };
+  };
+
+  // ── Tube power-on / power-off / static, advanced from useFrame ─────────
+  const updateTube = (crtMat, delta) => {
+    const tube = tubeRef.current;
+    const poweringOff = tube.phase === "powerOff";
+
+    const state = advanceTube(tube, delta, Boolean(crtMat.uniforms.map.value));
+    if (state) applyTubeState(crtMat, state);
+    if (poweringOff && tube.phase === "off") {
+      crtMat.uniforms.map.value = null;
+      if (screenMeshRef.current && screenMatRef.current) {
+        screenMeshRef.current.material = screenMatRef.current;
+      }
     }
+    crtMat.uniforms.snow.value = tube.snow;
+  };
 
-    // Lid animation (runs inside R3F render loop, guaranteed visual updates)
+  // ── Lid animation, advanced from useFrame ───────────────────────────────
+  const updateLid = (delta) => {
     const anim = lidAnimRef.current;
     if (!anim.active || !lidRef.current) return;
 
+    // First frame of a close (click, OPEN, disc swap): the disc spins up
+    if (anim.elapsed === 0 && anim.endAngle === 0) onLidClosingRef.current?.();
     anim.elapsed += delta;
-    const t = Math.min(anim.elapsed / LID_ANIM_DURATION, 1);
+    const t = Math.min(anim.elapsed / (anim.duration ?? LID_ANIM_DURATION), 1);
     const easedT = easeInOut(t);
     const angle = anim.startAngle + (anim.endAngle - anim.startAngle) * easedT;
 
@@ -202,35 +453,84 @@ export default function Playstation({
     if (t >= 1) {
       lid.rotation.x = anim.endAngle;
       anim.active = false;
+      anim.onDone?.();
+    }
+  };
+
+  // Anything mid-animation? The loop renders on demand, so each frame
+  // that advances one asks for the next
+  const isAnimating = () => {
+    const tube = tubeRef.current;
+    return (
+      lidAnimRef.current.active ||
+      isDiscMoving(discSwapRef.current) ||
+      tube.phase === "powerOn" ||
+      tube.phase === "powerOff" ||
+      // Snow is drawn from the time uniform: it moves while it shows
+      tube.snow > 0 ||
+      buttonsRef.current.some((button) => button.press > 0)
+    );
+  };
+
+  // ── useFrame: tube, disc swap, buttons and lid (R3F render loop) ─────────
+  // The video texture needs nothing here: three's VideoTexture flags each
+  // new frame itself (requestVideoFrameCallback)
+  useFrame((state, delta) => {
+    const crtMat = crtMatRef.current;
+    if (crtMat) {
+      crtMat.uniforms.time.value = state.clock.elapsedTime;
+      updateTube(crtMat, delta);
     }
+
+    if (discRef.current && discRestRef.current) updateDiscSwap(delta);
+    updateConsoleButtons(buttonsRef.current, delta);
+    updateLid(delta);
+
+    if (isAnimating()) state.invalidate();
   });
 
   // ── Apply / clear video texture on the screen material ──────────────────
+  // While the TV is on, the screen mesh renders through the CRT shader
+  // (the "off" preset makes it a flat passthrough). When it powers down the
+  // cloned Blender material (never touched by the video) comes back once
+  // the collapse animation has finished.
   useEffect(() => {
     const mat = screenMatRef.current;
-    if (!mat) return;
+    const mesh = screenMeshRef.current;
+    const crtMat = crtMatRef.current;
+    if (!mat || !mesh || !crtMat) return;
+
+    const tube = tubeRef.current;
+    const wasOn = prevTvOnRef.current;
+    prevTvOnRef.current = tvOn;
 
     if (videoTexture) {
       // GLTF models expect non-flipped textures; video defaults to flipY=true
       videoTexture.flipY = false;
-
-      mat.map = videoTexture;
-      mat.emissiveMap = videoTexture;
-      mat.emissive = mat.emissive || new THREE.Color(0xffffff);
-      mat.emissive.set(0xffffff);
-      mat.toneMapped = false;
-      mat.needsUpdate = true;
-    } else if (pristineScreenMaterial) {
-      // Clear screen back to pristine (TV off) state
-      mat.map = pristineScreenMaterial.map;
-      mat.emissiveMap = pristineScreenMaterial.emissiveMap;
-      if (pristineScreenMaterial.emissive) {
-        mat.emissive = mat.emissive || new THREE.Color();
-        mat.emissive.copy(pristineScreenMaterial.emissive);
-      }
-      mat.needsUpdate = true;
     }
-  }, [videoTexture]);
+    // A screen override (boot splash) shows instead of the video. With
+    // nothing to show the tube shows snow instead of a black frame; on
+    // power-off the last frame stays in the map to collapse into the dot.
+    const picture = screenOverride ?? videoTexture;
+    if (picture) crtMat.uniforms.map.value = picture;
+    else if (tvOn) crtMat.uniforms.map.value = null;
+
+    switchTube(tube, {
+      on: tvOn,
+      wasOn,
+      picture: Boolean(picture),
+      resync: Boolean(screenOverride),
+    });
+    if (tvOn && !wasOn) {
+      applyTubeState(crtMat, tubePowerOn(0));
+      mesh.material = crtMat;
+    } else if (!tvOn && tube.phase === "off") {
+      mesh.material = mat;
+      crtMat.uniforms.map.value = null;
+    }
+    crtMat.uniforms.snow.value = tube.snow;
+    invalidate();
+  }, [videoTexture, tvOn, screenOverride]);
 
   return (
     <group
@@ -238,21 +538,69 @@ export default function Playstation({
       {...props}
       dispose={null}
       onClick={(e) => {
+        const button = findConsoleButton(buttonsRef.current, e.object);
+        if (button) {
+          e.stopPropagation();
+          pressConsoleButton(button);
+          invalidate();
+          if (button.id === "open") toggleLid();
+          onConsoleButton?.(button.id);
+          return;
+        }
         if (isPs1(e.object)) {
           e.stopPropagation();
+          // Experience closes the lid via closeLidTrigger once the scene
+          // accepts the click (it is ignored during a reset, for example)
           onPs1Click?.();
-          startLidAnimation(); // close the lid immediately on click
         }
       }}
       onPointerOver={(e) => {
+        const button = findConsoleButton(buttonsRef.current, e.object);
+        if (button) {
+          e.stopPropagation();
+          hoveredButtonRef.current = button;
+          setButtonHighlight(button, true);
+          invalidate();
+          setHovered(true);
+          return;
+        }
         if (isPs1(e.object)) {
           e.stopPropagation();
           setHovered(true);
         }
       }}
-      onPointerOut={() => setHovered(false)}
+      onPointerOut={() => {
+        if (hoveredButtonRef.current) {
+          setButtonHighlight(hoveredButtonRef.current, false);
+          hoveredButtonRef.current = null;
+          invalidate();
+        }
+        setHovered(false);
+      }}
     >
       <primitive object={scene} />
+
+      {/* Game disc, only visible while it is swapped on a channel change */}
+      <group ref={discRef} visible={false}>
+        <mesh castShadow>
+          <cylinderGeometry args={[1, 1, 0.012, 64]} />
+          <meshStandardMaterial
+            ref={discBodyMatRef}
+            color="#151515"
+            metalness={0.6}
+            roughness={0.25}
+            transparent
+          />
+        </mesh>
+        <mesh position={[0, 0.0065, 0]} rotation={[-Math.PI / 2, 0, 0]}>
+          <ringGeometry args={[0.15, 0.97, 64]} />
+          <meshStandardMaterial
+            ref={discLabelMatRef}
+            roughness={0.6}
+            transparent
+          />
+        </mesh>
+      </group>
     </group>
   );
 }
@@ -0,0 +1,71 @@
+import { formatUrlTime } from "../lib/urlState";
+
+/* ═══════════════════════════════════════════════════════════════════
+   ResumePrompt – "continue where you left off?" on a fresh visit with
+   a saved resume point (see lib/preferences.js)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export default function ResumePrompt({ video, time, onResume, onDismiss }) {
+  const containerStyle = {
+    position: "fixed",
+    left: "50%",
+    bottom: 32,
+    transform: "translateX(-50%)",
+    zIndex: 100,
+    display: "flex",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 12,
+    width: "max-content",
+    maxWidth: "calc(100vw - 32px)",
+    boxSizing: "border-box",
+    padding: "10px 12px",
+    background: "rgba(8,8,8,0.85)",
+    border: "1px solid #1a1a1a",
+    borderRadius: 3,
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 11,
+    color: "#ccc",
+    letterSpacing: 0.5,
+    userSelect: "none",
+  };
+
+  const titleStyle = {
+    color: "#ff3333",
+    letterSpacing: 2,
+    textShadow: "0 0 6px rgba(255,51,51,0.5)",
+  };
+
+  const buttonStyle = {
+    padding: "4px 10px",
+    background: "#1a1a1a",
+    border: "1px solid #333",
+    borderRadius: 2,
+    color: "#ccc",
+    fontFamily: "inherit",
+    fontSize: 10,
+    letterSpacing: 1.5,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={containerStyle}
+      role="dialog"
+      aria-label="Resume playback"
+      data-testid="resume-prompt"
+    >
+      <span style={titleStyle}>RESUME?</span>
+      <span>
+        {video.label} at {formatUrlTime(time)}
+      </span>
+      <button style={buttonStyle} onClick={onResume}>
+        CONTINUE
+      </button>
+      <button style={buttonStyle} onClick={onDismiss}>
+        START OVER
+      </button>
+    </div>
+  );
+}
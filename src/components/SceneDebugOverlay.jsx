@@ -0,0 +1,98 @@
+import { useSyncExternalStore } from "react";
+import { QUALITY_TIERS } from "../lib/quality";
+
+/* ═══════════════════════════════════════════════════════════════════
+   SceneDebugOverlay – live view of the scene state machine
+   and rendering (quality governor, frames rendered)
+   Toggle with the D key, or open the page with ?debug
+   ═══════════════════════════════════════════════════════════════════ */
+
+const HISTORY_ROWS = 10;
+
+export default function SceneDebugOverlay({
+  snapshot,
+  quality,
+  renderStats,
+}) {
+  const { state, context, history } = snapshot;
+  // Subscribed here so the frame rate doesn't re-render the whole scene
+  const { mode, tier, fps } = useSyncExternalStore(
+    quality.subscribe,
+    quality.getSnapshot,
+  );
+  const { frames } = useSyncExternalStore(
+    renderStats.subscribe,
+    renderStats.getSnapshot,
+  );
+  const recent = history.slice(-HISTORY_ROWS).reverse();
+
+  const containerStyle = {
+    position: "fixed",
+    top: 16,
+    left: 16,
+    zIndex: 200,
+    minWidth: 240,
+    padding: "10px 12px",
+    background: "rgba(8,8,8,0.85)",
+    border: "1px solid #1a1a1a",
+    borderRadius: 3,
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 11,
+    color: "#aaa",
+    pointerEvents: "none",
+    userSelect: "none",
+  };
+
+  const stateStyle = {
+    fontSize: 14,
+    color: "#ff3333",
+    letterSpacing: 2,
+    textShadow: "0 0 6px rgba(255,51,51,0.6)",
+    marginBottom: 6,
+  };
+
+  const sectionLabelStyle = {
+    color: "#666",
+    letterSpacing: 1,
+    marginTop: 8,
+    marginBottom: 2,
+  };
+
+  return (
+    <div style={containerStyle} data-testid="scene-debug">
+      <div style={sectionLabelStyle}>SCENE STATE</div>
+      <div style={stateStyle} data-testid="scene-state">
+        {state}
+      </div>
+
+      <div style={sectionLabelStyle}>CONTEXT</div>
+      {Object.entries(context).map(([key, value]) => (
+        <div key={key}>
+          {key}: {String(value)}
+        </div>
+      ))}
+
+      <div style={sectionLabelStyle}>QUALITY</div>
+      <div data-testid="quality-state">
+        {mode.toUpperCase()} · {QUALITY_TIERS[tier].label} ·{" "}
+        {fps === null ? "— fps" : `${fps} fps`}
+      </div>
+      <div>
+        frames: <span data-testid="frame-count">{frames}</span>
+      </div>
+
+      <div style={sectionLabelStyle}>EVENTS</div>
+      {recent.length === 0 && <div>—</div>}
+      {recent.map((entry) => (
+        <div
+          key={entry.id}
+          style={{ color: entry.rejected ? "#ff6644" : "#aaa" }}
+        >
+          {entry.rejected
+            ? `✕ ${entry.event} (in ${entry.from})`
+            : `${entry.event}: ${entry.from} → ${entry.to}`}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from "react";
+import { createFramePreview } from "../lib/framePreview";
+import { DEFAULT_PLAYBACK_MODE, PLAYBACK_MODE_LABELS } from "../lib/playlist";
 
 /* ═══════════════════════════════════════════════════════════════════
    SHARED UTILITIES
@@ -11,6 +13,73 @@ function formatTime(seconds) {
   return `${m}:${s.toString().padStart(2, "0")}`;
 }
 
+// Slider keys (WAI-ARIA slider pattern) → new value, or null if the key
+// isn't one of them. Callers clamp.
+function sliderKeyValue(key, value, { step, page, max }) {
+  switch (key) {
+    case "ArrowRight":
+    case "ArrowUp":
+      return value + step;
+    case "ArrowLeft":
+    case "ArrowDown":
+      return value - step;
+    case "PageUp":
+      return value + page;
+    case "PageDown":
+      return value - page;
+    case "Home":
+      return 0;
+    case "End":
+      return max;
+    default:
+      return null;
+  }
+}
+
+// 0..1 position of the pointer along the bar it was pressed on
+function pointerRatio(e) {
+  const rect = e.currentTarget.getBoundingClientRect();
+  return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+}
+
+// Pointer-capture dragging along a horizontal bar (mouse, pen and touch).
+// onChange(ratio) fires on press and on every move while held, onEnd(e,
+// ratio) on release with the last ratio; the bar needs touch-action: none
+// so touch drags aren't taken as page scrolls.
+function useBarDrag(onChange, onEnd) {
+  const draggingRef = useRef(false);
+  const ratioRef = useRef(0);
+
+  const move = (e) => {
+    ratioRef.current = pointerRatio(e);
+    onChange(ratioRef.current);
+  };
+
+  const end = (e) => {
+    if (!draggingRef.current) return;
+    draggingRef.current = false;
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
+      e.currentTarget.releasePointerCapture(e.pointerId);
+    }
+    onEnd?.(e, ratioRef.current);
+  };
+
+  return {
+    onPointerDown: (e) => {
+      if (e.button !== 0) return;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      draggingRef.current = true;
+      move(e);
+    },
+    onPointerMove: (e) => {
+      if (draggingRef.current) move(e);
+    },
+    onPointerUp: end,
+    onPointerCancel: end,
+    isDragging: () => draggingRef.current,
+  };
+}
+
 function useVideoTime(videoRef) {
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
@@ -68,8 +137,18 @@ const INJECTED_CSS = `
   .vhs-btn {
     transition: filter 0.1s, transform 0.05s, box-shadow 0.1s;
   }
-  .vhs-btn:hover {
-    filter: brightness(1.12);
+  /* Touch screens keep :hover after a tap; only real pointers get it */
+  @media (hover: hover) {
+    .vhs-btn:hover {
+      filter: brightness(1.12);
+    }
+    .vhs-fader-knob:hover {
+      transform: scaleY(1.1);
+    }
+    .vhs-round-btn:hover {
+      transform: translateY(-1px);
+      filter: brightness(1.08);
+    }
   }
   .vhs-btn:active {
     filter: brightness(0.95);
@@ -81,20 +160,23 @@ const INJECTED_CSS = `
   .vhs-fader-knob {
     transition: transform 0.1s;
   }
-  .vhs-fader-knob:hover {
-    transform: scaleY(1.1);
-  }
   .vhs-round-btn {
     transition: transform 0.12s ease, filter 0.12s ease, box-shadow 0.12s ease;
   }
-  .vhs-round-btn:hover {
-    transform: translateY(-1px);
-    filter: brightness(1.08);
-  }
   .vhs-round-btn:active {
     transform: translateY(1px);
     filter: brightness(0.95);
   }
+  /* Keyboard focus: an LED-red ring, mouse clicks don't show it */
+  .vhs-panel button:focus-visible,
+  .vhs-panel [role="slider"]:focus-visible {
+    outline: 2px solid #ff3333;
+    outline-offset: 2px;
+  }
+  .vhs-panel button:focus:not(:focus-visible),
+  .vhs-panel [role="slider"]:focus:not(:focus-visible) {
+    outline: none;
+  }
 `;
 
 /* ═══════════════════════════════════════════════════════════════════
@@ -113,6 +195,10 @@ const VHS = {
   text: "#777",
 };
 
+const PANEL_WIDTH = 380;
+const PREVIEW_WIDTH = 96;
+const PREVIEW_HEIGHT = 72;
+
 /* ═══════════════════════════════════════════════════════════════════
    MAIN COMPONENT
    ═══════════════════════════════════════════════════════════════════ */
@@ -124,21 +210,48 @@ export default function VideoControls({
   videos,
   onPlayPause,
   onSeek,
+  volume,
+  muted = false,
+  onVolumeChange,
+  onToggleMute,
+  onClearSavedData,
   onSwitchVideo,
   onHide,
   onResetAll,
   actionLayout = "rightTransport",
+  crtLabel,
+  onCycleCrt,
+  crtSpeaker = false,
+  onToggleCrtSpeaker,
+  uiVolume = 0,
+  onUiVolumeChange,
+  onButtonClick,
+  captionTracks = [],
+  captionLang = null,
+  captionsOn = false,
+  onToggleCaptions,
+  onCycleCaptionLang,
+  playbackMode = DEFAULT_PLAYBACK_MODE,
+  onCyclePlaybackMode,
+  upNext = null,
+  queuedCount = 0,
+  compact = false,
 }) {
   const { currentTime, duration } = useVideoTime(videoRef);
-  const [volume, setVolume] = useState(1);
-  const lastNonZeroVolumeRef = useRef(1);
-
-  // Sync volume on mount
-  useEffect(() => {
-    if (videoRef.current) {
-      setVolume(videoRef.current.volume);
-    }
-  }, [videoRef]);
+  const rootRef = useRef(null);
+  const previewCanvasRef = useRef(null);
+  const framePreviewRef = useRef(null);
+  // Time under the pointer while scrubbing (drives the VFD readout)
+  const [scrubTime, setScrubTime] = useState(null);
+  // Hover tooltip: { time, x, width } with x relative to the panel
+  const [preview, setPreview] = useState(null);
+  // Phones: only the display, tape and transport until expanded
+  const [expanded, setExpanded] = useState(false);
+  // CLR asks in the panel before anything is wiped
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const collapsed = compact && !expanded;
+  const currentVideo = videos[currentVideoIndex];
+  const modeLabel = PLAYBACK_MODE_LABELS[playbackMode];
 
   // ── Hide handler ────────────────────────────────────────────
   const startHide = useCallback(() => {
@@ -155,31 +268,83 @@ export default function VideoControls({
   }, [startHide]);
 
   // ── Handlers ────────────────────────────────────────────────
-  const handleVolumeChange = useCallback(
-    (newVol) => {
-      const clamped = Math.max(0, Math.min(1, newVol));
-      setVolume(clamped);
-      if (videoRef.current) videoRef.current.volume = clamped;
+  // ── Tape bar: drag to scrub, hover for a frame preview ──────
+  const tapeDrag = useBarDrag(
+    (ratio) => {
+      const video = videoRef.current;
+      if (!video || !duration) return;
+      video.currentTime = ratio * duration;
+      setScrubTime(ratio * duration);
+    },
+    (e) => {
+      setScrubTime(null);
+      // Touch has no hover: the tooltip only lives as long as the drag
+      if (e.pointerType !== "mouse") setPreview(null);
     },
-    [videoRef],
   );
 
-  const handleProgressClick = useCallback(
-    (e) => {
-      const rect = e.currentTarget.getBoundingClientRect();
-      const ratio = Math.max(
-        0,
-        Math.min(1, (e.clientX - rect.left) / rect.width),
+  const showPreview = (e) => {
+    if (!duration || !rootRef.current) return;
+    const ratio = pointerRatio(e);
+    const bar = e.currentTarget.getBoundingClientRect();
+    const root = rootRef.current.getBoundingClientRect();
+    // The hidden preview video is only loaded once someone hovers
+    if (!framePreviewRef.current) {
+      framePreviewRef.current = createFramePreview(
+        currentVideo.src,
+        previewCanvasRef.current,
       );
-      if (videoRef.current && duration) {
-        videoRef.current.currentTime = ratio * duration;
-      }
+    }
+    framePreviewRef.current.request(ratio * duration);
+    setPreview({
+      time: ratio * duration,
+      x: bar.left - root.left + ratio * bar.width,
+      width: root.width,
+    });
+  };
+
+  const handleTapePointerDown = (e) => {
+    tapeDrag.onPointerDown(e);
+    showPreview(e);
+  };
+
+  const handleTapePointerMove = (e) => {
+    tapeDrag.onPointerMove(e);
+    showPreview(e);
+  };
+
+  const handleTapePointerLeave = () => {
+    if (!tapeDrag.isDragging()) setPreview(null);
+  };
+
+  // New channel, new preview source
+  useEffect(() => {
+    return () => {
+      framePreviewRef.current?.dispose();
+      framePreviewRef.current = null;
+    };
+  }, [currentVideo.src]);
+
+  const handleProgressKeyDown = useCallback(
+    (e) => {
+      const video = videoRef.current;
+      if (!video || !duration) return;
+      const next = sliderKeyValue(e.key, video.currentTime, {
+        step: 5,
+        page: 30,
+        max: duration,
+      });
+      if (next === null) return;
+      e.preventDefault();
+      video.currentTime = Math.max(0, Math.min(duration, next));
     },
     [videoRef, duration],
   );
 
-  const progress = duration > 0 ? currentTime / duration : 0;
-  const currentVideo = videos[currentVideoIndex];
+  const shownTime = scrubTime ?? currentTime;
+  const progress = duration > 0 ? shownTime / duration : 0;
+  const captionLabel =
+    captionTracks.find((track) => track.lang === captionLang)?.label ?? captionLang;
 
   const handlePrevVideo = useCallback(() => {
     const prev = (currentVideoIndex - 1 + videos.length) % videos.length;
@@ -191,25 +356,36 @@ export default function VideoControls({
     onSwitchVideo(next);
   }, [currentVideoIndex, videos.length, onSwitchVideo]);
 
-  const handleVolClick = (e) => {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const ratio = Math.max(
-      0,
-      Math.min(1, (e.clientX - rect.left) / rect.width),
-    );
-    handleVolumeChange(ratio);
+  // Faders save the level once, on release, not on every move
+  const volDrag = useBarDrag(
+    (ratio) => onVolumeChange(ratio, { save: false }),
+    (e, ratio) => onVolumeChange(ratio),
+  );
+  const sfxDrag = useBarDrag(
+    (ratio) => onUiVolumeChange?.(ratio, { save: false }),
+    (e, ratio) => onUiVolumeChange?.(ratio),
+  );
+  // The fader reads 0 while muted; moving it picks a level and unmutes
+  const shownVolume = muted ? 0 : volume;
+
+  const handleVolKeyDown = (e) => {
+    const next = sliderKeyValue(e.key, shownVolume, { step: 0.05, page: 0.2, max: 1 });
+    if (next === null) return;
+    e.preventDefault();
+    onVolumeChange(Math.round(next * 100) / 100);
   };
 
-  const handleVolLabelClick = useCallback(() => {
-    if (volume > 0) {
-      lastNonZeroVolumeRef.current = volume;
-      handleVolumeChange(0);
-      return;
-    }
-    const restored =
-      lastNonZeroVolumeRef.current > 0 ? lastNonZeroVolumeRef.current : 1;
-    handleVolumeChange(restored);
-  }, [volume, handleVolumeChange]);
+  const handleSfxKeyDown = (e) => {
+    const next = sliderKeyValue(e.key, uiVolume, { step: 0.05, page: 0.2, max: 1 });
+    if (next === null) return;
+    e.preventDefault();
+    onUiVolumeChange(Math.round(next * 100) / 100);
+  };
+
+  // Mechanical click for every VHS button (mouse, touch or keyboard)
+  const handleClickCapture = (e) => {
+    if (e.target.closest?.(".vhs-btn")) onButtonClick?.();
+  };
 
   /* ── Styles ──────────────────────────────────────────────────── */
 
@@ -220,7 +396,7 @@ export default function VideoControls({
     border: "1px solid #2a2a2a",
     borderRadius: 5,
     padding: 0,
-    width: 380,
+    width: compact ? "100%" : PANEL_WIDTH,
     boxShadow:
       "0 8px 32px rgba(0,0,0,0.7), 0 2px 8px rgba(0,0,0,0.4), inset 0 1px 0 rgba(255,255,255,0.04)",
     overflow: "hidden",
@@ -284,12 +460,48 @@ export default function VideoControls({
     flexShrink: 0,
   };
 
+  // Unlit segments stay readable (grey) rather than dim red on black
+  const vfdBtn = (lit) => ({
+    height: 16,
+    padding: "0 4px",
+    border: `1px solid ${lit ? VHS.led : "#3a3a3a"}`,
+    borderRadius: 2,
+    background: "transparent",
+    color: lit ? VHS.led : "#8a8a8a",
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 10,
+    letterSpacing: 1,
+    lineHeight: 1,
+    cursor: "pointer",
+    textShadow: lit ? "0 0 4px rgba(255,51,51,0.6)" : "none",
+  });
+
+  // Second, smaller VFD line: what plays next and the playback mode
+  const upNextRow = {
+    margin: "-4px 12px 8px",
+    padding: "3px 8px 3px 12px",
+    background: VHS.ledBg,
+    borderRadius: 3,
+    border: "1px solid #1a1a1a",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+    boxShadow: "inset 0 2px 6px rgba(0,0,0,0.9)",
+  };
+
+  // Taller invisible hit area around the 4px bar (easier to grab by touch)
+  const tapeHitArea = {
+    margin: "-6px 12px 2px",
+    padding: "6px 0",
+    cursor: "pointer",
+    touchAction: "none",
+  };
+
   const tapeBar = {
-    margin: "0 12px 8px",
     height: 4,
     background: "#060606",
     borderRadius: 2,
-    cursor: "pointer",
     position: "relative",
     border: "1px solid #1a1a1a",
     boxShadow: "inset 0 1px 3px rgba(0,0,0,0.6)",
@@ -300,10 +512,39 @@ export default function VideoControls({
     height: "100%",
     background: `linear-gradient(90deg, ${VHS.led}, #ff6644)`,
     borderRadius: 2,
-    transition: "width 0.1s linear",
+    transition: scrubTime === null ? "width 0.1s linear" : "none",
     boxShadow: "0 0 4px rgba(255,51,51,0.3)",
   };
 
+  // Floats above the panel (which clips its content)
+  const previewTip = {
+    display: preview ? "block" : "none",
+    position: "absolute",
+    bottom: "calc(100% + 6px)",
+    left: Math.max(
+      PREVIEW_WIDTH / 2 + 4,
+      Math.min(
+        (preview?.width ?? PANEL_WIDTH) - PREVIEW_WIDTH / 2 - 4,
+        preview?.x ?? 0,
+      ),
+    ),
+    transform: "translateX(-50%)",
+    padding: 3,
+    background: VHS.ledBg,
+    border: "1px solid #2a2a2a",
+    borderRadius: 3,
+    boxShadow: "0 4px 14px rgba(0,0,0,0.7)",
+    pointerEvents: "none",
+    zIndex: 30,
+  };
+
+  const previewFrame = {
+    display: "block",
+    width: PREVIEW_WIDTH,
+    height: PREVIEW_HEIGHT,
+    background: "#000",
+  };
+
   const transportArea = {
     display: "flex",
     alignItems: "center",
@@ -347,12 +588,13 @@ export default function VideoControls({
     whiteSpace: "nowrap",
   };
 
+  // Narrower dividers on phones so the row fits a 360px screen
   const chSection = {
     display: "flex",
     alignItems: "center",
-    marginLeft: 20,
-    paddingLeft: 16,
-    paddingRight: 16,
+    marginLeft: compact ? 8 : 20,
+    paddingLeft: compact ? 10 : 16,
+    paddingRight: compact ? 10 : 16,
     borderLeft: "1px solid #252525",
     borderRight: "1px solid #252525",
     borderTop: "none",
@@ -410,6 +652,15 @@ export default function VideoControls({
     minWidth: 30,
   };
 
+  const faderLabelBtn = {
+    ...faderLabel,
+    padding: 0,
+    border: "none",
+    background: "none",
+    textAlign: "left",
+    cursor: "pointer",
+  };
+
   const faderTrack = {
     flex: 1,
     height: 8,
@@ -419,10 +670,11 @@ export default function VideoControls({
     cursor: "pointer",
     border: "1px solid #1a1a1a",
     boxShadow: "inset 0 1px 4px rgba(0,0,0,0.6)",
+    touchAction: "none",
   };
 
   const faderFill = {
-    width: `${volume * 100}%`,
+    width: `${shownVolume * 100}%`,
     height: "100%",
     background: "linear-gradient(90deg, #444, #888)",
     borderRadius: 4,
@@ -441,6 +693,29 @@ export default function VideoControls({
     boxShadow: "0 1px 3px rgba(0,0,0,0.6), inset 0 1px 0 rgba(255,255,255,0.3)",
   };
 
+  const confirmTitle = {
+    ...faderLabel,
+    color: "#ff3333",
+    letterSpacing: 2,
+    textShadow: "0 0 6px rgba(255,51,51,0.5)",
+  };
+
+  const modeBtn = {
+    height: 18,
+    padding: "0 6px",
+    border: "none",
+    borderRadius: 2,
+    background: `linear-gradient(180deg, #303030 0%, ${VHS.btnFace} 40%, #1e1e1e 100%)`,
+    color: VHS.text,
+    fontFamily: "'Share Tech Mono', monospace",
+    fontSize: 9,
+    letterSpacing: 1,
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+    boxShadow:
+      "0 1px 3px rgba(0,0,0,0.5), inset 0 1px 0 rgba(255,255,255,0.08), inset -1px -1px 0 rgba(0,0,0,0.25)",
+  };
+
   const roundActionBtn = {
     width: 28,
     height: 28,
@@ -469,6 +744,7 @@ export default function VideoControls({
         onClick={startHide}
         style={roundActionBtn}
         title="Hide panel (H)"
+        aria-label="Hide panel"
       >
         -
       </button>
@@ -477,6 +753,7 @@ export default function VideoControls({
         onClick={() => onResetAll?.()}
         style={roundActionBtn}
         title="Reset all (day + default scene)"
+        aria-label="Power off"
       >
         ⏻
       </button>
@@ -488,10 +765,32 @@ export default function VideoControls({
   const bottomActionRow = actionLayout === "bottomActionRow";
 
   return (
-    <div>
+    <div
+      ref={rootRef}
+      role="region"
+      aria-label="Video controls"
+      onClickCapture={handleClickCapture}
+      style={{
+        position: "relative",
+        ...(compact && { width: "100%", maxWidth: PANEL_WIDTH }),
+      }}
+    >
       <style>{INJECTED_CSS}</style>
 
-      <div style={panel}>
+      {/* Tape hover / scrub preview */}
+      <div style={previewTip} aria-hidden="true">
+        <canvas
+          ref={previewCanvasRef}
+          width={PREVIEW_WIDTH}
+          height={PREVIEW_HEIGHT}
+          style={previewFrame}
+        />
+        <div style={{ ...ledLabel, textAlign: "center", marginTop: 2 }}>
+          {formatTime(preview?.time)}
+        </div>
+      </div>
+
+      <div className="vhs-panel" style={panel}>
         {/* Top-right pair option */}
         {topRightPair &&
           renderActionButtons({
@@ -512,23 +811,104 @@ export default function VideoControls({
               {isPlaying ? "PLAY" : "PAUSE"} - {currentVideo.label}
             </span>
           </div>
-          <span style={ledText}>{formatTime(currentTime)}</span>
+          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <button
+              style={vfdBtn(captionsOn && captionTracks.length > 0)}
+              onClick={onToggleCaptions}
+              disabled={captionTracks.length === 0}
+              aria-label="Captions"
+              aria-pressed={captionsOn}
+              title={
+                captionTracks.length === 0
+                  ? "No captions for this video"
+                  : captionsOn
+                    ? "Hide captions"
+                    : "Show captions"
+              }
+            >
+              CC
+            </button>
+            {captionsOn && captionTracks.length > 1 && (
+              <button
+                style={vfdBtn(true)}
+                onClick={onCycleCaptionLang}
+                title={`Caption language: ${captionLabel} (click to change)`}
+                aria-label={`Caption language: ${captionLabel}`}
+              >
+                {captionLang.toUpperCase()}
+              </button>
+            )}
+            <span style={ledText} aria-hidden="true">
+              {formatTime(shownTime)}
+            </span>
+            {compact && (
+              <button
+                style={vfdBtn(expanded)}
+                onClick={() => setExpanded((v) => !v)}
+                aria-label="More controls"
+                aria-expanded={expanded}
+                title={expanded ? "Fewer controls" : "More controls"}
+              >
+                {expanded ? "▾" : "▴"}
+              </button>
+            )}
+          </div>
         </div>
 
+        {/* Up next + playback mode (REPEAT / SHUFFLE / STOP) */}
+        {!collapsed && (
+          <div style={upNextRow}>
+            <span style={{ ...ledLabel, fontSize: 10, maxWidth: 230 }}>
+              NEXT ▸ {upNext ? upNext.label : "POWER OFF"}
+              {queuedCount > 1 && ` +${queuedCount - 1} QUEUED`}
+            </span>
+            {onCyclePlaybackMode && (
+              <button
+                style={vfdBtn(playbackMode !== DEFAULT_PLAYBACK_MODE)}
+                onClick={onCyclePlaybackMode}
+                aria-label={`Playback mode: ${modeLabel.name}`}
+                title={`${modeLabel.name} (click to change)`}
+              >
+                {modeLabel.vfd}
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Tape progress */}
-        <div style={tapeBar} onClick={handleProgressClick}>
-          <div style={tapeFill} />
+        <div
+          style={tapeHitArea}
+          onPointerDown={handleTapePointerDown}
+          onPointerMove={handleTapePointerMove}
+          onPointerUp={tapeDrag.onPointerUp}
+          onPointerCancel={tapeDrag.onPointerCancel}
+          onPointerLeave={handleTapePointerLeave}
+          onKeyDown={handleProgressKeyDown}
+          role="slider"
+          tabIndex={0}
+          aria-label="Seek"
+          aria-valuemin={0}
+          aria-valuemax={Math.floor(duration)}
+          aria-valuenow={Math.floor(shownTime)}
+          aria-valuetext={`${formatTime(shownTime)} of ${formatTime(duration)}`}
+        >
+          <div style={tapeBar}>
+            <div style={tapeFill} />
+          </div>
         </div>
 
         {/* Transport buttons + Channel switcher */}
         <div style={transportArea}>
           <div style={seekBtnWrapper}>
-            <span style={seekLabel}>-10</span>
+            <span style={seekLabel} aria-hidden="true">
+              -10
+            </span>
             <button
               className="vhs-btn"
               style={makeVhsBtn()}
               onClick={() => onSeek(-10)}
               title="Rewind 10s"
+              aria-label="Rewind 10 seconds"
             >
               ◂◂
             </button>
@@ -539,17 +919,21 @@ export default function VideoControls({
             style={{ ...makeVhsBtn(), width: 48 }}
             onClick={onPlayPause}
             title={isPlaying ? "Pause" : "Play"}
+            aria-label={isPlaying ? "Pause" : "Play"}
           >
             {isPlaying ? "▮▮" : "▶"}
           </button>
 
           <div style={seekBtnWrapper}>
-            <span style={seekLabel}>+10</span>
+            <span style={seekLabel} aria-hidden="true">
+              +10
+            </span>
             <button
               className="vhs-btn"
               style={makeVhsBtn()}
               onClick={() => onSeek(10)}
               title="Forward 10s"
+              aria-label="Forward 10 seconds"
             >
               ▸▸
             </button>
@@ -557,12 +941,15 @@ export default function VideoControls({
 
           <div style={chSection}>
             <div style={chInner}>
-              <span style={chLabel}>CH</span>
+              <span style={chLabel} aria-hidden="true">
+                CH
+              </span>
               <button
                 className="vhs-btn"
                 style={chArrow}
                 onClick={handleNextVideo}
                 title="Next video"
+                aria-label="Next channel"
               >
                 ▼
               </button>
@@ -571,6 +958,7 @@ export default function VideoControls({
                 style={chArrow}
                 onClick={handlePrevVideo}
                 title="Previous video"
+                aria-label="Previous channel"
               >
                 ▲
               </button>
@@ -581,26 +969,140 @@ export default function VideoControls({
             renderActionButtons({ marginLeft: 12, marginRight: 0 })}
         </div>
 
-        {/* Volume fader */}
-        <div style={faderRow}>
-          <span
-            style={{ ...faderLabel, cursor: "pointer" }}
-            onClick={handleVolLabelClick}
-            title="Toggle mute"
+        {/* CLR confirmation, in place of the volume row */}
+        {!collapsed && confirmingClear && (
+          <div
+            style={faderRow}
+            role="group"
+            aria-label="Clear saved data"
+            data-testid="clear-confirm"
           >
-            VOL
-          </span>
-          <div style={faderTrack} onClick={handleVolClick}>
-            <div style={faderFill}>
-              <div className="vhs-fader-knob" style={faderKnob} />
+            <span style={confirmTitle}>CLEAR?</span>
+            <span style={{ ...faderLabel, flex: 1 }}>
+              Saved settings and resume point
+            </span>
+            <button
+              className="vhs-btn"
+              style={modeBtn}
+              onClick={() => {
+                setConfirmingClear(false);
+                onClearSavedData();
+              }}
+            >
+              CLEAR
+            </button>
+            <button
+              className="vhs-btn"
+              style={modeBtn}
+              onClick={() => setConfirmingClear(false)}
+            >
+              CANCEL
+            </button>
+          </div>
+        )}
+
+        {/* Volume fader */}
+        {!collapsed && !confirmingClear && (
+          <div style={faderRow}>
+            <button
+              style={faderLabelBtn}
+              onClick={onToggleMute}
+              title="Toggle mute"
+              aria-label="Mute"
+              aria-pressed={shownVolume === 0}
+            >
+              VOL
+            </button>
+            <div
+              style={faderTrack}
+              onPointerDown={volDrag.onPointerDown}
+              onPointerMove={volDrag.onPointerMove}
+              onPointerUp={volDrag.onPointerUp}
+              onPointerCancel={volDrag.onPointerCancel}
+              onKeyDown={handleVolKeyDown}
+              role="slider"
+              tabIndex={0}
+              aria-label="Volume"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={Math.round(shownVolume * 100)}
+              aria-valuetext={`${Math.round(shownVolume * 100)}%`}
+            >
+              <div style={faderFill}>
+                <div className="vhs-fader-knob" style={faderKnob} />
+              </div>
             </div>
+            <span style={{ ...faderLabel, textAlign: "right" }} aria-hidden="true">
+              {Math.round(shownVolume * 100)}
+            </span>
+            {onCycleCrt && (
+              <button
+                className="vhs-btn"
+                style={modeBtn}
+                onClick={onCycleCrt}
+                title="CRT mode (C)"
+              >
+                CRT {crtLabel}
+              </button>
+            )}
+            {onToggleCrtSpeaker && (
+              <button
+                className="vhs-btn"
+                style={modeBtn}
+                onClick={onToggleCrtSpeaker}
+                title="TV speaker sound: small CRT speaker or full range"
+                aria-label="CRT speaker sound"
+                aria-pressed={crtSpeaker}
+              >
+                SPK {crtSpeaker ? "CRT" : "FULL"}
+              </button>
+            )}
+            {onClearSavedData && (
+              <button
+                className="vhs-btn"
+                style={modeBtn}
+                onClick={() => setConfirmingClear(true)}
+                title="Clear saved settings and resume point"
+                aria-label="Clear saved data"
+              >
+                CLR
+              </button>
+            )}
           </div>
-          <span style={{ ...faderLabel, textAlign: "right" }}>
-            {Math.round(volume * 100)}
-          </span>
-        </div>
+        )}
+
+        {/* UI sound level (room tone, clicks, static), apart from VOL */}
+        {!collapsed && onUiVolumeChange && (
+          <div style={faderRow}>
+            <span style={faderLabel} aria-hidden="true">
+              SFX
+            </span>
+            <div
+              style={faderTrack}
+              onPointerDown={sfxDrag.onPointerDown}
+              onPointerMove={sfxDrag.onPointerMove}
+              onPointerUp={sfxDrag.onPointerUp}
+              onPointerCancel={sfxDrag.onPointerCancel}
+              onKeyDown={handleSfxKeyDown}
+              role="slider"
+              tabIndex={0}
+              aria-label="Sound effects volume"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={Math.round(uiVolume * 100)}
+              aria-valuetext={`${Math.round(uiVolume * 100)}%`}
+            >
+              <div style={{ ...faderFill, width: `${uiVolume * 100}%` }}>
+                <div className="vhs-fader-knob" style={faderKnob} />
+              </div>
+            </div>
+            <span style={{ ...faderLabel, textAlign: "right" }} aria-hidden="true">
+              {Math.round(uiVolume * 100)}
+            </span>
+          </div>
+        )}
 
-        {bottomActionRow && (
+        {bottomActionRow && !collapsed && (
           <div
             style={{
               display: "flex",
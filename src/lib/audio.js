@@ -0,0 +1,17 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Shared WebAudio context (created lazily: browsers only allow audio
+   after a user gesture)
+   ═══════════════════════════════════════════════════════════════════ */
+
+let context = null;
+
+export function getAudioContext() {
+  if (typeof window === "undefined") return null;
+  if (!context) {
+    const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+  }
+  if (context.state === "suspended") context.resume().catch(() => {});
+  return context;
+}
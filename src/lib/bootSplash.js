@@ -0,0 +1,243 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Boot screens – drawn on a canvas, no image or audio assets
+   · Boot splash: shown while the console's RESET restarts the game
+   · Boot sequence: optional intro before a game's video (logo reveal,
+     licensing screen and a synthesized chime)
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const BOOT_SPLASH_DURATION = 1.6; // seconds
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+let splashTexture = null;
+
+const clamp01 = (t) => Math.max(0, Math.min(1, t));
+const smooth = (t) => t * t * (3 - 2 * t);
+
+function createCanvasTexture() {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  // Same orientation as the video texture on the GLTF screen UVs
+  texture.flipY = false;
+  return { ctx: canvas.getContext("2d"), texture };
+}
+
+// Diamond logo: four facets revealed one after another (reveal 0..1),
+// then the outline
+function drawDiamond(ctx, cx, cy, r, { color, reveal = 1, lineWidth = 10 }) {
+  const top = [cx, cy - r];
+  const right = [cx + r, cy];
+  const bottom = [cx, cy + r];
+  const left = [cx - r, cy];
+  const alpha = ctx.globalAlpha; // callers fade the whole logo
+  const facets = [
+    [top, right, [cx, cy], 0.95],
+    [right, bottom, [cx, cy], 0.7],
+    [bottom, left, [cx, cy], 0.85],
+    [left, top, [cx, cy], 0.6],
+  ];
+
+  facets.forEach(([a, b, c, shade], i) => {
+    const amount = clamp01(reveal * facets.length - i);
+    if (amount <= 0) return;
+    ctx.globalAlpha = alpha * smooth(amount);
+    ctx.fillStyle = `rgb(${color.map((v) => Math.round(v * shade)).join(",")})`;
+    ctx.beginPath();
+    ctx.moveTo(...a);
+    ctx.lineTo(...b);
+    ctx.lineTo(...c);
+    ctx.closePath();
+    ctx.fill();
+  });
+
+  ctx.globalAlpha = alpha;
+  ctx.strokeStyle = `rgb(${color.join(",")})`;
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = "miter";
+  ctx.beginPath();
+  ctx.moveTo(...top);
+  ctx.lineTo(...right);
+  ctx.lineTo(...bottom);
+  ctx.lineTo(...left);
+  ctx.closePath();
+  ctx.stroke();
+}
+
+function drawSplash(ctx) {
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  const cx = WIDTH / 2;
+  const cy = HEIGHT / 2 - 24;
+  const r = 70;
+  drawDiamond(ctx, cx, cy, r, { color: [242, 242, 242], reveal: 0 });
+
+  ctx.fillStyle = "#d8d8d8";
+  ctx.font = "bold 28px 'Courier New', monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("SYSTEM RESET", cx, cy + r + 60);
+}
+
+// One shared texture; it is static, so it is drawn once
+export function getBootSplashTexture() {
+  if (splashTexture) return splashTexture;
+  const { ctx, texture } = createCanvasTexture();
+  drawSplash(ctx);
+  splashTexture = texture;
+  return splashTexture;
+}
+
+/* ── Boot sequence ─────────────────────────────────────────────────── */
+
+// Timeline (seconds)
+const LOGO_IN = 0.4; // black → white
+const LOGO_REVEAL = 1.6; // facets appear
+const LOGO_OUT = 3.0; // white → black
+const LICENSE_IN = 3.4;
+const LICENSE_OUT = 5.2;
+export const BOOT_SEQUENCE_DURATION = 5.6;
+export const BOOT_CHIME_AT = LOGO_IN;
+
+function drawLogoScreen(ctx, t) {
+  const white = smooth(clamp01(t / LOGO_IN)) * (1 - smooth(clamp01((t - LOGO_OUT + 0.4) / 0.4)));
+  const level = Math.round(236 * white);
+  ctx.fillStyle = `rgb(${level},${level},${level + Math.round(4 * white)})`;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  if (white <= 0) return;
+
+  const reveal = clamp01((t - LOGO_IN) / LOGO_REVEAL);
+  const cx = WIDTH / 2;
+  const cy = HEIGHT / 2 - 30;
+  ctx.globalAlpha = white;
+  drawDiamond(ctx, cx, cy, 78, { color: [40, 40, 48], reveal, lineWidth: 6 });
+
+  const text = smooth(clamp01((t - LOGO_IN - LOGO_REVEAL * 0.7) / 0.5));
+  ctx.globalAlpha = white * text;
+  ctx.fillStyle = "#2a2a30";
+  ctx.font = "bold 26px 'Courier New', monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("INTERACTIVE", cx, cy + 128);
+  ctx.font = "18px 'Courier New', monospace";
+  ctx.fillText("ENTERTAINMENT SYSTEM", cx, cy + 158);
+  ctx.globalAlpha = 1;
+}
+
+function drawLicenseScreen(ctx, t, region) {
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  const fade =
+    smooth(clamp01((t - LICENSE_IN) / 0.5)) *
+    (1 - smooth(clamp01((t - LICENSE_OUT) / 0.4)));
+  if (fade <= 0) return;
+
+  const cx = WIDTH / 2;
+  const cy = HEIGHT / 2;
+  ctx.globalAlpha = fade;
+  ctx.fillStyle = "#e8e8e8";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.font = "22px 'Courier New', monospace";
+  ctx.fillText("Licensed for display in this", cx, cy - 44);
+  ctx.fillText("showcase by its authors", cx, cy - 14);
+  drawDiamond(ctx, cx, cy + 44, 18, { color: [232, 232, 232], lineWidth: 3 });
+  if (region) {
+    ctx.font = "16px 'Courier New', monospace";
+    ctx.fillText(region, cx, cy + 96);
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Animated intro texture. Call advance(delta) every frame; it returns true
+// once the sequence has finished.
+export function createBootSequence({ region } = {}) {
+  const { ctx, texture } = createCanvasTexture();
+  let elapsed = 0;
+
+  const draw = () => {
+    if (elapsed < LOGO_OUT + 0.4) drawLogoScreen(ctx, elapsed);
+    else drawLicenseScreen(ctx, elapsed, region);
+    texture.needsUpdate = true;
+  };
+  draw();
+
+  return {
+    texture,
+    advance(delta) {
+      elapsed += delta;
+      draw();
+      return elapsed >= BOOT_SEQUENCE_DURATION;
+    },
+    dispose: () => texture.dispose(),
+  };
+}
+
+// Input that skips the intro: a primary click or tap, Enter, Space or
+// Escape. Not the input that started it, which can still be bubbling up
+// to a window listener added meanwhile: events stamped before
+// `startedAt` (performance.now()) don't count.
+const SKIP_KEYS = new Set(["Enter", " ", "Escape"]);
+
+export function isBootSkip(event, startedAt) {
+  if (event.timeStamp < startedAt) return false;
+  if (event.type === "keydown") return SKIP_KEYS.has(event.key) && !event.repeat;
+  if (event.type === "pointerdown") return event.button === 0;
+  return false;
+}
+
+// Synthesized chime: a soft bell chord over a low swell with a sparkle on
+// top. Returns a function that fades it out early (when skipped).
+export function playBootChime(audio, { volume = 1, delay = 0 } = {}) {
+  const start = audio.currentTime + delay;
+  const master = audio.createGain();
+  master.gain.value = 0.22 * volume;
+  master.connect(audio.destination);
+
+  const voices = [];
+  const voice = (type, freq, { at = 0, attack = 0.02, length = 2.8, level = 1, glideTo } = {}) => {
+    const osc = audio.createOscillator();
+    const gain = audio.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start + at);
+    if (glideTo) osc.frequency.exponentialRampToValueAtTime(glideTo, start + at + length);
+    gain.gain.setValueAtTime(0, start + at);
+    gain.gain.linearRampToValueAtTime(level, start + at + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + at + length);
+    osc.connect(gain).connect(master);
+    osc.start(start + at);
+    osc.stop(start + at + length + 0.05);
+    voices.push(osc);
+  };
+
+  // Bell chord, lightly strummed (Cadd9)
+  [523.25, 659.25, 783.99, 1174.66].forEach((freq, i) => {
+    voice("triangle", freq, { at: i * 0.06, length: 2.6, level: 0.35 });
+    voice("sine", freq * 2, { at: i * 0.06, length: 1.2, level: 0.08 });
+  });
+  // Low swell underneath
+  voice("sine", 130.81, { attack: 0.6, length: 3.2, level: 0.5 });
+  // Rising sparkle
+  voice("sine", 2093, { at: 0.25, attack: 0.3, length: 1.6, level: 0.05, glideTo: 3136 });
+
+  return () => {
+    const now = audio.currentTime;
+    master.gain.cancelScheduledValues(now);
+    master.gain.setValueAtTime(master.gain.value, now);
+    master.gain.linearRampToValueAtTime(0, now + 0.15);
+    for (const osc of voices) {
+      try {
+        osc.stop(now + 0.2);
+      } catch {
+        // Already stopped
+      }
+    }
+  };
+}
@@ -0,0 +1,198 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Camera paths – named keyframe sequences, played by CameraAnimator.
+   Positions and targets follow centripetal Catmull-Rom curves (no
+   overshoot, unlike the uniform curve tried in Phase 2); each segment
+   has its own duration and GSAP ease.
+   ═══════════════════════════════════════════════════════════════════ */
+
+// A keyframe value is absolute ([x, y, z], or degrees for fov), the name
+// of an anchor supplied at play time, or { anchor, offset: [x, y, z] }:
+//   current – where the camera is when the sequence starts
+//   closeup – the fitted TV close-up (lib/framing.js)
+//   home    – the initial view
+// `duration` / `ease` describe the segment that arrives at the keyframe
+// (the first keyframe is the starting point and has neither).
+export const CAMERA_SEQUENCES = {
+  // Swings in from the side and glides straight onto the screen
+  zoomIn: {
+    keyframes: [
+      { position: "current", target: "current", fov: "current" },
+      {
+        position: { anchor: "closeup", offset: [-0.45, 0.2, 1.1] },
+        target: "closeup",
+        fov: 38,
+        duration: 1.2,
+        ease: "power2.in",
+      },
+      {
+        position: "closeup",
+        target: "closeup",
+        fov: "closeup",
+        duration: 1.0,
+        ease: "power2.out",
+      },
+    ],
+  },
+  // Backs away from the TV first, then arcs round to the initial view
+  zoomOut: {
+    keyframes: [
+      { position: "current", target: "current", fov: "current" },
+      {
+        position: { anchor: "current", offset: [0, 0.15, 0.9] },
+        target: "current",
+        fov: "current",
+        duration: 0.8,
+        ease: "power1.in",
+      },
+      {
+        position: "home",
+        target: "home",
+        fov: "home",
+        duration: 1.4,
+        ease: "power2.out",
+      },
+    ],
+  },
+  // Straight back to the initial view (attract mode hand-over)
+  home: {
+    keyframes: [
+      { position: "current", target: "current", fov: "current" },
+      {
+        position: "home",
+        target: "home",
+        fov: "home",
+        duration: 1.5,
+        ease: "power2.inOut",
+      },
+    ],
+  },
+  // Slow orbit around the console (closed loop, constant speed)
+  turntable: {
+    loop: true,
+    leadIn: { duration: 1.5, ease: "power2.inOut" },
+    keyframes: [
+      [-2.14, 1.25, 2.9],
+      [0.54, 1.25, 3.56],
+      [2.9, 1.25, 2.14],
+      [3.56, 1.25, -0.54],
+      [2.14, 1.25, -2.9],
+      [-0.54, 1.25, -3.56],
+      [-2.9, 1.25, -2.14],
+      [-3.56, 1.25, 0.54],
+    ].map((position) => ({
+      position,
+      target: [0, 0.66, 0],
+      fov: 40,
+      duration: 3,
+      ease: "none",
+    })),
+  },
+};
+
+function resolveValue(value, anchors, key) {
+  if (typeof value === "number" || Array.isArray(value)) return value;
+  const name = typeof value === "string" ? value : value?.anchor;
+  const anchor = anchors[name];
+  if (!anchor) throw new Error(`unknown camera anchor "${name}"`);
+  const base = anchor[key];
+  if (typeof value === "string" || !value.offset) return base;
+  return base.map((v, i) => v + (value.offset[i] ?? 0));
+}
+
+// Keyframes with every anchor replaced by numbers.
+// `anchors` maps a name to { position, target, fov }.
+export function resolveKeyframes(keyframes, anchors) {
+  return keyframes.map((kf) => ({
+    position: resolveValue(kf.position, anchors, "position"),
+    target: resolveValue(kf.target, anchors, "target"),
+    fov: resolveValue(kf.fov, anchors, "fov"),
+    duration: kf.duration ?? 0,
+    ease: kf.ease ?? "none",
+  }));
+}
+
+const linear = (t) => t;
+
+const samePoint = (a, b) => a.every((v, i) => Math.abs(v - b[i]) < 1e-6);
+
+function curveThrough(points, closed) {
+  return new THREE.CatmullRomCurve3(
+    points.map((p) => new THREE.Vector3(...p)),
+    closed,
+    "centripetal",
+  );
+}
+
+// sample(time) → { position, target, fov } for resolved keyframes.
+// `closed` loops back from the last keyframe to the first, using the
+// first keyframe's duration / ease for that segment. `ease(name)` turns
+// an ease name into a 0..1 → 0..1 function (gsap.parseEase in the app).
+export function createCameraPath(keyframes, { closed = false, ease = () => linear } = {}) {
+  const count = keyframes.length;
+  const segments = closed ? count : count - 1;
+  const arrival = (s) => keyframes[(s + 1) % count];
+
+  const starts = [];
+  let duration = 0;
+  for (let s = 0; s < segments; s++) {
+    starts.push(duration);
+    duration += arrival(s).duration;
+  }
+
+  if (segments < 1) {
+    const { position, target, fov } = keyframes[0];
+    return { duration: 0, sample: () => ({ position, target, fov }) };
+  }
+
+  const positions = curveThrough(keyframes.map((kf) => kf.position), closed);
+  const targets = curveThrough(keyframes.map((kf) => kf.target), closed);
+  const eases = keyframes.map((kf) => ease(kf.ease) ?? linear);
+  const point = new THREE.Vector3();
+
+  return {
+    duration,
+    sample(time) {
+      const t = Math.max(0, Math.min(duration, time));
+      let s = segments - 1;
+      while (s > 0 && starts[s] > t) s -= 1;
+      const to = (s + 1) % count;
+      const length = keyframes[to].duration;
+      const u = eases[to](length > 0 ? Math.min(1, (t - starts[s]) / length) : 1);
+      const along = (s + u) / segments;
+
+      // A channel that holds still over a segment stays put (the curve
+      // would bulge between two equal points)
+      const at = (key, curve) =>
+        samePoint(keyframes[s][key], keyframes[to][key])
+          ? keyframes[to][key]
+          : curve.getPoint(along, point).toArray();
+
+      return {
+        position: at("position", positions),
+        target: at("target", targets),
+        fov: THREE.MathUtils.lerp(keyframes[s].fov, keyframes[to].fov, u),
+      };
+    },
+  };
+}
+
+// ── Editor export (same shape as the entries above) ───────────────────
+// (`|| 0` drops the -0 that tiny negatives round to)
+const round = (v) => Math.round(v * 1000) / 1000 || 0;
+
+export function captureKeyframe({ position, target, fov }, { duration = 1, ease = "power2.inOut" } = {}) {
+  return {
+    position: position.map(round),
+    target: target.map(round),
+    fov: round(fov),
+    duration,
+    ease,
+  };
+}
+
+export function exportSequence(keyframes, { loop = false } = {}) {
+  const sequence = loop ? { loop: true, keyframes } : { keyframes };
+  return JSON.stringify(sequence, null, 2);
+}
@@ -0,0 +1,160 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Captions – WebVTT / SRT parsing and the caption layer that the CRT
+   shader composites onto the picture (so it follows the curvature)
+   ═══════════════════════════════════════════════════════════════════ */
+
+const TIMING_PATTERN =
+  /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&nbsp;": " ", "&lrm;": "", "&rlm;": "" };
+
+// "01:02:03.456", "02:03.456" (WebVTT) or "01:02:03,456" (SRT) → seconds
+export function parseTimestamp(text) {
+  const [clock, fraction = "0"] = text.trim().split(/[.,]/);
+  const seconds = clock
+    .split(":")
+    .reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  return seconds + parseInt(fraction.padEnd(3, "0"), 10) / 1000;
+}
+
+// Cue text without markup: <i>, <b>, <c.class>, <v Speaker>, timestamps
+function cleanCueText(lines) {
+  return lines
+    .join("\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => ENTITIES[entity])
+    .trim();
+}
+
+// Both formats are blank-line separated blocks with a "start --> end"
+// line; WebVTT adds a header and NOTE / STYLE / REGION blocks, SRT a
+// numeric index. Returns cues sorted by start time.
+export function parseCaptions(text) {
+  const cues = [];
+  const blocks = text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split("\n").filter((line) => line.length > 0);
+    const timingIndex = lines.findIndex((line) => TIMING_PATTERN.test(line));
+    if (timingIndex < 0 || timingIndex > 1) continue;
+
+    const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+    const cue = {
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      text: cleanCueText(lines.slice(timingIndex + 1)),
+    };
+    if (cue.text && cue.end > cue.start) cues.push(cue);
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Text on screen at `time` (overlapping cues are stacked)
+export function captionTextAt(cues, time) {
+  const active = [];
+  for (const cue of cues) {
+    if (cue.start > time) break;
+    if (time < cue.end) active.push(cue.text);
+  }
+  return active.join("\n");
+}
+
+// ── Loader (cached per URL, like the catalog) ────────────────────────
+const captionCache = new Map();
+
+async function fetchCaptions(url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return parseCaptions(await res.text());
+  } catch (err) {
+    console.error(`[captions] Could not load "${url}": ${err.message}`);
+    return [];
+  }
+}
+
+export function loadCaptions(url) {
+  if (!captionCache.has(url)) {
+    captionCache.set(url, fetchCaptions(url));
+  }
+  return captionCache.get(url);
+}
+
+/* ── Caption layer ─────────────────────────────────────────────────── */
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const FONT_SIZE = 26;
+const LINE_HEIGHT = 34;
+const MAX_TEXT_WIDTH = WIDTH * 0.8;
+const BOTTOM_MARGIN = 48; // clear of the curved, vignetted edge
+
+// Splits each cue line into lines that fit the caption box
+function wrapText(ctx, text) {
+  const lines = [];
+  for (const paragraph of text.split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > MAX_TEXT_WIDTH) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+function drawCaption(ctx, text) {
+  ctx.clearRect(0, 0, WIDTH, HEIGHT);
+  if (!text) return;
+
+  ctx.font = `bold ${FONT_SIZE}px Arial, Helvetica, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const lines = wrapText(ctx, text);
+  const top = HEIGHT - BOTTOM_MARGIN - lines.length * LINE_HEIGHT;
+
+  // Classic broadcast style: white text on a black box per line
+  lines.forEach((line, i) => {
+    const y = top + i * LINE_HEIGHT + LINE_HEIGHT / 2;
+    const width = ctx.measureText(line).width + 20;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.fillRect((WIDTH - width) / 2, y - LINE_HEIGHT / 2, width, LINE_HEIGHT);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(line, WIDTH / 2, y);
+  });
+}
+
+// Transparent canvas texture; show(text) redraws only when the text changes
+export function createCaptionLayer() {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  // Same orientation as the video texture on the GLTF screen UVs
+  texture.flipY = false;
+  let current = "";
+
+  return {
+    texture,
+    show(text) {
+      if (text === current) return;
+      current = text;
+      drawCaption(ctx, text);
+      texture.needsUpdate = true;
+    },
+    dispose: () => texture.dispose(),
+  };
+}
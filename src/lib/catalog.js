@@ -0,0 +1,239 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Video catalog – loaded from a JSON manifest in public/
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const CATALOG_URL = "/videos.json";
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const REQUIRED_FIELDS = ["id", "label", "src", "cover"];
+const FILE_FIELDS = ["src", "cover", "poster"];
+const CAPTION_FORMATS = /\.(vtt|srt)$/i;
+
+// Human-readable reference to an entry for error messages
+function describeEntry(entry, index) {
+  const id = typeof entry?.id === "string" && entry.id ? ` ("${entry.id}")` : "";
+  return `videos[${index}]${id}`;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+// captions: [{ src: "/x.en.vtt", lang: "en", label?: "English" }, ...]
+function validateCaptions(captions) {
+  if (!Array.isArray(captions)) return ['"captions" must be an array of tracks'];
+  const errors = [];
+  const langs = new Set();
+  captions.forEach((track, i) => {
+    const where = `captions[${i}]`;
+    if (!track || typeof track !== "object") {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(track.src) || !CAPTION_FORMATS.test(track.src)) {
+      errors.push(`${where}: "src" must be a .vtt or .srt file`);
+    }
+    if (!isNonEmptyString(track.lang)) {
+      errors.push(`${where}: missing "lang"`);
+    } else if (langs.has(track.lang)) {
+      errors.push(`${where}: duplicate lang "${track.lang}"`);
+    } else {
+      langs.add(track.lang);
+    }
+    if (track.label !== undefined && !isNonEmptyString(track.label)) {
+      errors.push(`${where}: "label" must be a non-empty string`);
+    }
+  });
+  return errors;
+}
+
+// ── Schema validation (synchronous, no network) ──────────────────────
+export function validateCatalog(manifest) {
+  const errors = [];
+  const list = Array.isArray(manifest) ? manifest : manifest?.videos;
+
+  if (!Array.isArray(list)) {
+    return {
+      videos: [],
+      errors: ['Manifest must be an array or an object with a "videos" array'],
+    };
+  }
+
+  const seenIds = new Map();
+  const videos = [];
+
+  list.forEach((entry, index) => {
+    const where = describeEntry(entry, index);
+
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`${where}: entry must be an object`);
+      return;
+    }
+
+    const entryErrors = [];
+
+    for (const field of REQUIRED_FIELDS) {
+      if (!isNonEmptyString(entry[field])) {
+        entryErrors.push(`missing required field "${field}"`);
+      }
+    }
+
+    if (isNonEmptyString(entry.id) && !ID_PATTERN.test(entry.id)) {
+      entryErrors.push(
+        `id "${entry.id}" may only contain letters, digits, "-" and "_"`,
+      );
+    }
+
+    if (entry.poster !== undefined && !isNonEmptyString(entry.poster)) {
+      entryErrors.push('"poster" must be a non-empty string');
+    }
+    if (
+      entry.duration !== undefined &&
+      !(typeof entry.duration === "number" && entry.duration > 0)
+    ) {
+      entryErrors.push('"duration" must be a positive number of seconds');
+    }
+    if (entry.year !== undefined && !Number.isInteger(entry.year)) {
+      entryErrors.push('"year" must be an integer');
+    }
+    if (entry.region !== undefined && !isNonEmptyString(entry.region)) {
+      entryErrors.push('"region" must be a non-empty string');
+    }
+    if (entry.boot !== undefined && typeof entry.boot !== "boolean") {
+      entryErrors.push('"boot" must be true or false');
+    }
+    if (
+      entry.tags !== undefined &&
+      !(Array.isArray(entry.tags) && entry.tags.every(isNonEmptyString))
+    ) {
+      entryErrors.push('"tags" must be an array of strings');
+    }
+    if (entry.captions !== undefined) {
+      entryErrors.push(...validateCaptions(entry.captions));
+    }
+
+    if (isNonEmptyString(entry.id)) {
+      if (seenIds.has(entry.id)) {
+        entryErrors.push(
+          `duplicate id "${entry.id}" (already used by videos[${seenIds.get(entry.id)}])`,
+        );
+      } else {
+        seenIds.set(entry.id, index);
+      }
+    }
+
+    if (entryErrors.length > 0) {
+      for (const message of entryErrors) errors.push(`${where}: ${message}`);
+      return;
+    }
+
+    videos.push({
+      ...entry,
+      tags: entry.tags ?? [],
+      boot: entry.boot ?? false,
+      captions: (entry.captions ?? []).map((track) => ({
+        ...track,
+        label: track.label ?? track.lang.toUpperCase(),
+      })),
+    });
+  });
+
+  if (list.length > 0 && videos.length === 0 && errors.length === 0) {
+    errors.push("Manifest contains no videos");
+  }
+
+  return { videos, errors };
+}
+
+// ── File checks (HEAD requests against the dev/prod server) ──────────
+// Vite's SPA fallback answers unknown paths with index.html, so an
+// HTML response for a media file counts as missing too.
+async function fileExists(url, request) {
+  try {
+    const res = await request(url, { method: "HEAD" });
+    if (!res.ok) return false;
+    const type = res.headers.get("content-type") || "";
+    return !(type.includes("text/html") && !url.endsWith(".html"));
+  } catch {
+    return false;
+  }
+}
+
+export async function checkCatalogFiles(videos, { fetch: request = fetch } = {}) {
+  const errors = [];
+  const checks = [];
+
+  videos.forEach((video, index) => {
+    const files = FILE_FIELDS.filter((field) => video[field]).map((field) => [
+      field,
+      video[field],
+    ]);
+    video.captions?.forEach((track, i) => files.push([`captions[${i}]`, track.src]));
+
+    for (const [field, url] of files) {
+      checks.push(
+        fileExists(url, request).then((exists) => {
+          if (!exists) {
+            errors.push(
+              `${describeEntry(video, index)}: ${field} file not found at "${url}"`,
+            );
+          }
+        }),
+      );
+    }
+  });
+
+  await Promise.all(checks);
+  return errors;
+}
+
+// ── Loader (cached per URL so Suspense can re-read the same promise) ─
+const catalogCache = new Map();
+
+// Rejects when nothing can play: the error's `problems` lists why
+function catalogError(url, problems) {
+  const error = new Error(`The video catalog "${url}" could not be loaded`);
+  error.problems = problems;
+  return error;
+}
+
+async function fetchCatalog(url, request) {
+  let manifest;
+  try {
+    const res = await request(url);
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}`);
+    }
+    manifest = await res.json();
+  } catch (err) {
+    throw catalogError(url, [`Could not load video manifest "${url}": ${err.message}`]);
+  }
+
+  const { videos, errors } = validateCatalog(manifest);
+  if (videos.length === 0) {
+    throw catalogError(url, errors.length > 0 ? errors : ["It lists no videos"]);
+  }
+  const fileErrors = await checkCatalogFiles(videos, { fetch: request });
+
+  if (errors.length > 0 || fileErrors.length > 0) {
+    console.error(
+      `[catalog] ${url} has problems:\n  - ${[...errors, ...fileErrors].join("\n  - ")}`,
+    );
+  }
+
+  // Missing files are reported but the entry is kept, matching the old
+  // hardcoded list where a missing video simply failed to play.
+  return { videos, errors: [...errors, ...fileErrors] };
+}
+
+export function loadCatalog(url = CATALOG_URL, { fetch: request = fetch } = {}) {
+  if (!catalogCache.has(url)) {
+    const promise = fetchCatalog(url, request);
+    catalogCache.set(url, promise);
+    // A failed load is forgotten, so RETRY (a remount) fetches again
+    promise.catch(() => {
+      if (catalogCache.get(url) === promise) catalogCache.delete(url);
+    });
+  }
+  return catalogCache.get(url);
+}
@@ -0,0 +1,214 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Console buttons – POWER / RESET / OPEN on the PS1, power knob on the PVM
+   ═══════════════════════════════════════════════════════════════════ */
+
+// node:   Blender object name (matched like the lid: exact or prefix)
+// anchor: which part of the model the fallback cap sits on
+// at:     fallback position as 0..1 fractions of the anchor's bounding box
+// size:   fallback diameter as a fraction of the anchor's width
+// axis:   world direction the button travels when pressed
+export const CONSOLE_BUTTONS = [
+  {
+    id: "power",
+    label: "POWER",
+    node: "ps1_btn_power",
+    anchor: "console",
+    at: [0.86, 1, 0.8],
+    size: 0.07,
+    axis: [0, -1, 0],
+  },
+  {
+    id: "reset",
+    label: "RESET",
+    node: "ps1_btn_reset",
+    anchor: "console",
+    at: [0.62, 1, 0.84],
+    size: 0.06,
+    axis: [0, -1, 0],
+  },
+  {
+    id: "open",
+    label: "OPEN",
+    node: "ps1_btn_open",
+    anchor: "console",
+    at: [0.8, 1, 0.45],
+    size: 0.11,
+    axis: [0, -1, 0],
+  },
+  {
+    id: "tvPower",
+    label: "TV POWER",
+    node: "pvm_knob_power",
+    anchor: "tv",
+    at: [0.9, 0.08, 1],
+    size: 0.05,
+    axis: [0, 0, -1],
+  },
+];
+
+const PRESS_DURATION = 0.18; // seconds (down and back up)
+const PRESS_DEPTH = 0.35; // fraction of the button's extent along its axis
+const HIGHLIGHT_COLOR = new THREE.Color("#ff3333");
+const HIGHLIGHT_INTENSITY = 0.6;
+// Fallback caps: PS1 grey on the console, dark plastic on the PVM
+const CAP_COLORS = { console: "#b4b4b0", tv: "#1c1c1c" };
+
+// Materials that make up each anchor's bounding box
+const ANCHOR_MATERIALS = {
+  console: (name) => name === "ps1_body_mat.001",
+  tv: (name) => name?.startsWith("pvm_") || name === "Pantalla_Video",
+};
+
+// Model lookups, also used to place the TV speaker (lib/tvAudio.js)
+export function findNode(root, name) {
+  let found = null;
+  root.traverse((child) => {
+    if (!found && (child.name === name || child.name?.startsWith(name))) {
+      found = child;
+    }
+  });
+  return found;
+}
+
+export function anchorBox(root, anchor) {
+  const box = new THREE.Box3();
+  root.traverse((child) => {
+    if (child.isMesh && ANCHOR_MATERIALS[anchor](child.material?.name)) {
+      box.expandByObject(child);
+    }
+  });
+  return box;
+}
+
+// Stand-in for a button the model doesn't have yet: a round cap half sunk
+// into the anchor's surface, lit and pressed like a modelled button.
+function createFallbackButton(root, config) {
+  const box = anchorBox(root, config.anchor);
+  if (box.isEmpty()) return null;
+
+  const size = box.getSize(new THREE.Vector3());
+  const at = new THREE.Vector3(...config.at);
+  const worldPos = box.min.clone().add(at.multiply(size));
+  const diameter = size.x * config.size;
+
+  const axis = new THREE.Vector3(...config.axis);
+  const mesh = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.5, 0.5, 0.25, 24),
+    new THREE.MeshStandardMaterial({
+      color: CAP_COLORS[config.anchor],
+      roughness: 0.6,
+    }),
+  );
+  mesh.name = `${config.node}_cap`;
+  // Cylinder's height runs along the press axis, sitting on the surface
+  mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, -1, 0), axis);
+  root.add(mesh);
+
+  root.updateWorldMatrix(true, false);
+  const scale = root.getWorldScale(new THREE.Vector3()).x || 1;
+  mesh.position.copy(root.worldToLocal(worldPos));
+  mesh.scale.setScalar(diameter / scale);
+  return mesh;
+}
+
+// Finds (or stands in for) every button under `root`. Each record keeps
+// what highlight and press animation need to put the mesh back.
+export function setupConsoleButtons(root) {
+  const buttons = [];
+
+  for (const config of CONSOLE_BUTTONS) {
+    let mesh = findNode(root, config.node);
+    let fallback = false;
+    if (!mesh) {
+      mesh = createFallbackButton(root, config);
+      fallback = true;
+      if (!mesh) continue;
+    }
+
+    // Press direction and depth in the mesh's parent space
+    const parent = mesh.parent;
+    const parentQuat = parent.getWorldQuaternion(new THREE.Quaternion());
+    const parentScale = parent.getWorldScale(new THREE.Vector3()).x || 1;
+    const axis = new THREE.Vector3(...config.axis);
+    const extent = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+    const depth = (Math.abs(extent.dot(axis)) * PRESS_DEPTH) / parentScale;
+    axis.applyQuaternion(parentQuat.invert());
+
+    // Own material copy, so the highlight doesn't light up shared materials
+    const meshes = [];
+    mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      if (!fallback) child.material = child.material.clone();
+      meshes.push({
+        mesh: child,
+        emissive: child.material.emissive?.clone(),
+        emissiveIntensity: child.material.emissiveIntensity,
+      });
+    });
+
+    buttons.push({
+      ...config,
+      object: mesh,
+      meshes,
+      fallback,
+      rest: mesh.position.clone(),
+      pressAxis: axis,
+      pressDepth: depth,
+      press: 0, // seconds into the press animation, 0 = idle
+    });
+  }
+
+  return buttons;
+}
+
+// Undoes setupConsoleButtons (the GLTF scene is cached across remounts)
+export function disposeConsoleButtons(buttons) {
+  for (const button of buttons) {
+    button.object.position.copy(button.rest);
+    setButtonHighlight(button, false);
+    if (button.fallback) {
+      button.object.removeFromParent();
+      button.object.geometry.dispose();
+      button.object.material.dispose();
+    }
+  }
+}
+
+// The button whose mesh (or one of its children) is `object`
+export function findConsoleButton(buttons, object) {
+  for (const button of buttons) {
+    if (button.meshes.some(({ mesh }) => mesh === object)) return button;
+  }
+  return null;
+}
+
+export function setButtonHighlight(button, on) {
+  for (const { mesh, emissive, emissiveIntensity } of button.meshes) {
+    const mat = mesh.material;
+    if (mat.emissive) {
+      mat.emissive.copy(on ? HIGHLIGHT_COLOR : emissive);
+      mat.emissiveIntensity = on ? HIGHLIGHT_INTENSITY : emissiveIntensity;
+    }
+  }
+}
+
+// Starts the press-in animation
+export function pressConsoleButton(button) {
+  button.press = 1e-6;
+}
+
+// Advances the press-in animation; call every frame
+export function updateConsoleButtons(buttons, delta) {
+  for (const button of buttons) {
+    if (button.press <= 0) continue;
+    button.press += delta;
+    const t = Math.min(button.press / PRESS_DURATION, 1);
+    const offset = Math.sin(Math.PI * t) * button.pressDepth;
+    button.object.position
+      .copy(button.rest)
+      .addScaledVector(button.pressAxis, offset);
+    if (t >= 1) button.press = 0;
+  }
+}
@@ -0,0 +1,389 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════════════════════════════════
+   CRT SCREEN SHADER – used on Pantalla_Video while a video is showing
+   ═══════════════════════════════════════════════════════════════════ */
+
+// Every effect has its own 0..1 intensity. `glow` drives the screen-space
+// Bloom pass in Experience; the rest are evaluated in the screen shader.
+export const CRT_SETTING_KEYS = [
+  "scanlines",
+  "mask",
+  "curvature",
+  "bloom",
+  "chroma",
+  "vignette",
+  "glow",
+];
+
+// maskType: 0 = aperture grille (Trinitron stripes), 1 = shadow mask (dots)
+export const CRT_PRESETS = {
+  pvm: {
+    label: "PVM",
+    scanlines: 0.6,
+    mask: 0.3,
+    maskType: 0,
+    curvature: 0.15,
+    bloom: 0.35,
+    chroma: 0.15,
+    vignette: 0.3,
+    glow: 0.5,
+    brightness: 1.2,
+  },
+  consumer: {
+    label: "TV",
+    scanlines: 0.3,
+    mask: 0.5,
+    maskType: 1,
+    curvature: 0.45,
+    bloom: 0.7,
+    chroma: 0.7,
+    vignette: 0.6,
+    glow: 0.8,
+    brightness: 1.25,
+  },
+  off: {
+    label: "OFF",
+    scanlines: 0,
+    mask: 0,
+    maskType: 0,
+    curvature: 0,
+    bloom: 0,
+    chroma: 0,
+    vignette: 0,
+    glow: 0,
+    brightness: 1,
+  },
+};
+
+export const CRT_PRESET_ORDER = ["pvm", "consumer", "off"];
+export const DEFAULT_CRT_PRESET = "pvm";
+
+// Preset values with optional per-setting overrides (clamped to 0..1)
+export function resolveCrtSettings(presetId, overrides = {}) {
+  const preset = CRT_PRESETS[presetId] ?? CRT_PRESETS[DEFAULT_CRT_PRESET];
+  const settings = { ...preset };
+  for (const key of CRT_SETTING_KEYS) {
+    const value = overrides[key];
+    if (typeof value === "number" && isFinite(value)) {
+      settings[key] = Math.max(0, Math.min(1, value));
+    }
+  }
+  return settings;
+}
+
+export function nextCrtPreset(presetId) {
+  const idx = CRT_PRESET_ORDER.indexOf(presetId);
+  return CRT_PRESET_ORDER[(idx + 1) % CRT_PRESET_ORDER.length];
+}
+
+/* ── Tube power transitions ────────────────────────────────────────── */
+
+export const POWER_ON_DURATION = 0.7; // seconds
+export const POWER_OFF_DURATION = 0.8; // seconds
+export const DEGAUSS_DURATION = 1.4; // seconds
+
+const TUBE_LINE = 0.004; // height of the collapsed horizontal line
+const TUBE_DOT = 0.012; // width of the collapsed dot
+
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+const easeInCubic = (t) => t * t * t;
+const clamp01 = (t) => Math.max(0, Math.min(1, t));
+
+export const TUBE_IDLE = { scaleX: 1, scaleY: 1, flash: 0, fade: 1, degauss: 0 };
+
+// Power-on: a bright horizontal line that opens up into the picture,
+// with a decaying degauss wobble on top.
+export function tubePowerOn(elapsed) {
+  const lineEnd = 0.15;
+  const expand = clamp01((elapsed - lineEnd) / (POWER_ON_DURATION - lineEnd));
+  const degauss = 1 - clamp01(elapsed / DEGAUSS_DURATION);
+  return {
+    scaleX: 1,
+    scaleY: TUBE_LINE + (1 - TUBE_LINE) * easeOutCubic(expand),
+    flash: 1 - easeOutCubic(expand),
+    fade: 1,
+    degauss: degauss * degauss,
+  };
+}
+
+// Power-off: picture collapses to a line, the line to a white dot,
+// and the dot fades away.
+export function tubePowerOff(elapsed) {
+  const collapseY = clamp01(elapsed / 0.2);
+  const collapseX = clamp01((elapsed - 0.2) / 0.15);
+  const fadeOut = clamp01((elapsed - 0.35) / (POWER_OFF_DURATION - 0.35));
+  return {
+    scaleX: 1 - (1 - TUBE_DOT) * easeInCubic(collapseX),
+    scaleY: 1 - (1 - TUBE_LINE) * easeInCubic(collapseY),
+    flash: collapseY,
+    fade: 1 - fadeOut,
+    degauss: 0,
+  };
+}
+
+// Static: minimum time on screen, then fade into the picture
+export const SNOW_HOLD = 0.25; // seconds
+export const SNOW_FADE = 0.3; // seconds
+
+// Tube timeline. phase is "off" | "powerOn" | "on" | "powerOff"; snow is
+// the static level (0..1), held for snowHold seconds once there is a
+// picture to fade into.
+export function createTube() {
+  return { phase: "off", elapsed: 0, snow: 0, snowHold: 0 };
+}
+
+// Power and picture changes. `picture`: the screen has something to show
+// (video or boot splash); `resync`: a new splash while the tube is on.
+export function switchTube(tube, { on, wasOn, picture, resync }) {
+  const startSnow = () => {
+    tube.snow = 1;
+    tube.snowHold = SNOW_HOLD;
+  };
+
+  if (on && wasOn && resync) {
+    // Console reset: the tube re-syncs with a flash and a degauss wobble
+    tube.phase = "powerOn";
+    tube.elapsed = 0;
+    tube.snow = 0;
+  } else if (on && !wasOn) {
+    tube.phase = "powerOn";
+    tube.elapsed = 0;
+    // Powered on before the video arrived: static rather than black
+    if (picture) tube.snow = 0;
+    else startSnow();
+  } else if (!on && wasOn) {
+    tube.phase = "powerOff";
+    tube.elapsed = 0;
+  } else if (on && !picture) {
+    // Channel change
+    startSnow();
+  }
+}
+
+// Advances the timeline by `delta` seconds. Returns the tube state to
+// apply to the material, or null when the power animation is idle.
+export function advanceTube(tube, delta, hasPicture) {
+  let state = null;
+
+  if (tube.phase === "powerOn") {
+    tube.elapsed += delta;
+    state = tubePowerOn(tube.elapsed);
+    // The degauss wobble outlasts the line expanding into the picture
+    if (tube.elapsed >= Math.max(POWER_ON_DURATION, DEGAUSS_DURATION)) {
+      tube.phase = "on";
+      state = TUBE_IDLE;
+    }
+  } else if (tube.phase === "powerOff") {
+    tube.elapsed += delta;
+    state = tubePowerOff(tube.elapsed);
+    if (tube.elapsed >= POWER_OFF_DURATION) {
+      tube.phase = "off";
+      tube.snow = 0;
+      state = TUBE_IDLE;
+    }
+  }
+
+  // Static: hold while there is no picture, then fade out
+  if (tube.snow > 0) {
+    tube.snowHold -= delta;
+    if (hasPicture && tube.snowHold <= 0) {
+      tube.snow = Math.max(0, tube.snow - delta / SNOW_FADE);
+    }
+  }
+
+  return state;
+}
+
+export function applyTubeState(material, tube) {
+  const { uniforms } = material;
+  uniforms.tubeScale.value.set(tube.scaleX, tube.scaleY);
+  uniforms.tubeFlash.value = tube.flash;
+  uniforms.tubeFade.value = tube.fade;
+  uniforms.degauss.value = tube.degauss;
+}
+
+/* ── GLSL ──────────────────────────────────────────────────────────── */
+
+const VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D map;
+  uniform vec2 lines;
+  uniform float time;
+  uniform float scanlines;
+  uniform float mask;
+  uniform float maskType;
+  uniform float curvature;
+  uniform float bloom;
+  uniform float chroma;
+  uniform float vignette;
+  uniform float brightness;
+  uniform vec2 tubeScale;
+  uniform float tubeFlash;
+  uniform float tubeFade;
+  uniform float degauss;
+  uniform float snow;
+  uniform sampler2D overlay;
+  uniform float overlayOpacity;
+
+  varying vec2 vUv;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  // Barrel distortion around the tube center
+  vec2 barrel(vec2 uv, float k) {
+    vec2 cc = uv - 0.5;
+    float r2 = dot(cc, cc);
+    return 0.5 + cc * (1.0 + k * 0.6 * r2);
+  }
+
+  vec3 sampleChroma(vec2 uv) {
+    float offset = chroma * 0.004;
+    float r = texture2D(map, uv + vec2(offset, 0.0)).r;
+    float g = texture2D(map, uv).g;
+    float b = texture2D(map, uv - vec2(offset, 0.0)).b;
+    return vec3(r, g, b);
+  }
+
+  vec3 phosphorGlow(vec2 uv) {
+    vec2 texel = 1.5 / lines;
+    vec3 sum = vec3(0.0);
+    sum += texture2D(map, uv + vec2(texel.x, 0.0)).rgb;
+    sum += texture2D(map, uv - vec2(texel.x, 0.0)).rgb;
+    sum += texture2D(map, uv + vec2(0.0, texel.y)).rgb;
+    sum += texture2D(map, uv - vec2(0.0, texel.y)).rgb;
+    sum += texture2D(map, uv + texel).rgb;
+    sum += texture2D(map, uv - texel).rgb;
+    return sum / 6.0;
+  }
+
+  void main() {
+    vec2 uv = barrel(vUv, curvature);
+
+    // Outside the curved tube: black bezel
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+      gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+      #include <colorspace_fragment>
+      return;
+    }
+
+    // Tube power transitions: the picture is squeezed towards the center
+    vec2 picture = (uv - 0.5) / max(tubeScale, vec2(1e-4)) + 0.5;
+    if (picture.x < 0.0 || picture.x > 1.0 || picture.y < 0.0 || picture.y > 1.0) {
+      gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+      #include <colorspace_fragment>
+      return;
+    }
+
+    // Degauss wobble: sideways ripple with a colour swirl
+    float wave = sin(picture.y * 28.0 + time * 40.0);
+    picture.x += wave * 0.012 * degauss;
+    uv = picture;
+
+    vec3 color = sampleChroma(uv);
+    color *= 1.0 + degauss * 0.5 * vec3(
+      sin(uv.y * 9.0 + time * 6.0),
+      sin(uv.y * 9.0 + time * 6.0 + 2.1),
+      sin(uv.y * 9.0 + time * 6.0 + 4.2)
+    );
+
+    // Phosphor bloom: bright neighbours bleed into dark pixels
+    vec3 glow = phosphorGlow(uv);
+    color = max(color, mix(color, glow, bloom * 0.6));
+    color += glow * glow * bloom * 0.35;
+
+    // Static / snow between channels
+    float grain = hash(floor(uv * lines) + fract(time * 60.0) * 91.7);
+    color = mix(color, vec3(grain * 0.85), snow);
+
+    // Captions / the VCR's tracking display: drawn on the tube, so they
+    // curve and scan like the picture, and over the static
+    vec4 caption = texture2D(overlay, uv);
+    color = mix(color, caption.rgb, caption.a * overlayOpacity);
+
+    // Fade fine patterns out when they get denser than a pixel (moire)
+    float density = fwidth(uv.y * lines.y);
+    float detail = clamp(1.5 - density, 0.0, 1.0);
+
+    // Scanlines
+    float scan = 0.5 + 0.5 * sin(uv.y * lines.y * 6.28318);
+    color *= mix(1.0, 0.45 + 0.55 * scan, scanlines * detail);
+
+    // Aperture grille / shadow mask
+    float column = uv.x * lines.x;
+    column += maskType * step(0.5, fract(uv.y * lines.y * 0.5)) * 0.5;
+    float phase = floor(fract(column) * 3.0);
+    vec3 maskColor = vec3(
+      phase == 0.0 ? 1.0 : 0.0,
+      phase == 1.0 ? 1.0 : 0.0,
+      phase == 2.0 ? 1.0 : 0.0
+    );
+    float maskAmount = mask * detail;
+    color *= mix(vec3(1.0), maskColor * 1.8 + 0.2, maskAmount * 0.6);
+
+    // Vignette
+    vec2 vig = uv * (1.0 - uv);
+    float edge = pow(clamp(vig.x * vig.y * 16.0, 0.0, 1.0), 0.35);
+    color *= mix(1.0, edge, vignette);
+
+    color = mix(color, vec3(1.6), tubeFlash);
+    gl_FragColor = vec4(color * brightness * tubeFade, 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Roughly PS1 output: 320 phosphor triads across, 240 scanlines down
+const SCREEN_LINES = new THREE.Vector2(320, 240);
+
+export function createCrtMaterial(settings = CRT_PRESETS[DEFAULT_CRT_PRESET]) {
+  const material = new THREE.ShaderMaterial({
+    name: "CRT_Screen",
+    uniforms: {
+      map: { value: null },
+      lines: { value: SCREEN_LINES.clone() },
+      time: { value: 0 },
+      scanlines: { value: 0 },
+      mask: { value: 0 },
+      maskType: { value: 0 },
+      curvature: { value: 0 },
+      bloom: { value: 0 },
+      chroma: { value: 0 },
+      vignette: { value: 0 },
+      brightness: { value: 1 },
+      tubeScale: { value: new THREE.Vector2(1, 1) },
+      tubeFlash: { value: 0 },
+      tubeFade: { value: 1 },
+      degauss: { value: 0 },
+      snow: { value: 0 },
+      overlay: { value: null },
+      overlayOpacity: { value: 0 },
+    },
+    vertexShader: VERTEX_SHADER,
+    fragmentShader: FRAGMENT_SHADER,
+    toneMapped: false,
+  });
+  applyCrtSettings(material, settings);
+  return material;
+}
+
+export function applyCrtSettings(material, settings) {
+  const { uniforms } = material;
+  uniforms.scanlines.value = settings.scanlines;
+  uniforms.mask.value = settings.mask;
+  uniforms.maskType.value = settings.maskType;
+  uniforms.curvature.value = settings.curvature;
+  uniforms.bloom.value = settings.bloom;
+  uniforms.chroma.value = settings.chroma;
+  uniforms.vignette.value = settings.vignette;
+  uniforms.brightness.value = settings.brightness;
+}
@@ -0,0 +1,86 @@
+/* ═══════════════════════════════════════════════════════════════════
+   DISC SWAP – the console's lid opens, the disc lifts out, its label
+   changes to the next game's cover and it lowers back before the lid
+   closes. Played on every channel change.
+   ═══════════════════════════════════════════════════════════════════ */
+
+// Quicker lid than the OPEN button, disc lifts out and back in
+export const DISC_LID_DURATION = 0.6; // seconds
+export const DISC_LIFT_DURATION = 0.35; // seconds
+export const DISC_RADIUS_RATIO = 0.42; // of the lid's shorter side
+export const DISC_LIFT = 0.9; // in disc radii
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+}
+
+// Swap timeline. phase is "idle" | "opening" | "lifting" | "lowering" |
+// "closing"; the lid animation runs "opening" and "closing", the disc
+// moves in between.
+export function createDiscSwap() {
+  return { phase: "idle", elapsed: 0, to: null };
+}
+
+// `to`: the cover URL the disc's label changes to
+export function startDiscSwap(swap, to) {
+  swap.phase = "opening";
+  swap.elapsed = 0;
+  swap.to = to;
+}
+
+// The lid is open: the disc starts lifting out
+export function discSwapLidOpened(swap) {
+  swap.phase = "lifting";
+  swap.elapsed = 0;
+}
+
+// The lid is shut again, or a reset cancelled the swap
+export function endDiscSwap(swap) {
+  swap.phase = "idle";
+}
+
+export function isDiscMoving(swap) {
+  return swap.phase === "lifting" || swap.phase === "lowering";
+}
+
+// Advances the disc by `delta` seconds. Returns null while the disc is
+// not moving, else { rise (in disc radii), opacity, swapLabel, closeLid }:
+// swapLabel when it is out of the tray, closeLid when it is back in.
+export function advanceDiscSwap(swap, delta) {
+  if (!isDiscMoving(swap)) return null;
+
+  swap.elapsed += delta;
+  const t = Math.min(swap.elapsed / DISC_LIFT_DURATION, 1);
+  const lifting = swap.phase === "lifting";
+  const step = {
+    rise: DISC_LIFT * (lifting ? easeInOut(t) : 1 - easeInOut(t)),
+    opacity: lifting ? 1 - t * t : t,
+    swapLabel: false,
+    closeLid: false,
+  };
+  if (t < 1) return step;
+
+  if (lifting) {
+    // Out of the tray: the next game's disc comes back down
+    swap.phase = "lowering";
+    swap.elapsed = 0;
+    step.swapLabel = true;
+  } else {
+    swap.phase = "closing";
+    step.closeLid = true;
+  }
+  return step;
+}
+
+// Disc label textures (the game's cover art), loaded once per URL.
+// `load(url)` returns the texture; get() of no URL is null.
+export function createCoverCache(load) {
+  const textures = new Map();
+  return {
+    get(url) {
+      if (!url) return null;
+      if (!textures.has(url)) textures.set(url, load(url));
+      return textures.get(url);
+    },
+  };
+}
@@ -0,0 +1,166 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Embed API – drive the showcase from the hosting page
+   Same page:  window.PS1Showcase.selectChannel("crash")
+   In iframe:  iframe.contentWindow.postMessage({ type: "ps1:command",
+                 command: "selectChannel", args: ["crash"] }, "*")
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const EMBED_GLOBAL = "PS1Showcase";
+export const EMBED_READY_EVENT = "ps1:ready";
+
+// postMessage envelope types
+export const MESSAGE_COMMAND = "ps1:command";
+export const MESSAGE_RESULT = "ps1:result";
+export const MESSAGE_EVENT = "ps1:event";
+
+export const EMBED_COMMANDS = [
+  "powerOn",
+  "powerOff",
+  "selectChannel",
+  "play",
+  "pause",
+  "seek",
+  "setVolume",
+  "getState",
+];
+
+export const EMBED_EVENTS = [
+  "zoomComplete",
+  "videoReady",
+  "ended",
+  "channelChanged",
+  "resetComplete",
+  "stateChange",
+];
+
+/* ── Event bus ─────────────────────────────────────────────────────── */
+
+export function createEventBus() {
+  const listeners = new Map();
+
+  const off = (type, listener) => {
+    listeners.get(type)?.delete(listener);
+  };
+
+  const on = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  };
+
+  const emit = (type, detail = {}) => {
+    // "*" listeners see every event (used to forward them to the parent)
+    for (const key of [type, "*"]) {
+      for (const listener of listeners.get(key) ?? []) {
+        try {
+          listener(detail, type);
+        } catch (err) {
+          console.error(`[embed] "${type}" listener failed`, err);
+        }
+      }
+    }
+  };
+
+  return { on, off, emit };
+}
+
+/* ── Public API object ─────────────────────────────────────────────── */
+
+// `commands` are the scene handlers; every call goes through them, so the
+// scene state machine still decides whether it is allowed.
+export function createEmbedApi(commands, bus) {
+  const api = {};
+  for (const name of EMBED_COMMANDS) {
+    api[name] = (...args) => commands[name]?.(...args);
+  }
+  api.on = (type, listener) => {
+    if (type !== "*" && !EMBED_EVENTS.includes(type)) {
+      throw new Error(`[embed] unknown event "${type}"`);
+    }
+    return bus.on(type, listener);
+  };
+  api.off = bus.off;
+  api.commands = [...EMBED_COMMANDS];
+  api.events = [...EMBED_EVENTS];
+  return Object.freeze(api);
+}
+
+// Runs one postMessage command against the API. Returns the reply envelope,
+// or null when the message is not meant for us.
+export function handleEmbedMessage(api, data) {
+  if (!data || typeof data !== "object" || data.type !== MESSAGE_COMMAND) {
+    return null;
+  }
+  const { id = null, command, args = [] } = data;
+  if (!EMBED_COMMANDS.includes(command)) {
+    return { type: MESSAGE_RESULT, id, ok: false, error: `unknown command "${command}"` };
+  }
+  if (!Array.isArray(args)) {
+    return { type: MESSAGE_RESULT, id, ok: false, error: "args must be an array" };
+  }
+  try {
+    const result = api[command](...args);
+    return { type: MESSAGE_RESULT, id, ok: true, result: result ?? null };
+  } catch (err) {
+    return { type: MESSAGE_RESULT, id, ok: false, error: String(err?.message ?? err) };
+  }
+}
+
+/* ── Browser wiring ────────────────────────────────────────────────── */
+
+// "https://a.example, https://b.example" → ["https://a.example", ...]
+export function parseAllowedOrigins(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+// Exposes the API on `win`, and – when running inside an iframe – accepts
+// commands from the parent frame and forwards every event to it.
+// `allowedOrigins` lists the parent pages that may do so; left empty, only
+// the frame's own origin, and "*" opens it to any site that frames it.
+// Returns an uninstall function.
+export function installEmbedApi(api, bus, win = window, { allowedOrigins = [] } = {}) {
+  win[EMBED_GLOBAL] = api;
+
+  const parent = win.parent && win.parent !== win ? win.parent : null;
+  const cleanups = [];
+  const origins = allowedOrigins.length > 0 ? allowedOrigins : [win.location.origin];
+  const anyOrigin = origins.includes("*");
+
+  if (parent) {
+    // Only the embedding page may drive the scene, and only from an allowed origin
+    const onMessage = (event) => {
+      if (event.source !== parent) return;
+      if (!anyOrigin && !origins.includes(event.origin)) return;
+      const reply = handleEmbedMessage(api, event.data);
+      // Sandboxed frames report the origin "null", which postMessage rejects
+      const origin = event.origin && event.origin !== "null" ? event.origin : "*";
+      if (reply) parent.postMessage(reply, origin);
+    };
+    win.addEventListener("message", onMessage);
+    cleanups.push(() => win.removeEventListener("message", onMessage));
+
+    // Events go to the allowed origins only. The browser drops a message
+    // whose target origin doesn't match the parent, so each one is tried.
+    const targets = anyOrigin ? ["*"] : origins;
+    const post = (message) => {
+      for (const target of targets) parent.postMessage(message, target);
+    };
+    cleanups.push(
+      bus.on("*", (detail, type) => {
+        post({ type: MESSAGE_EVENT, event: type, detail });
+      }),
+    );
+    post({ type: MESSAGE_EVENT, event: "ready", detail: {} });
+  }
+
+  win.dispatchEvent(new win.CustomEvent(EMBED_READY_EVENT, { detail: api }));
+
+  return () => {
+    for (const cleanup of cleanups) cleanup();
+    if (win[EMBED_GLOBAL] === api) delete win[EMBED_GLOBAL];
+  };
+}
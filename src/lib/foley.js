@@ -0,0 +1,223 @@
+import { getAudioContext } from "./audio";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Foley – room tone, CRT whine and degauss, disc spin-up, panel clicks
+   and channel-change static, all synthesized with WebAudio (no assets).
+   Has its own master level, apart from the video's VOL fader.
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const DEFAULT_UI_VOLUME = 0.5;
+
+// Horizontal scan rate of an NTSC set: the whine of a lit tube
+const CRT_WHINE_HZ = 15734;
+const NOISE_SECONDS = 2;
+
+// One white-noise buffer per context, looped or sliced by every sound
+const noiseBuffers = new WeakMap();
+
+function noiseBuffer(context) {
+  if (!noiseBuffers.has(context)) {
+    const length = context.sampleRate * NOISE_SECONDS;
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(context, buffer);
+  }
+  return noiseBuffers.get(context);
+}
+
+function noise(context, { loop = false } = {}) {
+  const source = context.createBufferSource();
+  source.buffer = noiseBuffer(context);
+  source.loop = loop;
+  return source;
+}
+
+function filter(context, type, frequency, Q = 1) {
+  const node = context.createBiquadFilter();
+  node.type = type;
+  node.frequency.value = frequency;
+  node.Q.value = Q;
+  return node;
+}
+
+// Gain with a quick attack and an exponential decay, starting at `start`
+function envelope(context, start, { attack = 0.005, length, level }) {
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(level, start + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + length);
+  return gain;
+}
+
+function tone(context, out, start, type, freq, options) {
+  const osc = context.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, start);
+  if (options.glideTo) {
+    osc.frequency.exponentialRampToValueAtTime(options.glideTo, start + options.length);
+  }
+  osc.connect(envelope(context, start, options)).connect(out);
+  osc.start(start);
+  osc.stop(start + options.length + 0.05);
+}
+
+function burst(context, out, start, filterNode, options) {
+  const source = noise(context);
+  source.connect(filterNode).connect(envelope(context, start, options)).connect(out);
+  source.start(start);
+  source.stop(start + options.length + 0.05);
+}
+
+// ── One-shots: (context, out, start) ────────────────────────────────
+const ONE_SHOTS = {
+  // VHS transport button: plastic tick over a short spring "tock"
+  click(context, out, start) {
+    burst(context, out, start, filter(context, "bandpass", 3200, 2), {
+      attack: 0.001,
+      length: 0.03,
+      level: 0.5,
+    });
+    tone(context, out, start, "triangle", 900, {
+      attack: 0.002,
+      length: 0.05,
+      level: 0.15,
+      glideTo: 500,
+    });
+  },
+  // Tube power-on: the degauss coil's thunk, then its fading mains buzz
+  degauss(context, out, start) {
+    burst(context, out, start, filter(context, "lowpass", 220), {
+      length: 0.12,
+      level: 0.9,
+    });
+    tone(context, out, start, "sine", 60, { length: 1.4, level: 0.5 });
+    const buzz = filter(context, "lowpass", 400);
+    buzz.connect(out);
+    tone(context, buzz, start + 0.02, "sawtooth", 120, { length: 1.1, level: 0.18 });
+  },
+  // Lid shut: the CD motor spins up and the laser sled seeks
+  discSpin(context, out, start) {
+    const motor = filter(context, "lowpass", 600);
+    motor.connect(out);
+    tone(context, motor, start, "sawtooth", 35, {
+      attack: 0.3,
+      length: 2.2,
+      level: 0.12,
+      glideTo: 190,
+    });
+    burst(context, out, start + 0.15, filter(context, "bandpass", 1800, 4), {
+      attack: 0.4,
+      length: 1.9,
+      level: 0.08,
+    });
+    [0.9, 1.05, 1.4].forEach((at) =>
+      burst(context, out, start + at, filter(context, "highpass", 2500), {
+        attack: 0.001,
+        length: 0.02,
+        level: 0.12,
+      }),
+    );
+  },
+};
+
+// ── Held sounds: (context, out) → stop() ────────────────────────────
+// `source` is started and stopped; `through` (a filter on it) is faded
+function loop(context, out, source, { through = source, level, fadeIn = 0.3 }) {
+  const gain = context.createGain();
+  const now = context.currentTime;
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(level, now + fadeIn);
+  through.connect(gain).connect(out);
+  source.start(now);
+  return () => {
+    const end = context.currentTime;
+    gain.gain.cancelScheduledValues(end);
+    gain.gain.setValueAtTime(gain.gain.value, end);
+    gain.gain.linearRampToValueAtTime(0, end + 0.15);
+    source.stop(end + 0.2);
+  };
+}
+
+const HELD = {
+  // Quiet room: low rumble, always there once sound is allowed
+  room(context, out) {
+    const source = noise(context, { loop: true });
+    const rumble = filter(context, "lowpass", 320, 0.5);
+    source.connect(rumble);
+    return loop(context, out, source, { through: rumble, level: 0.05, fadeIn: 2 });
+  },
+  // Lit tube: the flyback whine (inaudible to some ears, as on the real thing)
+  whine(context, out) {
+    const osc = context.createOscillator();
+    osc.frequency.value = CRT_WHINE_HZ;
+    return loop(context, out, osc, { level: 0.012, fadeIn: 0.5 });
+  },
+  // Between channels: hiss over the snow
+  static(context, out) {
+    const source = noise(context, { loop: true });
+    const hiss = filter(context, "highpass", 900, 0.5);
+    source.connect(hiss);
+    return loop(context, out, source, { through: hiss, level: 0.18, fadeIn: 0.03 });
+  },
+};
+
+// Browsers only allow sound after a user gesture; asking earlier would
+// create a context that stays suspended (and warns)
+function hasUserActivation() {
+  return globalThis.navigator?.userActivation?.hasBeenActive ?? true;
+}
+
+// play(name) fires a one-shot; hold(name, on) keeps a sound going until
+// turned off. Holds asked for before sound is allowed start on resume().
+export function createFoley({
+  level = DEFAULT_UI_VOLUME,
+  getContext = getAudioContext,
+  canStart = hasUserActivation,
+} = {}) {
+  let context = null;
+  let master = null;
+  // name → stop() while playing, null while waiting to start
+  const held = new Map();
+
+  const ready = () => {
+    if (!canStart()) return false;
+    context = getContext();
+    if (!context) return false;
+    if (!master) {
+      master = context.createGain();
+      master.gain.value = level;
+      master.connect(context.destination);
+    }
+    for (const [name, stop] of held) {
+      if (!stop) held.set(name, HELD[name](context, master));
+    }
+    return true;
+  };
+
+  return {
+    play(name) {
+      const sound = ONE_SHOTS[name];
+      if (!sound) throw new Error(`Unknown foley sound "${name}"`);
+      if (ready()) sound(context, master, context.currentTime);
+    },
+    hold(name, on) {
+      if (!HELD[name]) throw new Error(`Unknown foley sound "${name}"`);
+      if (!on) {
+        held.get(name)?.();
+        held.delete(name);
+        return;
+      }
+      if (!held.has(name)) held.set(name, null);
+      ready();
+    },
+    // First gesture: start whatever is being held
+    resume() {
+      ready();
+    },
+    setLevel(value) {
+      level = value;
+      if (master) master.gain.setTargetAtTime(value, context.currentTime, 0.02);
+    },
+  };
+}
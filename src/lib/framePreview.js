@@ -0,0 +1,84 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Frame preview – thumbnails for the tape bar's hover tooltip, grabbed
+   off a hidden second video element (same file, muted, never played)
+   ═══════════════════════════════════════════════════════════════════ */
+
+const PREVIEW_STEP = 0.5; // seconds; nearby hover positions share a frame
+const HAVE_CURRENT_DATA = 2; // HTMLMediaElement.readyState
+
+// Draws the frame at the requested time into `canvas`. Requests that
+// arrive while a seek is in flight are coalesced: only the latest one is
+// seeked to next, so fast pointer moves don't queue up stale frames.
+// Nothing is seeked before the first frame has loaded: a seek on an empty
+// element only moves the start position and never fires "seeked".
+export function createFramePreview(
+  src,
+  canvas,
+  { createVideo = () => document.createElement("video") } = {},
+) {
+  const video = createVideo();
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = src;
+
+  const ctx = canvas.getContext("2d");
+  let ready = video.readyState >= HAVE_CURRENT_DATA;
+  let failed = false;
+  let pending = null;
+  let seeking = false;
+  let target = null; // time being seeked to
+  let shown = null; // time of the frame on the canvas
+
+  const draw = () => {
+    shown = target;
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  };
+
+  const seekNext = () => {
+    seeking = false;
+    if (!ready || failed || pending === null || pending === shown) return;
+    target = pending;
+    pending = null;
+    // Already there: no seek, so no "seeked" to wait for
+    if (video.currentTime === target) {
+      draw();
+      return;
+    }
+    seeking = true;
+    video.currentTime = target;
+  };
+
+  const onLoaded = () => {
+    ready = true;
+    if (!seeking) seekNext();
+  };
+  const onSeeked = () => {
+    draw();
+    seekNext();
+  };
+  const onError = () => {
+    failed = true;
+    seeking = false;
+    pending = null;
+    console.warn(`[preview] Could not load "${src}" for the frame preview`);
+  };
+  video.addEventListener("loadeddata", onLoaded);
+  video.addEventListener("seeked", onSeeked);
+  video.addEventListener("error", onError);
+
+  return {
+    request(time) {
+      if (failed) return;
+      pending = Math.round(time / PREVIEW_STEP) * PREVIEW_STEP;
+      if (!seeking) seekNext();
+    },
+    dispose() {
+      video.removeEventListener("loadeddata", onLoaded);
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("error", onError);
+      video.removeAttribute("src");
+      video.load();
+    },
+  };
+}
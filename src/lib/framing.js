@@ -0,0 +1,37 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Close-up framing – camera distance that fits the TV screen's bounding
+   box into the viewport, for any aspect ratio
+   ═══════════════════════════════════════════════════════════════════ */
+
+// In portrait the VHS panel spans the bottom edge: aim this fraction of
+// the half-height below the screen so the TV sits above the panel
+export const PORTRAIT_LIFT = 0.3;
+
+// `box` is { min: {x,y,z}, max: {x,y,z} } in world space (a THREE.Box3
+// works as is); the screen faces +Z. `fov` is vertical, in degrees.
+// `margin` is the fraction of the frame kept clear on each side of the
+// screen, along whichever axis is tighter (0 = screen edge to edge).
+export function closeupFraming(box, aspect, { fov, margin }) {
+  const center = {
+    x: (box.min.x + box.max.x) / 2,
+    y: (box.min.y + box.max.y) / 2,
+    z: (box.min.z + box.max.z) / 2,
+  };
+  const width = box.max.x - box.min.x;
+  const height = box.max.y - box.min.y;
+  const depth = box.max.z - box.min.z;
+
+  const fill = Math.max(0.05, 1 - 2 * margin);
+  const tanHalf = Math.tan((fov * Math.PI) / 360);
+  const fitHeight = height / 2 / fill / tanHalf;
+  const fitWidth = width / 2 / fill / (tanHalf * aspect);
+  // Measured from the front of the box, so a deep CRT isn't clipped
+  const distance = Math.max(fitHeight, fitWidth) + depth / 2;
+
+  const lift = aspect < 1 ? PORTRAIT_LIFT * distance * tanHalf : 0;
+  return {
+    position: [center.x, center.y + 0.03 - lift, center.z + distance],
+    target: [center.x, center.y - lift, center.z],
+    distance,
+  };
+}
@@ -0,0 +1,120 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Gamepad input – DualShock-style mapping over the Gamepad API
+   ═══════════════════════════════════════════════════════════════════ */
+
+// W3C "standard" mapping indices, named after the DualShock buttons
+export const PAD_BUTTONS = {
+  cross: 0,
+  circle: 1,
+  square: 2,
+  triangle: 3,
+  l1: 4,
+  r1: 5,
+  l2: 6,
+  r2: 7,
+  select: 8,
+  start: 9,
+  l3: 10,
+  r3: 11,
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15,
+};
+
+// Button → scene action (fired once per press, not while held)
+export const PAD_ACTIONS = {
+  start: "powerOn",
+  cross: "playPause",
+  l1: "prevChannel",
+  r1: "nextChannel",
+  left: "seekBack",
+  right: "seekForward",
+  select: "togglePanel",
+};
+
+// On-screen legend, in display order
+export const PAD_LEGEND = [
+  { button: "START", label: "Power on" },
+  { button: "✕", label: "Play / pause" },
+  { button: "L1 / R1", label: "Channel" },
+  { button: "◀ / ▶", label: "Seek ±10s" },
+  { button: "SELECT", label: "Show / hide panel" },
+  { button: "STICK", label: "Orbit camera" },
+];
+
+export const STICK_DEADZONE = 0.15;
+
+const defaultGetGamepads = () =>
+  typeof navigator !== "undefined" && navigator.getGamepads
+    ? navigator.getGamepads()
+    : [];
+
+const isPressed = (button) =>
+  typeof button === "number" ? button > 0.5 : Boolean(button?.pressed);
+
+// Rescales the stick so the deadzone edge is 0 and full tilt is 1
+export function applyDeadzone(value, deadzone = STICK_DEADZONE) {
+  const magnitude = Math.abs(value);
+  if (!isFinite(value) || magnitude < deadzone) return 0;
+  return (Math.sign(value) * (Math.min(magnitude, 1) - deadzone)) / (1 - deadzone);
+}
+
+// Whichever stick is tilted further drives the camera
+export function readStick(axes = [], deadzone = STICK_DEADZONE) {
+  const left = { x: applyDeadzone(axes[0] ?? 0, deadzone), y: applyDeadzone(axes[1] ?? 0, deadzone) };
+  const right = { x: applyDeadzone(axes[2] ?? 0, deadzone), y: applyDeadzone(axes[3] ?? 0, deadzone) };
+  const size = (s) => Math.hypot(s.x, s.y);
+  return size(right) > size(left) ? right : left;
+}
+
+// Keeps the previous button state per pad, so each poll reports only the
+// buttons that went down since the last one. Browsers expose a pad only
+// after its first button press, so a button that is already down when the
+// pad appears counts as a press (START both wakes the pad and powers on).
+export function createGamepadPoller({
+  getGamepads = defaultGetGamepads,
+  actions = PAD_ACTIONS,
+  deadzone = STICK_DEADZONE,
+} = {}) {
+  const previous = new Map(); // pad index → { id, pressed[] }
+
+  const poll = () => {
+    const pads = Array.from(getGamepads() ?? []).filter(
+      (pad) => pad && pad.connected !== false,
+    );
+    const fired = [];
+    const connected = [];
+    const disconnected = [];
+    let stick = { x: 0, y: 0 };
+
+    const seen = new Set();
+    for (const pad of pads) {
+      seen.add(pad.index);
+      if (!previous.has(pad.index)) connected.push(pad.id);
+
+      const pressed = Array.from(pad.buttons ?? [], isPressed);
+      const before = previous.get(pad.index)?.pressed ?? [];
+      for (const [name, action] of Object.entries(actions)) {
+        const i = PAD_BUTTONS[name];
+        if (pressed[i] && !before[i]) fired.push(action);
+      }
+      previous.set(pad.index, { id: pad.id, pressed });
+
+      const padStick = readStick(pad.axes, deadzone);
+      if (Math.hypot(padStick.x, padStick.y) > Math.hypot(stick.x, stick.y)) {
+        stick = padStick;
+      }
+    }
+
+    for (const [index, { id }] of [...previous]) {
+      if (seen.has(index)) continue;
+      previous.delete(index);
+      disconnected.push(id);
+    }
+
+    return { actions: fired, stick, count: seen.size, connected, disconnected };
+  };
+
+  return { poll, reset: () => previous.clear() };
+}
@@ -0,0 +1,159 @@
+import { gradientColor, hexToLinear } from "./lighting.js";
+
+/* ═══════════════════════════════════════════════════════════════════
+   HDRI baking – renders a lighting preset into an equirectangular
+   Radiance (.hdr) file. Used by scripts/generate-hdri.js; plain JS so
+   it also runs under Node.
+   ═══════════════════════════════════════════════════════════════════ */
+
+const SAMPLES = 2; // per axis, anti-aliases the panel edges
+const HORIZON_BLEND = 0.12; // sky → ground fade, in units of dir.y
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const normalize = (a) => {
+  const len = Math.hypot(a[0], a[1], a[2]) || 1;
+  return [a[0] / len, a[1] / len, a[2] / len];
+};
+
+// Panel basis as Object3D.lookAt(origin) would give it: +Z faces the
+// origin, +X is horizontal (unless the panel is straight above/below)
+function panelBasis(light) {
+  const z = normalize(sub([0, 0, 0], light.position));
+  const up = Math.abs(z[1]) > 0.999 ? [0, 0, 1] : [0, 1, 0];
+  const x = normalize(cross(up, z));
+  return { z, x, y: cross(z, x) };
+}
+
+function prepareLights(preset) {
+  return preset.lights.map((light) => ({
+    ...light,
+    ...panelBasis(light),
+    radiance: hexToLinear(light.color).map((c) => c * light.intensity),
+  }));
+}
+
+// Radiance seen from the origin looking along `dir`
+function sample(dir, sky, ground, lights) {
+  const t = Math.max(0, Math.min(1, dir[1] / HORIZON_BLEND * 0.5 + 0.5));
+  const out = [0, 1, 2].map((i) => ground[i] + (sky[i] - ground[i]) * t);
+
+  let nearest = Infinity;
+  for (const light of lights) {
+    const facing = dot(dir, light.z);
+    if (facing >= 0) continue; // looking at the panel's back
+    const dist = dot(light.position, light.z) / facing;
+    if (dist <= 0 || dist >= nearest) continue;
+
+    const local = sub(dir.map((d) => d * dist), light.position);
+    const lx = dot(local, light.x);
+    const ly = dot(local, light.y);
+    const hit =
+      light.form === "circle"
+        ? lx * lx + ly * ly <= light.scale[0] * light.scale[0]
+        : Math.abs(lx) <= light.scale[0] / 2 && Math.abs(ly) <= light.scale[1] / 2;
+    if (!hit) continue;
+
+    nearest = dist;
+    out[0] = light.radiance[0];
+    out[1] = light.radiance[1];
+    out[2] = light.radiance[2];
+  }
+  return out;
+}
+
+// Linear RGB floats, top row first, in three's equirect layout
+// (u = atan2(z, x), v = asin(y))
+export function renderEquirect(preset, width, height) {
+  const sky = gradientColor(preset.sky);
+  const ground = gradientColor(preset.ground);
+  const lights = prepareLights(preset);
+  const pixels = new Float32Array(width * height * 3);
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const sum = [0, 0, 0];
+      for (let sy = 0; sy < SAMPLES; sy++) {
+        for (let sx = 0; sx < SAMPLES; sx++) {
+          const u = (col + (sx + 0.5) / SAMPLES) / width;
+          const v = 1 - (row + (sy + 0.5) / SAMPLES) / height;
+          const phi = (u - 0.5) * 2 * Math.PI;
+          const lat = (v - 0.5) * Math.PI;
+          const dir = [Math.cos(phi) * Math.cos(lat), Math.sin(lat), Math.sin(phi) * Math.cos(lat)];
+          const c = sample(dir, sky, ground, lights);
+          sum[0] += c[0];
+          sum[1] += c[1];
+          sum[2] += c[2];
+        }
+      }
+      const i = (row * width + col) * 3;
+      const n = SAMPLES * SAMPLES;
+      pixels[i] = sum[0] / n;
+      pixels[i + 1] = sum[1] / n;
+      pixels[i + 2] = sum[2] / n;
+    }
+  }
+  return pixels;
+}
+
+// Shared-exponent RGBE encoding of one pixel
+export function toRGBE(r, g, b) {
+  const max = Math.max(r, g, b);
+  if (max < 1e-32) return [0, 0, 0, 0];
+  const exponent = Math.floor(Math.log2(max)) + 1; // max = [0.5, 1) * 2^exponent
+  const scale = 256 / Math.pow(2, exponent);
+  return [
+    Math.min(255, Math.floor(r * scale)),
+    Math.min(255, Math.floor(g * scale)),
+    Math.min(255, Math.floor(b * scale)),
+    exponent + 128,
+  ];
+}
+
+// One channel of a scanline with the Radiance run-length scheme:
+// runs (128 + length, value) and literal dumps (length, values...)
+function encodeChannel(values, out) {
+  let i = 0;
+  while (i < values.length) {
+    let run = 1;
+    while (run < 127 && i + run < values.length && values[i + run] === values[i]) run++;
+    if (run >= 3) {
+      out.push(128 + run, values[i]);
+      i += run;
+      continue;
+    }
+    // Literal dump up to the next run of 3+
+    const start = i;
+    while (
+      i < values.length &&
+      i - start < 128 &&
+      !(i + 2 < values.length && values[i] === values[i + 1] && values[i] === values[i + 2])
+    ) {
+      i++;
+    }
+    out.push(i - start, ...values.subarray(start, i));
+  }
+}
+
+// Radiance .hdr file bytes (new-style RLE scanlines; width 8..32767)
+export function encodeHDR(pixels, width, height) {
+  const header = `#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${height} +X ${width}\n`;
+  const out = Array.from(header, (ch) => ch.charCodeAt(0));
+  const channels = [0, 1, 2, 3].map(() => new Uint8Array(width));
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const i = (row * width + col) * 3;
+      const rgbe = toRGBE(pixels[i], pixels[i + 1], pixels[i + 2]);
+      for (let c = 0; c < 4; c++) channels[c][col] = rgbe[c];
+    }
+    out.push(2, 2, width >> 8, width & 255);
+    for (const channel of channels) encodeChannel(channel, out);
+  }
+  return Uint8Array.from(out);
+}
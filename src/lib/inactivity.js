@@ -0,0 +1,89 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Inactivity manager – names how long nobody has touched the page
+   ("active" → "hint" → "attract"), as a store for useSyncExternalStore
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const ACTIVE = "active";
+// Attract mode delay for a bare ?attract (seconds)
+export const DEFAULT_ATTRACT_DELAY = 60;
+
+// Anything a visitor does counts, including mouse moves and the wheel
+export const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "keydown",
+  "wheel",
+  "touchstart",
+];
+
+// `stages` is [{ name, after }] with `after` in ms since the last input;
+// stages without a finite `after` are skipped (e.g. attract mode off).
+// The countdown only runs while armed; poke() starts it over.
+export function createInactivityManager(
+  stages,
+  { timers = globalThis } = {},
+) {
+  const schedule = stages
+    .filter((stage) => Number.isFinite(stage.after))
+    .sort((a, b) => a.after - b.after);
+  const listeners = new Set();
+  let snapshot = ACTIVE;
+  let armed = false;
+  let pending = [];
+
+  const set = (stage) => {
+    if (stage === snapshot) return;
+    snapshot = stage;
+    for (const listener of listeners) listener(snapshot);
+  };
+
+  const clear = () => {
+    pending.forEach((id) => timers.clearTimeout(id));
+    pending = [];
+  };
+
+  const start = () => {
+    clear();
+    pending = schedule.map(({ name, after }) =>
+      timers.setTimeout(() => set(name), after),
+    );
+  };
+
+  return {
+    // Starts counting (no-op while already armed)
+    arm() {
+      if (armed) return;
+      armed = true;
+      start();
+    },
+    // Stops counting and goes back to "active"
+    disarm() {
+      armed = false;
+      clear();
+      set(ACTIVE);
+    },
+    // Someone did something
+    poke() {
+      set(ACTIVE);
+      if (armed) start();
+    },
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// Calls poke() on any ACTIVITY_EVENTS on `target`; returns the cleanup
+export function watchActivity(target, manager) {
+  const poke = () => manager.poke();
+  for (const type of ACTIVITY_EVENTS) {
+    target.addEventListener(type, poke, { passive: true });
+  }
+  return () => {
+    for (const type of ACTIVITY_EVENTS) {
+      target.removeEventListener(type, poke);
+    }
+  };
+}
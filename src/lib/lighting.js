@@ -0,0 +1,80 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Lighting presets – environment maps bundled in public/hdri/
+   The .hdr files are generated from the same light list by
+   scripts/generate-hdri.js, and the lightformer fallback (used when a
+   file fails to load) is built from it too, so both look alike.
+   ═══════════════════════════════════════════════════════════════════ */
+
+// Each light is an emissive panel facing the origin (drei <Lightformer>):
+//   form: "rect" (scale = [width, height]) or "circle" (scale = [radius])
+//   color: sRGB hex, intensity: linear multiplier
+// sky / ground: the gradient behind the lights (top and bottom halves)
+export const LIGHTING_PRESETS = {
+  studio: {
+    label: "STUDIO",
+    file: "/hdri/studio.hdr",
+    day: 0.9,
+    night: 0.35,
+    sky: { color: "#c9ccd4", intensity: 0.6 },
+    ground: { color: "#4a4a50", intensity: 0.25 },
+    lights: [
+      { form: "rect", position: [-4, 3, 3], scale: [3, 4], color: "#ffffff", intensity: 6 },
+      { form: "rect", position: [5, 2, 1], scale: [2, 3], color: "#f4f6ff", intensity: 3 },
+      { form: "rect", position: [0, 6, 0], scale: [6, 1.2], color: "#ffffff", intensity: 4 },
+      { form: "rect", position: [0, 1.5, -6], scale: [4, 2], color: "#e8ecff", intensity: 1.5 },
+    ],
+  },
+  livingRoom: {
+    label: "LIVING ROOM",
+    file: "/hdri/living-room-night.hdr",
+    day: 0.7,
+    night: 0.25,
+    sky: { color: "#2b2438", intensity: 0.25 },
+    ground: { color: "#1a1410", intensity: 0.12 },
+    lights: [
+      // Floor lamp
+      { form: "circle", position: [-4, 2.2, 1.5], scale: [0.6], color: "#ffb26b", intensity: 14 },
+      // Moonlit window
+      { form: "rect", position: [3, 2.5, -5], scale: [2.5, 3], color: "#7f9cff", intensity: 2 },
+      // Ceiling bounce from the lamp
+      { form: "rect", position: [-1, 6, 0], scale: [4, 4], color: "#ffcf99", intensity: 0.8 },
+    ],
+  },
+  showroom: {
+    label: "SHOWROOM",
+    file: "/hdri/showroom.hdr",
+    day: 1.1,
+    night: 0.45,
+    sky: { color: "#e6e8ee", intensity: 0.9 },
+    ground: { color: "#9a9ca4", intensity: 0.45 },
+    lights: [
+      { form: "rect", position: [-3, 6, 0], scale: [0.6, 8], color: "#ffffff", intensity: 5 },
+      { form: "rect", position: [0, 6, 0], scale: [0.6, 8], color: "#ffffff", intensity: 5 },
+      { form: "rect", position: [3, 6, 0], scale: [0.6, 8], color: "#ffffff", intensity: 5 },
+      { form: "rect", position: [0, 2, 6], scale: [8, 2.5], color: "#fff8ee", intensity: 2 },
+      { form: "rect", position: [-6, 2, 0], scale: [4, 2.5], color: "#f0f4ff", intensity: 1.5 },
+    ],
+  },
+};
+
+export const LIGHTING_ORDER = ["studio", "livingRoom", "showroom"];
+export const DEFAULT_LIGHTING = "studio";
+
+export function nextLighting(presetId) {
+  const idx = LIGHTING_ORDER.indexOf(presetId);
+  return LIGHTING_ORDER[(idx + 1) % LIGHTING_ORDER.length];
+}
+
+// sRGB hex → linear RGB (what three uses for colours internally)
+export function hexToLinear(hex) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return [16, 8, 0].map((shift) => {
+    const c = ((value >> shift) & 255) / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+}
+
+// Linear colour of a gradient stop, scaled by its intensity
+export function gradientColor({ color, intensity }) {
+  return hexToLinear(color).map((c) => c * intensity);
+}
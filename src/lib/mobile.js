@@ -0,0 +1,73 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Mobile / touch – compact layout breakpoint, initial-view framing and
+   swipe gestures on the TV screen
+   ═══════════════════════════════════════════════════════════════════ */
+
+// Phones (either orientation): compact, collapsible VHS panel
+export const COMPACT_QUERY = "(max-width: 640px), (max-height: 500px)";
+
+// ── Initial view framing (the close-up is fitted in lib/framing.js) ──
+// The camera FOV is vertical, so a narrow window loses the sides of the
+// scene. Below this aspect the camera backs off to keep the same width.
+export const REFERENCE_ASPECT = 4 / 3;
+export const MAX_DISTANCE_SCALE = 2.4;
+
+export function aspectDistanceScale(aspect) {
+  if (!(aspect > 0) || aspect >= REFERENCE_ASPECT) return 1;
+  return Math.min(MAX_DISTANCE_SCALE, REFERENCE_ASPECT / aspect);
+}
+
+// Camera position pushed away from `target` along the same line
+export function scaledPosition(position, target, scale) {
+  return position.map((p, i) => target[i] + (p - target[i]) * scale);
+}
+
+// ── Swipes ────────────────────────────────────────────────────────────
+export const SWIPE_MIN_DISTANCE = 50; // px
+export const SWIPE_MAX_DURATION = 600; // ms; slower drags aren't flicks
+
+// Same action names as the gamepad (lib/gamepad.js): right/left seeks,
+// up/down changes channel. Diagonal moves go to the dominant axis.
+export function swipeAction(dx, dy, duration) {
+  if (duration > SWIPE_MAX_DURATION) return null;
+  if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_MIN_DISTANCE) return null;
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    return dx > 0 ? "seekForward" : "seekBack";
+  }
+  return dy < 0 ? "nextChannel" : "prevChannel";
+}
+
+// Follows one touch from down to up; up() returns the swipe's action,
+// or null. A second finger (pinch) cancels it; mouse and pen are ignored.
+export function createSwipeTracker() {
+  let start = null;
+  let touches = 0;
+
+  return {
+    down(e) {
+      if (e.pointerType !== "touch") return;
+      touches += 1;
+      start =
+        touches === 1
+          ? { id: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp }
+          : null;
+    },
+    up(e) {
+      if (e.pointerType !== "touch") return null;
+      touches = Math.max(0, touches - 1);
+      if (!start || e.pointerId !== start.id) return null;
+      const action = swipeAction(
+        e.clientX - start.x,
+        e.clientY - start.y,
+        e.timeStamp - start.time,
+      );
+      start = null;
+      return action;
+    },
+    cancel(e) {
+      if (e.pointerType !== "touch") return;
+      touches = Math.max(0, touches - 1);
+      start = null;
+    },
+  };
+}
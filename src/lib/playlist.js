@@ -0,0 +1,79 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Playlist – what plays when a video ends: the playback mode, games
+   queued from the jewel cases and the shuffle order
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const PLAYBACK_MODES = ["repeatAll", "repeatOne", "shuffle", "stopAfter"];
+export const DEFAULT_PLAYBACK_MODE = "repeatAll";
+
+// VFD indicator text and the name read out / shown in tooltips
+export const PLAYBACK_MODE_LABELS = {
+  repeatAll: { vfd: "RPT ALL", name: "Repeat all" },
+  repeatOne: { vfd: "RPT 1", name: "Repeat one" },
+  shuffle: { vfd: "SHUFFLE", name: "Shuffle" },
+  stopAfter: { vfd: "STOP", name: "Stop after current" },
+};
+
+export function nextPlaybackMode(mode) {
+  const index = PLAYBACK_MODES.indexOf(mode);
+  return PLAYBACK_MODES[(index + 1) % PLAYBACK_MODES.length];
+}
+
+const range = (count) => Array.from({ length: count }, (_, i) => i);
+
+// Fisher–Yates; `random` is swappable for tests
+export function shuffled(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// { mode, queue, order }: `queue` holds video indices picked by the
+// visitor (played first, in order), `order` the rest of the shuffle pass
+export function createPlaylist(
+  count,
+  { mode = DEFAULT_PLAYBACK_MODE, random = Math.random } = {},
+) {
+  return { mode, queue: [], order: shuffled(range(count), random) };
+}
+
+// Index to play when `current` ends, or null to power down. Queued games
+// come before the mode (except "stop after current").
+export function upNext(playlist, current, count) {
+  if (playlist.mode === "stopAfter") return null;
+  if (playlist.queue.length > 0) return playlist.queue[0];
+  if (playlist.mode === "repeatOne") return current;
+  if (playlist.mode === "shuffle") {
+    return playlist.order.find((index) => index !== current) ?? current;
+  }
+  return (current + 1) % count;
+}
+
+// `index` started playing (ended, picked, or powered on): it leaves the
+// queue and the shuffle pass. A new pass starts once every game has had
+// its turn, without the one playing now.
+export function startedVideo(playlist, index, count, random = Math.random) {
+  let order = playlist.order.filter((i) => i !== index);
+  if (order.length === 0) {
+    order = shuffled(
+      range(count).filter((i) => i !== index),
+      random,
+    );
+  }
+  return {
+    ...playlist,
+    queue: playlist.queue.filter((i) => i !== index),
+    order,
+  };
+}
+
+// Queue tab on a jewel case: adds the game, or takes it out again
+export function toggleQueued(playlist, index) {
+  const queue = playlist.queue.includes(index)
+    ? playlist.queue.filter((i) => i !== index)
+    : [...playlist.queue, index];
+  return { ...playlist, queue };
+}
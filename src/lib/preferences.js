@@ -0,0 +1,176 @@
+import { DEFAULT_UI_VOLUME } from "./foley";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Saved preferences – volume, mute, SFX level, button layout, speaker
+   EQ, last channel and the resume point, kept in localStorage across
+   sessions
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const PREFS_STORAGE_KEY = "ps1-showcase:prefs";
+export const PREFS_VERSION = 1;
+
+export const DEFAULT_PREFERENCES = {
+  volume: 1,
+  muted: false,
+  // Level of the synthesized room / UI sounds (SFX fader)
+  uiVolume: DEFAULT_UI_VOLUME,
+  actionLayout: null,
+  // "CRT speaker" EQ on the TV's sound
+  crtSpeaker: false,
+  // Video id of the last channel (null = the default channel)
+  channel: null,
+  // { channel, time, savedAt } – where playback stopped last session
+  resume: null,
+};
+
+// Upgrades from older schemas, keyed by the version they upgrade *from*:
+// MIGRATIONS[1] turns a version 1 object into version 2, and so on.
+// Bump PREFS_VERSION and add a step here whenever the shape changes.
+export const MIGRATIONS = {};
+
+// ⏻ (reset all) forgets where you were, not how you like it: volume, mute,
+// the SFX level, the button layout and the speaker EQ survive it. "Clear saved data" wipes everything.
+export const RESET_ALL_KEYS = ["channel", "resume"];
+
+// Resume points closer than this to either end of the video aren't worth
+// offering, and stale ones are dropped
+export const RESUME_MIN_TIME = 5;
+export const RESUME_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Runs the migration steps from the stored version up to PREFS_VERSION.
+// Unversioned, newer-than-us or unmigratable data is discarded (null).
+export function migratePreferences(stored, migrations = MIGRATIONS) {
+  if (!stored || typeof stored !== "object") return null;
+  let data = stored;
+  let version = data.version;
+  if (!Number.isInteger(version) || version > PREFS_VERSION) return null;
+
+  while (version < PREFS_VERSION) {
+    const step = migrations[version];
+    if (!step) return null;
+    data = step(data);
+    version += 1;
+  }
+  return { ...data, version };
+}
+
+function isVideoId(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+// Field-by-field: one bad value falls back to its default, not the lot.
+// Without a `layouts` list any layout name is kept as is.
+export function sanitizePreferences(data, { layouts } = {}) {
+  const prefs = { ...DEFAULT_PREFERENCES };
+  if (!data || typeof data !== "object") return prefs;
+
+  if (typeof data.volume === "number" && isFinite(data.volume)) {
+    prefs.volume = Math.max(0, Math.min(1, data.volume));
+  }
+  if (typeof data.muted === "boolean") prefs.muted = data.muted;
+  if (typeof data.uiVolume === "number" && isFinite(data.uiVolume)) {
+    prefs.uiVolume = Math.max(0, Math.min(1, data.uiVolume));
+  }
+  if (typeof data.crtSpeaker === "boolean") prefs.crtSpeaker = data.crtSpeaker;
+  if (
+    typeof data.actionLayout === "string" &&
+    (!layouts || layouts.includes(data.actionLayout))
+  ) {
+    prefs.actionLayout = data.actionLayout;
+  }
+  if (isVideoId(data.channel)) prefs.channel = data.channel;
+
+  const resume = data.resume;
+  if (
+    resume &&
+    isVideoId(resume.channel) &&
+    typeof resume.time === "number" &&
+    isFinite(resume.time) &&
+    resume.time > 0 &&
+    typeof resume.savedAt === "number"
+  ) {
+    prefs.resume = {
+      channel: resume.channel,
+      time: resume.time,
+      savedAt: resume.savedAt,
+    };
+  }
+  return prefs;
+}
+
+// ── Storage (localStorage can be missing, full or blocked) ────────────
+function defaultStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+export function loadPreferences({ layouts, storage = defaultStorage() } = {}) {
+  if (!storage) return { ...DEFAULT_PREFERENCES };
+  try {
+    const raw = storage.getItem(PREFS_STORAGE_KEY);
+    const data = raw ? migratePreferences(JSON.parse(raw)) : null;
+    return sanitizePreferences(data, { layouts });
+  } catch (err) {
+    console.warn(`[preferences] Ignoring saved preferences: ${err.message}`);
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+function writePreferences(prefs, storage) {
+  if (!storage) return;
+  try {
+    storage.setItem(
+      PREFS_STORAGE_KEY,
+      JSON.stringify({ version: PREFS_VERSION, ...prefs }),
+    );
+  } catch (err) {
+    console.warn(`[preferences] Could not save preferences: ${err.message}`);
+  }
+}
+
+// Merges `patch` into what is stored now, so separate writers (volume
+// fader, resume timer, …) never undo each other's changes
+export function updatePreferences(patch, { storage = defaultStorage() } = {}) {
+  const prefs = { ...loadPreferences({ storage }), ...patch };
+  writePreferences(prefs, storage);
+  return prefs;
+}
+
+export function resetAllPreferences(options) {
+  const patch = Object.fromEntries(
+    RESET_ALL_KEYS.map((key) => [key, DEFAULT_PREFERENCES[key]]),
+  );
+  return updatePreferences(patch, options);
+}
+
+export function clearPreferences({ storage = defaultStorage() } = {}) {
+  try {
+    storage?.removeItem(PREFS_STORAGE_KEY);
+  } catch {
+    // nothing stored, nothing to clear
+  }
+}
+
+// ── Resume where you left off ─────────────────────────────────────────
+
+// Resume entry for a playback position, or null when it isn't worth one
+export function resumePoint(channel, time, duration, now = Date.now()) {
+  if (!isFinite(time) || time < RESUME_MIN_TIME) return null;
+  if (isFinite(duration) && duration > 0 && duration - time < RESUME_MIN_TIME) {
+    return null;
+  }
+  return { channel, time, savedAt: now };
+}
+
+// { index, time } of the saved point if its channel is still in the
+// catalog and it isn't too old; null otherwise
+export function resumeOffer(prefs, videos, now = Date.now()) {
+  const resume = prefs.resume;
+  if (!resume || now - resume.savedAt > RESUME_MAX_AGE) return null;
+  const index = videos.findIndex((v) => v.id === resume.channel);
+  if (index < 0) return null;
+  return { index, time: resume.time };
+}
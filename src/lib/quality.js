@@ -0,0 +1,117 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Rendering quality – low / medium / high tiers, and a governor that
+   picks one from measured frame times in "auto" mode
+   ═══════════════════════════════════════════════════════════════════ */
+
+// dpr:            device pixel ratio range handed to the Canvas
+// contactShadows: resolution of the ground shadow, and how many frames
+//                 it is re-rendered for (Infinity = every frame)
+// environment:    environment intensity multiplier (low makes up for the
+//                 missing glow and softer shadow with a little more light)
+// post:           screen-space effects (the CRT phosphor glow)
+export const QUALITY_TIERS = {
+  low: {
+    label: "LOW",
+    dpr: [1, 1],
+    contactShadows: { resolution: 128, frames: 1 },
+    environment: 1.15,
+    post: false,
+  },
+  medium: {
+    label: "MED",
+    dpr: [1, 1.5],
+    contactShadows: { resolution: 256, frames: Infinity },
+    environment: 1,
+    post: true,
+  },
+  high: {
+    label: "HIGH",
+    dpr: [1, 2],
+    contactShadows: { resolution: 512, frames: Infinity },
+    environment: 1,
+    post: true,
+  },
+};
+
+// Worst to best: the governor steps along this
+export const TIER_ORDER = ["low", "medium", "high"];
+export const QUALITY_MODES = ["auto", "high", "medium", "low"];
+export const DEFAULT_QUALITY_MODE = "auto";
+// Where "auto" starts: safe on most laptops, upgraded within seconds
+export const AUTO_START_TIER = "medium";
+
+// Frame-time budget, judged over windows of WINDOW_FRAMES rendered frames
+export const WINDOW_FRAMES = 90;
+export const SLOW_FRAME_MS = 1000 / 45;
+export const FAST_FRAME_MS = 1000 / 57;
+// Consecutive fast windows before stepping up (stepping down is immediate)
+export const UPGRADE_AFTER = 3;
+// Longer gaps aren't frame times: a hidden tab or a paused render loop
+const MAX_FRAME_MS = 250;
+
+export function nextQualityMode(mode) {
+  const index = QUALITY_MODES.indexOf(mode);
+  return QUALITY_MODES[(index + 1) % QUALITY_MODES.length];
+}
+
+// sample(ms) after every rendered frame; getSnapshot() is
+// { mode, tier, fps } with fps the last window's average (null before)
+export function createQualityGovernor({ mode = DEFAULT_QUALITY_MODE } = {}) {
+  const listeners = new Set();
+  let snapshot = {
+    mode,
+    tier: mode === "auto" ? AUTO_START_TIER : mode,
+    fps: null,
+  };
+  let frames = 0;
+  let total = 0;
+  let fastWindows = 0;
+
+  const set = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    for (const listener of listeners) listener(snapshot);
+  };
+
+  const restartWindow = () => {
+    frames = 0;
+    total = 0;
+  };
+
+  const judge = (average) => {
+    const index = TIER_ORDER.indexOf(snapshot.tier);
+    if (average > SLOW_FRAME_MS) {
+      fastWindows = 0;
+      return TIER_ORDER[Math.max(0, index - 1)];
+    }
+    fastWindows = average < FAST_FRAME_MS ? fastWindows + 1 : 0;
+    if (fastWindows < UPGRADE_AFTER) return snapshot.tier;
+    fastWindows = 0;
+    return TIER_ORDER[Math.min(TIER_ORDER.length - 1, index + 1)];
+  };
+
+  return {
+    sample(ms) {
+      if (!(ms > 0) || ms > MAX_FRAME_MS) return;
+      frames += 1;
+      total += ms;
+      if (frames < WINDOW_FRAMES) return;
+
+      const average = total / frames;
+      restartWindow();
+      const tier = snapshot.mode === "auto" ? judge(average) : snapshot.tier;
+      set({ tier, fps: Math.round(1000 / average) });
+    },
+    setMode(next) {
+      if (!QUALITY_MODES.includes(next) || next === snapshot.mode) return;
+      restartWindow();
+      fastWindows = 0;
+      // Auto carries on from the tier in use rather than starting over
+      set({ mode: next, tier: next === "auto" ? snapshot.tier : next });
+    },
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
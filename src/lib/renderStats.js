@@ -0,0 +1,37 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Render stats – the canvas renders on demand, so frames come in runs
+   (an animation asking for the next one) separated by quiet spells.
+   Counts every rendered frame and tells the two kinds apart, so only
+   real frame times reach the quality governor.
+   ═══════════════════════════════════════════════════════════════════ */
+
+// getSnapshot() is { frames } – the number of frames rendered so far
+export function createRenderStats() {
+  const listeners = new Set();
+  let snapshot = { frames: 0 };
+  // Nothing has asked for the next frame: the loop has stopped
+  let stopped = true;
+
+  return {
+    // Once per rendered frame. True when the previous frame asked for
+    // this one, i.e. the delta since it is a frame time; false for the
+    // first frame after the loop was stopped.
+    frame() {
+      const continuous = !stopped;
+      stopped = false;
+      snapshot = { frames: snapshot.frames + 1 };
+      for (const listener of listeners) listener(snapshot);
+      return continuous;
+    },
+    // The loop stopped after the last frame (R3F's tail effect)
+    stop() {
+      stopped = true;
+    },
+    isStopped: () => stopped,
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,192 @@
+/* ═══════════════════════════════════════════════════════════════════
+   Scene state machine – the single source of truth for the scene flow
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const SCENE_STATES = [
+  "idle",
+  "zoomingIn",
+  "loadingVideo",
+  "playing",
+  "paused",
+  "switchingChannel",
+  "resetting",
+  "hidden",
+];
+
+export const INITIAL_SCENE_STATE = "idle";
+
+// channel:     the channel whose video the scene is waiting for / showing
+// resumeTo:    where "hidden" goes back to when the panel is shown again
+// panelHidden: the panel was dismissed during a reset (it stays unmounted)
+export const INITIAL_SCENE_CONTEXT = {
+  channel: null,
+  resumeTo: "playing",
+  panelHidden: false,
+};
+
+// Events that pick a channel carry it in the payload: { channel }
+const selectChannel = (target) => ({
+  target,
+  assign: (_, payload) => ({ channel: payload?.channel ?? null }),
+});
+
+// Guard: a video that finishes loading after the user already moved on to
+// another channel must not flip the scene to "playing"
+const videoReady = (target, assign) => ({
+  target,
+  guard: (context, payload) =>
+    payload?.channel === undefined || payload.channel === context.channel,
+  assign,
+});
+
+// A transition is either a target state name, or an object with
+//   target: state name, or (context, payload) => state name
+//   guard:  (context, payload) => boolean – the event is rejected when false
+//   assign: partial context, or (context, payload) => partial context
+export const SCENE_CHART = {
+  idle: {
+    POWER_ON: selectChannel("zoomingIn"),
+  },
+  zoomingIn: {
+    ZOOM_COMPLETE: "loadingVideo",
+    RESET: "resetting",
+  },
+  loadingVideo: {
+    VIDEO_READY: videoReady("playing"),
+    SWITCH_CHANNEL: selectChannel("switchingChannel"),
+    RESET: "resetting",
+  },
+  playing: {
+    PAUSE: "paused",
+    SWITCH_CHANNEL: selectChannel("switchingChannel"),
+    ENDED: selectChannel("switchingChannel"),
+    HIDE_PANEL: { target: "hidden", assign: { resumeTo: "playing" } },
+    // Clicking the console again re-centres the camera on the TV
+    POWER_ON: "playing",
+    ZOOM_COMPLETE: "playing",
+    RESET: "resetting",
+  },
+  paused: {
+    PLAY: "playing",
+    SWITCH_CHANNEL: selectChannel("switchingChannel"),
+    HIDE_PANEL: { target: "hidden", assign: { resumeTo: "paused" } },
+    POWER_ON: "paused",
+    ZOOM_COMPLETE: "paused",
+    RESET: "resetting",
+  },
+  switchingChannel: {
+    VIDEO_READY: videoReady("playing"),
+    SWITCH_CHANNEL: selectChannel("switchingChannel"),
+    RESET: "resetting",
+  },
+  // Panel dismissed; playback carries on underneath (channel changes from
+  // the keyboard, ended videos, etc. keep the panel hidden)
+  hidden: {
+    SHOW_PANEL: { target: (context) => context.resumeTo },
+    PLAY: { target: "hidden", assign: { resumeTo: "playing" } },
+    PAUSE: { target: "hidden", assign: { resumeTo: "paused" } },
+    SWITCH_CHANNEL: selectChannel("hidden"),
+    ENDED: selectChannel("hidden"),
+    VIDEO_READY: videoReady("hidden", { resumeTo: "playing" }),
+    POWER_ON: "hidden",
+    ZOOM_COMPLETE: "hidden",
+    RESET: "resetting",
+  },
+  resetting: {
+    // The panel's static-out animation finishes during the reset
+    HIDE_PANEL: { target: "resetting", assign: { panelHidden: true } },
+    ZOOM_OUT_COMPLETE: {
+      target: "idle",
+      assign: () => ({ ...INITIAL_SCENE_CONTEXT }),
+    },
+  },
+};
+
+function normalize(transition) {
+  return typeof transition === "string" ? { target: transition } : transition;
+}
+
+// Pure transition function: returns the next { state, context }, or null
+// when the event is not allowed in the current state.
+export function transition(chart, snapshot, event, payload) {
+  const config = chart[snapshot.state]?.[event];
+  if (!config) return null;
+
+  const { target, guard, assign } = normalize(config);
+  if (guard && !guard(snapshot.context, payload)) return null;
+
+  const state =
+    typeof target === "function" ? target(snapshot.context, payload) : target;
+  const patch =
+    typeof assign === "function" ? assign(snapshot.context, payload) : assign;
+
+  return {
+    state,
+    context: patch ? { ...snapshot.context, ...patch } : snapshot.context,
+  };
+}
+
+const HISTORY_LIMIT = 25;
+
+export function createSceneMachine({
+  chart = SCENE_CHART,
+  initial = INITIAL_SCENE_STATE,
+  context = INITIAL_SCENE_CONTEXT,
+  logger = console,
+} = {}) {
+  const listeners = new Set();
+  let sequence = 0;
+
+  // Snapshots are immutable so React's useSyncExternalStore can compare them
+  let snapshot = {
+    state: initial,
+    context: { ...context },
+    history: [],
+  };
+
+  const record = (entry) => {
+    const history = [...snapshot.history, { ...entry, id: ++sequence, at: Date.now() }];
+    return history.slice(-HISTORY_LIMIT);
+  };
+
+  const emit = () => {
+    for (const listener of listeners) listener(snapshot);
+  };
+
+  const reject = (event) => {
+    logger?.warn?.(
+      `[scene] rejected "${event}" in state "${snapshot.state}"`,
+    );
+    snapshot = {
+      ...snapshot,
+      history: record({ event, from: snapshot.state, rejected: true }),
+    };
+    emit();
+    return false;
+  };
+
+  const send = (event, payload) => {
+    const next = transition(chart, snapshot, event, payload);
+    if (!next) return reject(event);
+
+    snapshot = {
+      state: next.state,
+      context: next.context,
+      history: record({ event, from: snapshot.state, to: next.state }),
+    };
+    emit();
+    return true;
+  };
+
+  return {
+    send,
+    reject,
+    can: (event, payload) =>
+      transition(chart, snapshot, event, payload) !== null,
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import * as THREE from "three";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Tracking display – the VCR's "TRACKING..." on-screen text while the
+   next video loads: animated dots, a tracking meter sweeping back and
+   forth and a band of tape noise rolling down. Drawn into a canvas the
+   CRT shader composites over the static, like the caption layer.
+   ═══════════════════════════════════════════════════════════════════ */
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const FONT = "20px 'Press Start 2P', 'Share Tech Mono', monospace";
+const TEXT_COLOR = "#f2f2f2";
+const SHADOW_COLOR = "rgba(0, 0, 0, 0.85)";
+
+const DOT_STEP = 0.35; // seconds per added dot
+const METER_BLOCKS = 10;
+const METER_SWEEP = 1.6; // seconds for the lit block to go end to end
+const BAND_HEIGHT = 36;
+const BAND_SPEED = 140; // px per second
+const BAND_STREAKS = 24;
+
+function drawTracking(ctx, time) {
+  ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+  // Tape noise: white streaks in a band rolling down the picture
+  const bandTop = ((time * BAND_SPEED) % (HEIGHT + BAND_HEIGHT)) - BAND_HEIGHT;
+  ctx.fillStyle = "rgba(255, 255, 255, 0.35)";
+  for (let i = 0; i < BAND_STREAKS; i++) {
+    const y = bandTop + Math.random() * BAND_HEIGHT;
+    const x = Math.random() * WIDTH;
+    ctx.fillRect(x, y, 20 + Math.random() * 120, 1 + Math.random() * 2);
+  }
+
+  // On-screen display, with a hard shadow like a VCR's character generator
+  const dots = ".".repeat(Math.floor(time / DOT_STEP) % 4);
+  const left = 96;
+  const top = 120;
+  ctx.font = FONT;
+  ctx.textBaseline = "top";
+  ctx.fillStyle = SHADOW_COLOR;
+  ctx.fillText(`TRACKING${dots}`, left + 3, top + 3);
+  ctx.fillStyle = TEXT_COLOR;
+  ctx.fillText(`TRACKING${dots}`, left, top);
+
+  // Meter: one lit block bouncing between the ends
+  const phase = (time / METER_SWEEP) % 2;
+  const lit = Math.round((phase < 1 ? phase : 2 - phase) * (METER_BLOCKS - 1));
+  for (let i = 0; i < METER_BLOCKS; i++) {
+    const x = left + i * 22;
+    const y = top + 40;
+    ctx.fillStyle = SHADOW_COLOR;
+    ctx.fillRect(x + 3, y + 3, 16, 14);
+    ctx.fillStyle = i === lit ? TEXT_COLOR : "rgba(242, 242, 242, 0.3)";
+    ctx.fillRect(x, y, 16, 14);
+  }
+}
+
+// Transparent canvas texture; advance(delta) redraws it (call per frame)
+export function createTrackingLayer() {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  // Same orientation as the video texture on the GLTF screen UVs
+  texture.flipY = false;
+  let time = 0;
+
+  const draw = () => {
+    drawTracking(ctx, time);
+    texture.needsUpdate = true;
+  };
+
+  return {
+    texture,
+    advance(delta) {
+      time += delta;
+      draw();
+    },
+    // Back to the first frame (no dots yet) for the next load
+    reset() {
+      time = 0;
+      draw();
+    },
+    dispose: () => texture.dispose(),
+  };
+}
@@ -0,0 +1,135 @@
+import * as THREE from "three";
+import { getAudioContext } from "./audio";
+import { anchorBox, findNode } from "./consoleButtons";
+
+/* ═══════════════════════════════════════════════════════════════════
+   TV audio – the video's sound routed through WebAudio into a
+   PositionalAudio at the PVM's speaker, with an optional "CRT speaker"
+   EQ. A store for useSyncExternalStore, like the scene machine.
+   ═══════════════════════════════════════════════════════════════════ */
+
+// Blender object (an empty is enough) marking the PVM's speaker grille
+export const SPEAKER_NODE = "pvm_speaker";
+// Without it: 0..1 fractions of the TV's bounding box (front, below the tube)
+export const SPEAKER_FALLBACK_AT = [0.5, 0.12, 1];
+
+// Full level within REF_DISTANCE of the speaker (the initial view is
+// ~4 away, the close-up ~1), then an inverse falloff
+export const SPEAKER_REF_DISTANCE = 1.5;
+export const SPEAKER_ROLLOFF = 1.2;
+// The speaker faces the front of the TV: quieter from the sides and behind
+const SPEAKER_CONE = { inner: 180, outer: 330, outerGain: 0.35 };
+
+// "CRT speaker": a small cabinet driver – no lows, a boxy midrange bump
+// and rolled-off highs
+export const CRT_SPEAKER_EQ = [
+  { type: "highpass", frequency: 180, Q: 0.7 },
+  { type: "peaking", frequency: 1500, Q: 1, gain: 4 },
+  { type: "lowpass", frequency: 5000, Q: 0.7 },
+];
+
+// createMediaElementSource throws on a second call for the same element,
+// and drei reuses one element per src, so sources are kept for good
+const mediaSources = new WeakMap();
+
+function mediaSource(context, element) {
+  if (!mediaSources.has(element)) {
+    mediaSources.set(element, context.createMediaElementSource(element));
+  }
+  return mediaSources.get(element);
+}
+
+// World position ([x, y, z]) of the speaker under `root`, or null when
+// the model has no TV to place it on
+export function findSpeaker(root) {
+  root.updateWorldMatrix(true, true);
+  const node = findNode(root, SPEAKER_NODE);
+  if (node) return node.getWorldPosition(new THREE.Vector3()).toArray();
+
+  const box = anchorBox(root, "tv");
+  if (box.isEmpty()) return null;
+  const size = box.getSize(new THREE.Vector3());
+  const at = new THREE.Vector3(...SPEAKER_FALLBACK_AT);
+  return box.min.clone().add(at.multiply(size)).toArray();
+}
+
+function createGraph(context) {
+  // Three's audio objects share our context (and the boot chime's)
+  THREE.AudioContext.setContext(context);
+  const listener = new THREE.AudioListener();
+  const speaker = new THREE.PositionalAudio(listener);
+  speaker.setDistanceModel("inverse");
+  speaker.setRefDistance(SPEAKER_REF_DISTANCE);
+  speaker.setRolloffFactor(SPEAKER_ROLLOFF);
+  speaker.setDirectionalCone(
+    SPEAKER_CONE.inner,
+    SPEAKER_CONE.outer,
+    SPEAKER_CONE.outerGain,
+  );
+
+  const eq = CRT_SPEAKER_EQ.map(({ type, frequency, Q, gain = 0 }) => {
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    filter.gain.value = gain;
+    return filter;
+  });
+  return { listener, speaker, eq };
+}
+
+// `level` is the effective volume (0 while muted). The graph is built on
+// the first connect(), once a video exists (and, usually, a user gesture
+// has happened). Without WebAudio the level goes to the element instead.
+export function createTvAudio({ level = 1, getContext = getAudioContext } = {}) {
+  const listeners = new Set();
+  // { listener, speaker, eq }: the listener goes on the camera, the
+  // speaker into the scene
+  let graph = null;
+  let video = null;
+  let lofi = false;
+
+  const apply = () => {
+    if (graph) graph.speaker.setVolume(level);
+    else if (video) video.volume = level;
+  };
+
+  return {
+    // Routes `element` to the speaker (replacing the previous video)
+    connect(element) {
+      video = element;
+      const context = getContext();
+      if (context && !graph) {
+        graph = createGraph(context);
+        if (lofi) graph.speaker.setFilters(graph.eq);
+        for (const listener of listeners) listener(graph);
+      }
+      if (graph) {
+        const source = mediaSource(context, element);
+        if (graph.speaker.source !== source) {
+          if (graph.speaker.source) graph.speaker.disconnect();
+          graph.speaker.setNodeSource(source);
+        }
+        // The level lives on the speaker's gain from here on
+        element.volume = 1;
+      }
+      apply();
+    },
+    setLevel(value) {
+      level = value;
+      // Called from the VOL fader: a gesture that may resume the context
+      getContext();
+      apply();
+    },
+    // CRT speaker EQ on / off
+    setLofi(on) {
+      lofi = on;
+      if (graph) graph.speaker.setFilters(on ? graph.eq : []);
+    },
+    getSnapshot: () => graph,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,140 @@
+import { CRT_PRESETS, CRT_SETTING_KEYS } from "./crtShader";
+import { LIGHTING_PRESETS } from "./lighting";
+import { DEFAULT_ATTRACT_DELAY } from "./inactivity";
+import { QUALITY_MODES } from "./quality";
+
+/* ═══════════════════════════════════════════════════════════════════
+   Deep-link URL state
+   ?view=closeup&ch=winning&t=1:23&crt=consumer&scanlines=0.2&panel=hidden&light=showroom
+   ═══════════════════════════════════════════════════════════════════ */
+
+export const VIEWS = ["initial", "closeup"];
+export const PANEL_STATES = ["auto", "shown", "hidden"];
+
+export const DEFAULT_URL_STATE = {
+  view: "initial",
+  videoId: null,
+  time: 0,
+  crtPreset: null,
+  crtOverrides: {},
+  panel: "auto",
+  layout: null,
+  lighting: null,
+  debug: false,
+  attract: null,
+  quality: null,
+};
+
+// Accepts "83", "83.5", "1:23", "1:02:03" and "1m23s"
+export function parseTime(value) {
+  if (!value) return 0;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text
+      .split(":")
+      .reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (match && match[0]) {
+    const [, h = 0, m = 0, s = 0] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s);
+  }
+
+  return 0;
+}
+
+export function formatUrlTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${s.toString().padStart(2, "0")}`;
+}
+
+export function parseUrlState(search, { layouts = [] } = {}) {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_URL_STATE, crtOverrides: {} };
+
+  const view = params.get("view");
+  if (VIEWS.includes(view)) state.view = view;
+
+  const ch = params.get("ch");
+  if (ch) state.videoId = ch;
+
+  state.time = parseTime(params.get("t"));
+
+  const crt = params.get("crt");
+  if (crt && CRT_PRESETS[crt]) state.crtPreset = crt;
+
+  for (const key of CRT_SETTING_KEYS) {
+    const raw = params.get(key);
+    if (raw === null) continue;
+    const value = parseFloat(raw);
+    if (isFinite(value)) state.crtOverrides[key] = Math.max(0, Math.min(1, value));
+  }
+
+  const panel = params.get("panel");
+  if (PANEL_STATES.includes(panel)) state.panel = panel;
+
+  const layout = params.get("layout");
+  if (layouts.includes(layout)) state.layout = layout;
+
+  const light = params.get("light");
+  if (light && LIGHTING_PRESETS[light]) state.lighting = light;
+
+  // Read-only: serializeUrlState leaves it in the query untouched
+  state.debug = params.has("debug");
+
+  // Kiosks: attract mode after this many idle seconds. Read-only too;
+  // ?attract uses the default delay, ?attract=0 (or off) disables it
+  if (params.has("attract")) {
+    const raw = params.get("attract");
+    const delay = raw === "" ? DEFAULT_ATTRACT_DELAY : parseTime(raw);
+    state.attract = delay > 0 ? delay : null;
+  }
+
+  // Rendering quality belongs to the device, not the link: read-only
+  const quality = params.get("quality");
+  if (QUALITY_MODES.includes(quality)) state.quality = quality;
+
+  return state;
+}
+
+// Only non-default values end up in the URL, so the plain page stays clean.
+// Unrelated query params (utm_*, etc.) are preserved.
+export function serializeUrlState(state, baseSearch = "") {
+  const params = new URLSearchParams(baseSearch);
+  const managed = ["view", "ch", "t", "crt", "panel", "layout", "light", ...CRT_SETTING_KEYS];
+  for (const key of managed) params.delete(key);
+
+  if (state.view === "closeup") {
+    params.set("view", "closeup");
+    if (state.time >= 1) params.set("t", formatUrlTime(state.time));
+  }
+  if (state.videoId) params.set("ch", state.videoId);
+  if (state.crtPreset) params.set("crt", state.crtPreset);
+  for (const [key, value] of Object.entries(state.crtOverrides ?? {})) {
+    if (CRT_SETTING_KEYS.includes(key)) params.set(key, String(value));
+  }
+  if (state.panel && state.panel !== "auto") params.set("panel", state.panel);
+  if (state.layout) params.set("layout", state.layout);
+  if (state.lighting) params.set("light", state.lighting);
+
+  const query = params.toString();
+  // Keep ":" readable in the time param
+  return query ? `?${query.replace(/%3A/g, ":")}` : "";
+}
+
+export function readUrlState(options) {
+  return parseUrlState(window.location.search, options);
+}
+
+export function writeUrlState(state) {
+  const search = serializeUrlState(state, window.location.search);
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  window.history.replaceState(window.history.state, "", url);
+}
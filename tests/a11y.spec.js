@@ -0,0 +1,68 @@
+import { test, expect } from "@playwright/test";
+import AxeBuilder from "@axe-core/playwright";
+
+// Browser test: deep-links straight into the close-up with the panel shown
+// (winning-eleven is the channel whose video ships in public/)
+const PANEL_URL = "http://localhost:5173/?view=closeup&ch=winning&panel=shown";
+
+async function openPanel(page) {
+  await page.goto(PANEL_URL);
+  const panel = page.getByRole("region", { name: "Video controls" });
+  await expect(panel).toBeVisible({ timeout: 30000 });
+  return panel;
+}
+
+test.describe("VHS panel accessibility", () => {
+  test("has no axe violations (WCAG 2 A/AA)", async ({ page }) => {
+    await openPanel(page);
+    const results = await new AxeBuilder({ page })
+      .include('[aria-label="Video controls"]')
+      .include('[aria-label="Games"]')
+      .withTags(["wcag2a", "wcag2aa"])
+      .analyze();
+    expect(results.violations).toEqual([]);
+  });
+
+  test("volume and seek behave as sliders", async ({ page }) => {
+    const panel = await openPanel(page);
+
+    const volume = panel.getByRole("slider", { name: "Volume" });
+    await volume.focus();
+    await page.keyboard.press("Home");
+    await expect(volume).toHaveAttribute("aria-valuenow", "0");
+    await page.keyboard.press("ArrowUp");
+    await expect(volume).toHaveAttribute("aria-valuenow", "5");
+    await page.keyboard.press("End");
+    await expect(volume).toHaveAttribute("aria-valuenow", "100");
+
+    // (End would reach the end of the video and switch channel)
+    const seek = panel.getByRole("slider", { name: "Seek" });
+    await seek.focus();
+    await page.keyboard.press("PageUp");
+    await expect(seek).toHaveAttribute("aria-valuenow", /^3\d$/);
+    await page.keyboard.press("Home");
+    await expect(seek).toHaveAttribute("aria-valuenow", "0");
+  });
+
+  test("game cases are a roving-focus listbox", async ({ page }) => {
+    await openPanel(page);
+    const cases = page.getByRole("listbox", { name: "Games" });
+    const options = cases.getByRole("option");
+
+    // Only the selected case is in the tab order
+    const selected = cases.getByRole("option", { selected: true });
+    await expect(selected).toHaveAttribute("tabindex", "0");
+    await expect(options.and(page.locator('[tabindex="0"]'))).toHaveCount(1);
+
+    await selected.focus();
+    await page.keyboard.press("Home");
+    await expect(options.first()).toBeFocused();
+    await page.keyboard.press("ArrowRight");
+    await expect(options.nth(1)).toBeFocused();
+
+    // Enter switches channel; the live region announces it
+    await page.keyboard.press("Enter");
+    await expect(options.nth(1)).toHaveAttribute("aria-selected", "true");
+    await expect(page.getByRole("status")).toContainText("channel 2");
+  });
+});
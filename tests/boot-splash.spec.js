@@ -0,0 +1,93 @@
+import { test, expect } from "@playwright/test";
+import {
+  BOOT_SEQUENCE_DURATION,
+  createBootSequence,
+  isBootSkip,
+  playBootChime,
+} from "../src/lib/bootSplash.js";
+
+// A 2D context that accepts every call and property
+const fakeContext = () =>
+  new Proxy({}, { get: (target, key) => target[key] ?? (() => {}) });
+
+// Canvas stand-in for createBootSequence (it only draws)
+function withFakeDocument(run) {
+  const previous = globalThis.document;
+  globalThis.document = {
+    createElement: () => ({ width: 0, height: 0, getContext: fakeContext }),
+  };
+  try {
+    return run();
+  } finally {
+    globalThis.document = previous;
+  }
+}
+
+function fakeAudio() {
+  const param = () => ({
+    value: 0,
+    setValueAtTime() {},
+    linearRampToValueAtTime() {},
+    exponentialRampToValueAtTime() {},
+    cancelScheduledValues() {},
+  });
+  const audio = { currentTime: 10, destination: {}, started: 0, stopped: [] };
+  const node = (extra) => ({ connect: (target) => target, ...extra });
+  audio.createGain = () => node({ gain: param() });
+  audio.createOscillator = () =>
+    node({
+      frequency: param(),
+      start: () => (audio.started += 1),
+      stop: (at) => audio.stopped.push(at),
+    });
+  return audio;
+}
+
+const key = (k, extra = {}) => ({ type: "keydown", key: k, timeStamp: 100, ...extra });
+const pointer = (button, timeStamp = 100) => ({ type: "pointerdown", button, timeStamp });
+
+test.describe("boot intro", () => {
+  test("runs for BOOT_SEQUENCE_DURATION, redrawing as it goes", () => {
+    withFakeDocument(() => {
+      const sequence = createBootSequence({ region: "PAL" });
+      const version = sequence.texture.version;
+      expect(sequence.advance(1)).toBe(false);
+      expect(sequence.texture.version).toBeGreaterThan(version);
+      expect(sequence.advance(BOOT_SEQUENCE_DURATION - 1.1)).toBe(false);
+      expect(sequence.advance(0.2)).toBe(true);
+    });
+  });
+
+  test("clicks and the start keys skip it", () => {
+    expect(isBootSkip(pointer(0), 50)).toBe(true);
+    expect(isBootSkip(key("Enter"), 50)).toBe(true);
+    expect(isBootSkip(key(" "), 50)).toBe(true);
+    expect(isBootSkip(key("Escape"), 50)).toBe(true);
+  });
+
+  test("other input doesn't", () => {
+    expect(isBootSkip(pointer(2), 50)).toBe(false);
+    expect(isBootSkip(key("h"), 50)).toBe(false);
+    expect(isBootSkip(key("Shift"), 50)).toBe(false);
+    expect(isBootSkip(key("Enter", { repeat: true }), 50)).toBe(false);
+    expect(isBootSkip({ type: "wheel", timeStamp: 100 }, 50)).toBe(false);
+  });
+
+  test("the input that started it doesn't skip it", () => {
+    expect(isBootSkip(pointer(0, 40), 50)).toBe(false);
+    expect(isBootSkip(key("Enter", { timeStamp: 40 }), 50)).toBe(false);
+  });
+
+  test("the chime starts its voices and stops them early when skipped", () => {
+    const audio = fakeAudio();
+    const stop = playBootChime(audio, { delay: 0.4 });
+    expect(audio.started).toBeGreaterThan(0);
+    const scheduled = audio.stopped.length;
+    expect(scheduled).toBe(audio.started);
+
+    audio.currentTime = 11;
+    stop();
+    expect(audio.stopped.slice(scheduled)).toHaveLength(audio.started);
+    expect(audio.stopped.slice(scheduled).every((at) => at === 11.2)).toBe(true);
+  });
+});
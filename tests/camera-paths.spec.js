@@ -0,0 +1,104 @@
+import { test, expect } from "@playwright/test";
+import {
+  CAMERA_SEQUENCES,
+  captureKeyframe,
+  createCameraPath,
+  exportSequence,
+  resolveKeyframes,
+} from "../src/lib/cameraPaths.js";
+
+const ANCHORS = {
+  current: { position: [-2, 1, 3], target: [0, 0.66, 0], fov: 40 },
+  closeup: { position: [0, 1, 2.5], target: [0, 1, 0], fov: 35 },
+  home: { position: [-2.4, 1.08, 3.25], target: [0, 0.66, 0], fov: 40 },
+};
+
+const expectPoint = (actual, expected) =>
+  expected.forEach((v, i) => expect(actual[i]).toBeCloseTo(v));
+
+test.describe("camera paths", () => {
+  test("anchors and offsets resolve to numbers", () => {
+    const [start, swing, end] = resolveKeyframes(
+      CAMERA_SEQUENCES.zoomIn.keyframes,
+      ANCHORS,
+    );
+    expect(start.position).toEqual([-2, 1, 3]);
+    expect(start.duration).toBe(0);
+    expectPoint(swing.position, [-0.45, 1.2, 3.6]);
+    expect(swing.fov).toBe(38);
+    expect(end).toMatchObject({ fov: 35, ease: "power2.out" });
+    expect(() =>
+      resolveKeyframes([{ position: "nowhere", target: [0, 0, 0], fov: 40 }], {}),
+    ).toThrow(/unknown camera anchor "nowhere"/);
+  });
+
+  test("the path starts and ends on its keyframes", () => {
+    const keyframes = resolveKeyframes(CAMERA_SEQUENCES.zoomOut.keyframes, ANCHORS);
+    const path = createCameraPath(keyframes);
+    expect(path.duration).toBeCloseTo(2.2);
+    expectPoint(path.sample(0).position, ANCHORS.current.position);
+    expectPoint(path.sample(path.duration).position, ANCHORS.home.position);
+    expect(path.sample(path.duration).fov).toBe(40);
+    // Clamped outside the timeline
+    expectPoint(path.sample(99).target, ANCHORS.home.target);
+  });
+
+  test("each segment keeps its own duration and ease", () => {
+    const keyframes = [
+      { position: [0, 0, 0], target: [0, 0, -1], fov: 30 },
+      { position: [1, 0, 0], target: [1, 0, -1], fov: 40, duration: 1, ease: "a" },
+      { position: [2, 0, 0], target: [2, 0, -1], fov: 50, duration: 3, ease: "b" },
+    ];
+    const seen = [];
+    const path = createCameraPath(keyframes, {
+      ease: (name) => {
+        seen.push(name);
+        return name === "b" ? (t) => t * t : (t) => t;
+      },
+    });
+    expect(path.duration).toBe(4);
+    expect(seen).toContain("b");
+    expect(path.sample(0.5).fov).toBeCloseTo(35);
+    expectPoint(path.sample(1).position, [1, 0, 0]);
+    // Halfway through the eased 3s segment is a quarter of the way
+    expect(path.sample(2.5).fov).toBeCloseTo(42.5);
+  });
+
+  test("closed loops wrap back to the first keyframe", () => {
+    const keyframes = resolveKeyframes(CAMERA_SEQUENCES.turntable.keyframes, {});
+    const path = createCameraPath(keyframes, { closed: true });
+    expect(path.duration).toBe(24);
+    expectPoint(path.sample(0).position, keyframes[0].position);
+    expectPoint(path.sample(24).position, keyframes[0].position);
+    expectPoint(path.sample(21).position, keyframes[7].position);
+    // Stays on the orbit's circle between keyframes
+    const [x, y, z] = path.sample(10.5).position;
+    expect(Math.hypot(x, z)).toBeCloseTo(3.6, 1);
+    expect(y).toBeCloseTo(1.25);
+  });
+
+  test("a channel held between two keyframes doesn't drift", () => {
+    const keyframes = resolveKeyframes(CAMERA_SEQUENCES.zoomIn.keyframes, ANCHORS);
+    const path = createCameraPath(keyframes);
+    // The target is the same for the swing and the glide in
+    for (let time = 1.2; time <= 2.2; time += 0.1) {
+      expectPoint(path.sample(time).target, ANCHORS.closeup.target);
+    }
+  });
+
+  test("captured keyframes round and export as a sequence", () => {
+    const keyframe = captureKeyframe(
+      { position: [1.23456, 2, -0.0004], target: [0, 0.66049, 0], fov: 40.00001 },
+      { duration: 2 },
+    );
+    expect(keyframe).toEqual({
+      position: [1.235, 2, 0],
+      target: [0, 0.66, 0],
+      fov: 40,
+      duration: 2,
+      ease: "power2.inOut",
+    });
+    expect(JSON.parse(exportSequence([keyframe]))).toEqual({ keyframes: [keyframe] });
+    expect(JSON.parse(exportSequence([keyframe], { loop: true })).loop).toBe(true);
+  });
+});
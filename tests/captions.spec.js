@@ -0,0 +1,84 @@
+import { test, expect } from "@playwright/test";
+import { readFileSync } from "node:fs";
+import {
+  captionTextAt,
+  parseCaptions,
+  parseTimestamp,
+} from "../src/lib/captions.js";
+import { validateCatalog } from "../src/lib/catalog.js";
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE this block is ignored
+
+intro
+00:01.000 --> 00:03.500 align:center line:90%
+<v Commentator>Kick-off &amp; <i>away</i></v>
+
+00:00:03.000 --> 00:00:05.000
+[whistle]
+`;
+
+const SRT = "1\r\n00:00:01,000 --> 00:00:02,250\r\nHello\r\nworld\r\n\r\n2\r\n00:00:04,000 --> 00:00:05,000\r\nBye\r\n";
+
+test.describe("captions", () => {
+  test("reads WebVTT and SRT timestamps", () => {
+    expect(parseTimestamp("00:01.500")).toBe(1.5);
+    expect(parseTimestamp("01:02:03.004")).toBe(3723.004);
+    expect(parseTimestamp("00:00:02,25")).toBe(2.25);
+  });
+
+  test("parses WebVTT, skipping headers, notes, settings and markup", () => {
+    expect(parseCaptions(VTT)).toEqual([
+      { start: 1, end: 3.5, text: "Kick-off & away" },
+      { start: 3, end: 5, text: "[whistle]" },
+    ]);
+  });
+
+  test("parses SRT with CRLF line endings", () => {
+    expect(parseCaptions(SRT)).toEqual([
+      { start: 1, end: 2.25, text: "Hello\nworld" },
+      { start: 4, end: 5, text: "Bye" },
+    ]);
+  });
+
+  test("finds the text on screen, stacking overlapping cues", () => {
+    const cues = parseCaptions(VTT);
+    expect(captionTextAt(cues, 0.5)).toBe("");
+    expect(captionTextAt(cues, 2)).toBe("Kick-off & away");
+    expect(captionTextAt(cues, 3.2)).toBe("Kick-off & away\n[whistle]");
+    expect(captionTextAt(cues, 5)).toBe("");
+  });
+
+  test("sample fixture tracks parse the same", () => {
+    const read = (file) =>
+      readFileSync(new URL(`./fixtures/captions/${file}`, import.meta.url), "utf8");
+    const vtt = parseCaptions(read("sample.en.vtt"));
+    const srt = parseCaptions(read("sample.es.srt"));
+
+    expect(vtt).toHaveLength(6);
+    expect(srt.map(({ start, end }) => [start, end])).toEqual(
+      vtt.map(({ start, end }) => [start, end]),
+    );
+    expect(captionTextAt(vtt, 6)).toBe("Sample caption two\nwith a second line");
+    expect(captionTextAt(srt, 6)).toBe("Subtítulo de prueba dos\ncon una segunda línea");
+  });
+
+  test("catalog validates caption tracks and defaults labels", () => {
+    const entry = { id: "a", label: "A", src: "/a.webm", cover: "/a.webp" };
+    const { videos, errors } = validateCatalog([
+      { ...entry, captions: [{ src: "/a.en.vtt", lang: "en" }] },
+      { ...entry, id: "b", captions: [{ src: "/b.txt", lang: "en" }] },
+      { ...entry, id: "c", captions: [{ src: "/c.vtt", lang: "en" }, { src: "/c.srt", lang: "en" }] },
+      { ...entry, id: "d" },
+    ]);
+    expect(videos.map((v) => v.id)).toEqual(["a", "d"]);
+    expect(videos[0].captions).toEqual([{ src: "/a.en.vtt", lang: "en", label: "EN" }]);
+    expect(videos[1].captions).toEqual([]);
+    expect(errors).toEqual([
+      'videos[1] ("b"): captions[0]: "src" must be a .vtt or .srt file',
+      'videos[2] ("c"): captions[1]: duplicate lang "en"',
+    ]);
+  });
+});
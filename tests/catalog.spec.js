@@ -0,0 +1,157 @@
+import { test, expect } from "@playwright/test";
+import { loadCatalog, validateCatalog } from "../src/lib/catalog.js";
+
+const entry = (overrides = {}) => ({
+  id: "crash",
+  label: "Crash Team Racing",
+  src: "/crash.webm",
+  cover: "/cover-crash.webp",
+  ...overrides,
+});
+
+test.describe("catalog validation", () => {
+  test("accepts an array or { videos } and fills in defaults", () => {
+    const fromArray = validateCatalog([entry()]);
+    const fromObject = validateCatalog({ version: 1, videos: [entry()] });
+    expect(fromArray).toEqual(fromObject);
+    expect(fromArray.errors).toEqual([]);
+    expect(fromArray.videos[0]).toMatchObject({
+      id: "crash",
+      tags: [],
+      boot: false,
+      captions: [],
+    });
+  });
+
+  test("rejects a manifest without a list", () => {
+    const { videos, errors } = validateCatalog({ channels: [] });
+    expect(videos).toEqual([]);
+    expect(errors).toEqual([
+      'Manifest must be an array or an object with a "videos" array',
+    ]);
+  });
+
+  test("skips invalid entries and keeps the rest", () => {
+    const { videos, errors } = validateCatalog([
+      entry(),
+      entry({ id: "no-cover", cover: "" }),
+      "not an object",
+      entry({ id: "bad id!", year: 1999.5 }),
+    ]);
+    expect(videos.map((v) => v.id)).toEqual(["crash"]);
+    expect(errors).toEqual([
+      'videos[1] ("no-cover"): missing required field "cover"',
+      "videos[2]: entry must be an object",
+      'videos[3] ("bad id!"): id "bad id!" may only contain letters, digits, "-" and "_"',
+      'videos[3] ("bad id!"): "year" must be an integer',
+    ]);
+  });
+
+  test("reports duplicate ids against the first use", () => {
+    const { videos, errors } = validateCatalog([entry(), entry()]);
+    expect(videos).toHaveLength(1);
+    expect(errors).toEqual([
+      'videos[1] ("crash"): duplicate id "crash" (already used by videos[0])',
+    ]);
+  });
+
+  test("checks optional fields", () => {
+    const { errors } = validateCatalog([
+      entry({
+        duration: -3,
+        region: "",
+        boot: "yes",
+        tags: ["racing", 4],
+        poster: "",
+      }),
+    ]);
+    expect(errors.map((e) => e.replace('videos[0] ("crash"): ', ""))).toEqual([
+      '"poster" must be a non-empty string',
+      '"duration" must be a positive number of seconds',
+      '"region" must be a non-empty string',
+      '"boot" must be true or false',
+      '"tags" must be an array of strings',
+    ]);
+  });
+
+  test("validates caption tracks and labels them", () => {
+    const good = validateCatalog([
+      entry({
+        captions: [
+          { src: "/c.en.vtt", lang: "en", label: "English" },
+          { src: "/c.es.srt", lang: "es" },
+        ],
+      }),
+    ]);
+    expect(good.videos[0].captions.map((t) => t.label)).toEqual(["English", "ES"]);
+
+    const bad = validateCatalog([
+      entry({
+        captions: [
+          { src: "/c.en.txt", lang: "en" },
+          { src: "/c.en.srt", lang: "en" },
+          { src: "/c.vtt", label: "" },
+        ],
+      }),
+    ]);
+    expect(bad.videos).toEqual([]);
+    expect(bad.errors.map((e) => e.replace('videos[0] ("crash"): ', ""))).toEqual([
+      'captions[0]: "src" must be a .vtt or .srt file',
+      'captions[1]: duplicate lang "en"',
+      'captions[2]: missing "lang"',
+      'captions[2]: "label" must be a non-empty string',
+    ]);
+  });
+
+  test("an empty manifest is fine, one with only bad entries explains itself", () => {
+    expect(validateCatalog([])).toEqual({ videos: [], errors: [] });
+    const { errors } = validateCatalog([entry({ label: "" })]);
+    expect(errors).toEqual(['videos[0] ("crash"): missing required field "label"']);
+  });
+});
+
+// Serves `manifest` (or fails while `down`), and every file it lists
+function fakeServer(manifest) {
+  const server = { down: true, manifestFetches: 0 };
+  server.fetch = async (url, { method = "GET" } = {}) => {
+    if (method === "HEAD") {
+      return { ok: true, headers: { get: () => "video/webm" } };
+    }
+    server.manifestFetches++;
+    if (server.down) throw new TypeError("Failed to fetch");
+    return { ok: true, json: async () => manifest };
+  };
+  return server;
+}
+
+test.describe("catalog loading", () => {
+  test("a failed load is not cached, so a retry fetches again", async () => {
+    const server = fakeServer([entry()]);
+    const url = "/retry-videos.json";
+
+    const failed = loadCatalog(url, { fetch: server.fetch });
+    await expect(failed).rejects.toMatchObject({
+      problems: [`Could not load video manifest "${url}": Failed to fetch`],
+    });
+
+    server.down = false;
+    const { videos, errors } = await loadCatalog(url, { fetch: server.fetch });
+    expect(videos.map((video) => video.id)).toEqual(["crash"]);
+    expect(errors).toEqual([]);
+    expect(server.manifestFetches).toBe(2);
+
+    // Loaded: the next read is the same promise, no new fetch
+    await loadCatalog(url, { fetch: server.fetch });
+    expect(server.manifestFetches).toBe(2);
+  });
+
+  test("nothing playable fails with the validation errors", async () => {
+    const server = fakeServer([entry({ label: "" })]);
+    server.down = false;
+    await expect(
+      loadCatalog("/broken-videos.json", { fetch: server.fetch }),
+    ).rejects.toMatchObject({
+      problems: ['videos[0] ("crash"): missing required field "label"'],
+    });
+  });
+});
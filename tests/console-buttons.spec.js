@@ -0,0 +1,115 @@
+import { test, expect } from "@playwright/test";
+import * as THREE from "three";
+import {
+  CONSOLE_BUTTONS,
+  setupConsoleButtons,
+  disposeConsoleButtons,
+  findConsoleButton,
+  pressConsoleButton,
+  setButtonHighlight,
+  updateConsoleButtons,
+} from "../src/lib/consoleButtons.js";
+
+function boxMesh(materialName, size, position) {
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(...size),
+    new THREE.MeshStandardMaterial({ name: materialName }),
+  );
+  mesh.position.set(...position);
+  return mesh;
+}
+
+// Console body, a TV body and a modelled RESET button on top of the console
+function fakeModel() {
+  const root = new THREE.Group();
+  root.add(boxMesh("ps1_body_mat.001", [1, 0.2, 0.8], [0, 0.1, 0]));
+  root.add(boxMesh("pvm_screen_and_details_mat.001", [1.2, 1, 1], [0, 1, -1]));
+  const reset = boxMesh("ps1_details_mat.001", [0.05, 0.02, 0.05], [0.1, 0.21, 0.3]);
+  reset.name = "ps1_btn_reset";
+  root.add(reset);
+  return { root, reset };
+}
+
+test.describe("console buttons", () => {
+  test("uses modelled buttons and stands in for missing ones", () => {
+    const { root, reset } = fakeModel();
+    const buttons = setupConsoleButtons(root);
+
+    expect(buttons.map((b) => b.id).sort()).toEqual(
+      CONSOLE_BUTTONS.map((b) => b.id).sort(),
+    );
+    const resetButton = buttons.find((b) => b.id === "reset");
+    expect(resetButton.fallback).toBe(false);
+    expect(resetButton.object).toBe(reset);
+
+    // Fallback POWER sits on top of the console body
+    const power = buttons.find((b) => b.id === "power");
+    expect(power.fallback).toBe(true);
+    expect(power.object.position.y).toBeCloseTo(0.2);
+    expect(findConsoleButton(buttons, power.object)).toBe(power);
+
+    // PVM knob sits on the TV's front face
+    const knob = buttons.find((b) => b.id === "tvPower");
+    expect(knob.object.position.z).toBeCloseTo(-0.5);
+  });
+
+  test("highlight lights only the button's own material copy", () => {
+    const { root, reset } = fakeModel();
+    const shared = reset.material;
+    const buttons = setupConsoleButtons(root);
+    const button = buttons.find((b) => b.id === "reset");
+
+    setButtonHighlight(button, true);
+    expect(reset.material).not.toBe(shared);
+    expect(reset.material.emissiveIntensity).toBeGreaterThan(0);
+    expect(shared.emissive.getHex()).toBe(0);
+    setButtonHighlight(button, false);
+    expect(reset.material.emissive.getHex()).toBe(0);
+  });
+
+  test("press moves the button in and back to rest", () => {
+    const { root, reset } = fakeModel();
+    const buttons = setupConsoleButtons(root);
+    const button = buttons.find((b) => b.id === "reset");
+
+    pressConsoleButton(button);
+    updateConsoleButtons(buttons, 0.09);
+    expect(reset.position.y).toBeLessThan(0.21);
+    updateConsoleButtons(buttons, 0.2);
+    expect(reset.position.y).toBeCloseTo(0.21);
+    expect(button.press).toBe(0);
+  });
+
+  test("stand-in caps are visible, light up and press in", () => {
+    const { root } = fakeModel();
+    const buttons = setupConsoleButtons(root);
+    const power = buttons.find((b) => b.id === "power");
+    const { material } = power.object;
+    expect(power.object.visible).toBe(true);
+    expect(material.transparent).toBe(false);
+    // It sticks out of the console top, and stays out when pressed
+    const top = () => new THREE.Box3().setFromObject(power.object).max.y;
+    expect(top()).toBeGreaterThan(0.2);
+
+    setButtonHighlight(power, true);
+    expect(material.emissiveIntensity).toBeGreaterThan(0);
+    setButtonHighlight(power, false);
+    expect(material.emissive.getHex()).toBe(0);
+
+    pressConsoleButton(power);
+    updateConsoleButtons(buttons, 0.09);
+    expect(power.object.position.y).toBeLessThan(0.2);
+    expect(top()).toBeGreaterThan(0.2);
+    updateConsoleButtons(buttons, 0.2);
+    expect(power.object.position.y).toBeCloseTo(0.2);
+  });
+
+  test("dispose removes the stand-in caps", () => {
+    const { root } = fakeModel();
+    const count = root.children.length;
+    const buttons = setupConsoleButtons(root);
+    expect(root.children.length).toBeGreaterThan(count);
+    disposeConsoleButtons(buttons);
+    expect(root.children.length).toBe(count);
+  });
+});
@@ -0,0 +1,164 @@
+import { test, expect } from "@playwright/test";
+import {
+  CRT_PRESETS,
+  CRT_PRESET_ORDER,
+  DEFAULT_CRT_PRESET,
+  DEGAUSS_DURATION,
+  POWER_OFF_DURATION,
+  SNOW_FADE,
+  SNOW_HOLD,
+  TUBE_IDLE,
+  advanceTube,
+  createTube,
+  nextCrtPreset,
+  resolveCrtSettings,
+  switchTube,
+  tubePowerOff,
+  tubePowerOn,
+} from "../src/lib/crtShader.js";
+
+// Advances in 1/60 s steps, like the render loop
+function run(tube, seconds, hasPicture) {
+  let state = null;
+  for (let t = 0; t < seconds; t += 1 / 60) {
+    state = advanceTube(tube, 1 / 60, hasPicture) ?? state;
+  }
+  return state;
+}
+
+test.describe("CRT settings", () => {
+  test("a preset without overrides is the preset", () => {
+    expect(resolveCrtSettings("consumer")).toEqual(CRT_PRESETS.consumer);
+    // A copy, so changing it can't change the preset
+    expect(resolveCrtSettings("consumer")).not.toBe(CRT_PRESETS.consumer);
+  });
+
+  test("unknown presets fall back to the default", () => {
+    expect(resolveCrtSettings("plasma")).toEqual(CRT_PRESETS[DEFAULT_CRT_PRESET]);
+  });
+
+  test("overrides replace single settings, clamped to 0..1", () => {
+    const settings = resolveCrtSettings("pvm", {
+      scanlines: 0.9,
+      mask: 4,
+      chroma: -1,
+    });
+    expect(settings.scanlines).toBe(0.9);
+    expect(settings.mask).toBe(1);
+    expect(settings.chroma).toBe(0);
+    expect(settings.curvature).toBe(CRT_PRESETS.pvm.curvature);
+  });
+
+  test("ignores overrides that aren't finite numbers or aren't settings", () => {
+    const settings = resolveCrtSettings("pvm", {
+      scanlines: "0.9",
+      mask: NaN,
+      vignette: Infinity,
+      brightness: 0.1,
+      label: "HACKED",
+    });
+    expect(settings).toEqual(CRT_PRESETS.pvm);
+  });
+
+  test("presets cycle in order and wrap around", () => {
+    const seen = [DEFAULT_CRT_PRESET];
+    for (let i = 0; i < CRT_PRESET_ORDER.length; i++) {
+      seen.push(nextCrtPreset(seen.at(-1)));
+    }
+    expect(seen).toEqual([...CRT_PRESET_ORDER, CRT_PRESET_ORDER[0]]);
+    // An unknown preset starts the cycle from the beginning
+    expect(nextCrtPreset("plasma")).toBe(CRT_PRESET_ORDER[0]);
+  });
+});
+
+test.describe("tube", () => {
+  test("power-on opens a line into the picture, then degausses", () => {
+    expect(tubePowerOn(0).scaleY).toBeLessThan(0.01);
+    expect(tubePowerOn(0).flash).toBe(1);
+    expect(tubePowerOn(0.7).scaleY).toBeCloseTo(1);
+    expect(tubePowerOn(0.7).degauss).toBeGreaterThan(0);
+    expect(tubePowerOn(DEGAUSS_DURATION).degauss).toBe(0);
+  });
+
+  test("power-off collapses to a line, then a dot that fades", () => {
+    const line = tubePowerOff(0.2);
+    expect(line.scaleY).toBeLessThan(0.01);
+    expect(line.scaleX).toBe(1);
+    const dot = tubePowerOff(0.35);
+    expect(dot.scaleX).toBeLessThan(0.02);
+    expect(dot.fade).toBe(1);
+    expect(tubePowerOff(POWER_OFF_DURATION).fade).toBe(0);
+  });
+
+  test("phases run off → powerOn → on → powerOff → off", () => {
+    const tube = createTube();
+    switchTube(tube, { on: true, wasOn: false, picture: true });
+    expect(tube.phase).toBe("powerOn");
+    expect(run(tube, DEGAUSS_DURATION + 0.05, true)).toBe(TUBE_IDLE);
+    expect(tube.phase).toBe("on");
+    // Idle: nothing to apply
+    expect(advanceTube(tube, 1 / 60, true)).toBeNull();
+
+    switchTube(tube, { on: false, wasOn: true, picture: false });
+    expect(tube.phase).toBe("powerOff");
+    expect(run(tube, POWER_OFF_DURATION + 0.05, true)).toBe(TUBE_IDLE);
+    expect(tube.phase).toBe("off");
+  });
+
+  test("powering on before the video arrives shows snow", () => {
+    const tube = createTube();
+    switchTube(tube, { on: true, wasOn: false, picture: false });
+    expect(tube.snow).toBe(1);
+
+    // Held for as long as there is no picture
+    run(tube, 2, false);
+    expect(tube.snow).toBe(1);
+    // Then fades into the picture
+    run(tube, SNOW_FADE / 2, true);
+    expect(tube.snow).toBeGreaterThan(0);
+    expect(tube.snow).toBeLessThan(1);
+    run(tube, SNOW_FADE, true);
+    expect(tube.snow).toBe(0);
+  });
+
+  test("a picture at power-on (boot splash) starts without snow", () => {
+    const tube = createTube();
+    switchTube(tube, { on: true, wasOn: false, picture: true, resync: true });
+    expect(tube.phase).toBe("powerOn");
+    expect(tube.snow).toBe(0);
+  });
+
+  test("a channel change holds the static before fading", () => {
+    const tube = createTube();
+    switchTube(tube, { on: true, wasOn: false, picture: true });
+    run(tube, DEGAUSS_DURATION + 0.05, true);
+
+    switchTube(tube, { on: true, wasOn: true, picture: false });
+    expect(tube.phase).toBe("on");
+    expect(tube.snow).toBe(1);
+    // The next video is already there: static still shows for SNOW_HOLD
+    run(tube, SNOW_HOLD - 0.05, true);
+    expect(tube.snow).toBe(1);
+    run(tube, 0.1 + SNOW_FADE, true);
+    expect(tube.snow).toBe(0);
+  });
+
+  test("a new splash while on re-syncs the tube", () => {
+    const tube = createTube();
+    switchTube(tube, { on: true, wasOn: false, picture: true });
+    run(tube, DEGAUSS_DURATION + 0.05, true);
+
+    switchTube(tube, { on: true, wasOn: true, picture: true, resync: true });
+    expect(tube.phase).toBe("powerOn");
+    expect(tube.elapsed).toBe(0);
+  });
+
+  test("power-off clears the static", () => {
+    const tube = createTube();
+    switchTube(tube, { on: true, wasOn: false, picture: false });
+    switchTube(tube, { on: false, wasOn: true, picture: false });
+    run(tube, POWER_OFF_DURATION + 0.05, false);
+    expect(tube.phase).toBe("off");
+    expect(tube.snow).toBe(0);
+  });
+});
@@ -0,0 +1,118 @@
+import { test, expect } from "@playwright/test";
+import {
+  DISC_LIFT,
+  DISC_LIFT_DURATION,
+  advanceDiscSwap,
+  createCoverCache,
+  createDiscSwap,
+  discSwapLidOpened,
+  endDiscSwap,
+  isDiscMoving,
+  startDiscSwap,
+} from "../src/lib/discSwap.js";
+
+// Every step the disc took over `seconds` of 60 fps frames
+function run(swap, seconds) {
+  const steps = [];
+  for (let t = 0; t < seconds; t += 1 / 60) {
+    const step = advanceDiscSwap(swap, 1 / 60);
+    if (step) steps.push(step);
+  }
+  return steps;
+}
+
+test.describe("Disc swap timeline", () => {
+  test("the disc stays put while the lid opens", () => {
+    const swap = createDiscSwap();
+    startDiscSwap(swap, "/covers/next.jpg");
+    expect(swap.phase).toBe("opening");
+    expect(swap.to).toBe("/covers/next.jpg");
+    expect(isDiscMoving(swap)).toBe(false);
+    expect(advanceDiscSwap(swap, 1)).toBeNull();
+  });
+
+  test("lifts out fading, then swaps the label", () => {
+    const swap = createDiscSwap();
+    startDiscSwap(swap, "/covers/next.jpg");
+    discSwapLidOpened(swap);
+    expect(isDiscMoving(swap)).toBe(true);
+
+    const half = advanceDiscSwap(swap, DISC_LIFT_DURATION / 2);
+    expect(half.rise).toBeCloseTo(DISC_LIFT / 2);
+    expect(half.opacity).toBeCloseTo(0.75);
+    expect(half.swapLabel).toBe(false);
+
+    const top = advanceDiscSwap(swap, DISC_LIFT_DURATION / 2);
+    expect(top.rise).toBeCloseTo(DISC_LIFT);
+    expect(top.opacity).toBe(0);
+    expect(top.swapLabel).toBe(true);
+    expect(top.closeLid).toBe(false);
+    expect(swap.phase).toBe("lowering");
+  });
+
+  test("lowers back in and asks for the lid to close", () => {
+    const swap = createDiscSwap();
+    startDiscSwap(swap, "/covers/next.jpg");
+    discSwapLidOpened(swap);
+    run(swap, DISC_LIFT_DURATION);
+
+    const steps = run(swap, DISC_LIFT_DURATION + 0.1);
+    const last = steps.at(-1);
+    expect(last.rise).toBe(0);
+    expect(last.opacity).toBe(1);
+    expect(last.closeLid).toBe(true);
+    expect(steps.filter((step) => step.closeLid)).toHaveLength(1);
+    expect(steps.some((step) => step.swapLabel)).toBe(false);
+    expect(swap.phase).toBe("closing");
+    expect(isDiscMoving(swap)).toBe(false);
+  });
+
+  test("the disc only ever rises, and the label swaps once", () => {
+    const swap = createDiscSwap();
+    startDiscSwap(swap, "/covers/next.jpg");
+    discSwapLidOpened(swap);
+    const steps = run(swap, 2 * DISC_LIFT_DURATION + 0.1);
+
+    for (const step of steps) {
+      expect(step.rise).toBeGreaterThanOrEqual(0);
+      expect(step.rise).toBeLessThanOrEqual(DISC_LIFT);
+      expect(step.opacity).toBeGreaterThanOrEqual(0);
+      expect(step.opacity).toBeLessThanOrEqual(1);
+    }
+    expect(steps.filter((step) => step.swapLabel)).toHaveLength(1);
+  });
+
+  test("ending the swap mid-lift stops the disc", () => {
+    const swap = createDiscSwap();
+    startDiscSwap(swap, "/covers/next.jpg");
+    discSwapLidOpened(swap);
+    advanceDiscSwap(swap, DISC_LIFT_DURATION / 3);
+
+    endDiscSwap(swap);
+    expect(swap.phase).toBe("idle");
+    expect(advanceDiscSwap(swap, 1)).toBeNull();
+  });
+});
+
+test.describe("Cover cache", () => {
+  test("loads each URL once", () => {
+    const loads = [];
+    const covers = createCoverCache((url) => {
+      loads.push(url);
+      return { url };
+    });
+
+    const first = covers.get("/covers/a.jpg");
+    expect(covers.get("/covers/a.jpg")).toBe(first);
+    covers.get("/covers/b.jpg");
+    expect(loads).toEqual(["/covers/a.jpg", "/covers/b.jpg"]);
+  });
+
+  test("no URL is no texture", () => {
+    const covers = createCoverCache(() => {
+      throw new Error("should not load");
+    });
+    expect(covers.get(null)).toBeNull();
+    expect(covers.get("")).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+import { test, expect } from "@playwright/test";
+import {
+  EMBED_GLOBAL,
+  EMBED_READY_EVENT,
+  MESSAGE_COMMAND,
+  createEventBus,
+  createEmbedApi,
+  handleEmbedMessage,
+  installEmbedApi,
+  parseAllowedOrigins,
+} from "../src/lib/embedApi.js";
+
+function fakeCommands(calls) {
+  return {
+    powerOn: () => calls.push(["powerOn"]),
+    selectChannel: (id) => {
+      if (id === "nope") throw new Error(`unknown channel "${id}"`);
+      calls.push(["selectChannel", id]);
+    },
+    seek: (seconds) => calls.push(["seek", seconds]),
+    getState: () => ({ state: "idle" }),
+  };
+}
+
+const OWN_ORIGIN = "https://showcase.example";
+
+// An iframe-like window: an EventTarget whose parent records postMessage
+function fakeFrame() {
+  const win = new EventTarget();
+  win.CustomEvent = CustomEvent;
+  win.location = { origin: OWN_ORIGIN };
+  win.parent = {
+    messages: [],
+    targets: [],
+    postMessage(data, target) {
+      this.messages.push(data);
+      this.targets.push(target);
+    },
+  };
+  return win;
+}
+
+function messageFrom(win, origin, data) {
+  const event = new MessageEvent("message", { data, origin });
+  Object.defineProperty(event, "source", { value: win.parent });
+  return event;
+}
+
+test.describe("embed API", () => {
+  test("bus delivers events to typed and wildcard listeners", () => {
+    const bus = createEventBus();
+    const seen = [];
+    bus.on("ended", (detail) => seen.push(["ended", detail.channel]));
+    const stop = bus.on("*", (_, type) => seen.push(["*", type]));
+    bus.emit("ended", { channel: "crash" });
+    stop();
+    bus.emit("ended", { channel: "winning" });
+    expect(seen).toEqual([
+      ["ended", "crash"],
+      ["*", "ended"],
+      ["ended", "winning"],
+    ]);
+  });
+
+  test("api forwards calls to the scene handlers", () => {
+    const calls = [];
+    const api = createEmbedApi(fakeCommands(calls), createEventBus());
+    api.powerOn();
+    api.selectChannel("crash");
+    expect(calls).toEqual([["powerOn"], ["selectChannel", "crash"]]);
+    expect(api.getState()).toEqual({ state: "idle" });
+    expect(() => api.on("explode", () => {})).toThrow(/unknown event/);
+  });
+
+  test("postMessage commands reply with a result envelope", () => {
+    const calls = [];
+    const api = createEmbedApi(fakeCommands(calls), createEventBus());
+
+    expect(handleEmbedMessage(api, { type: "other" })).toBeNull();
+    expect(
+      handleEmbedMessage(api, { type: MESSAGE_COMMAND, id: 1, command: "seek", args: [83] }),
+    ).toMatchObject({ id: 1, ok: true });
+    expect(calls).toEqual([["seek", 83]]);
+
+    expect(
+      handleEmbedMessage(api, { type: MESSAGE_COMMAND, id: 2, command: "selfDestruct" }),
+    ).toMatchObject({ id: 2, ok: false, error: 'unknown command "selfDestruct"' });
+    expect(
+      handleEmbedMessage(api, { type: MESSAGE_COMMAND, id: 3, command: "selectChannel", args: ["nope"] }),
+    ).toMatchObject({ id: 3, ok: false, error: 'unknown channel "nope"' });
+  });
+
+  test("install exposes the global and talks to the parent frame", () => {
+    const calls = [];
+    const bus = createEventBus();
+    const api = createEmbedApi(fakeCommands(calls), bus);
+    const win = fakeFrame();
+    let readyDetail = null;
+    win.addEventListener(EMBED_READY_EVENT, (e) => (readyDetail = e.detail));
+
+    const uninstall = installEmbedApi(api, bus, win);
+    expect(win[EMBED_GLOBAL]).toBe(api);
+    expect(readyDetail).toBe(api);
+    expect(win.parent.messages.at(-1)).toMatchObject({ event: "ready" });
+
+    // Commands from another frame are ignored
+    const command = { type: MESSAGE_COMMAND, id: 7, command: "powerOn" };
+    win.dispatchEvent(new MessageEvent("message", { data: command }));
+    expect(calls).toEqual([]);
+
+    win.dispatchEvent(messageFrom(win, OWN_ORIGIN, command));
+    expect(calls).toEqual([["powerOn"]]);
+    expect(win.parent.messages.at(-1)).toMatchObject({ id: 7, ok: true });
+
+    bus.emit("channelChanged", { channel: "crash", index: 0 });
+    expect(win.parent.messages.at(-1)).toEqual({
+      type: "ps1:event",
+      event: "channelChanged",
+      detail: { channel: "crash", index: 0 },
+    });
+
+    uninstall();
+    expect(win[EMBED_GLOBAL]).toBeUndefined();
+    bus.emit("ended", {});
+    expect(win.parent.messages.at(-1).event).toBe("channelChanged");
+  });
+
+  test("allowed origins are parsed from a comma-separated list", () => {
+    expect(parseAllowedOrigins(undefined)).toEqual([]);
+    expect(parseAllowedOrigins("")).toEqual([]);
+    expect(parseAllowedOrigins(" https://a.example/, https://b.example ,")).toEqual([
+      "https://a.example",
+      "https://b.example",
+    ]);
+  });
+
+  test("restricted origins: other parents can't drive the scene", () => {
+    const calls = [];
+    const bus = createEventBus();
+    const api = createEmbedApi(fakeCommands(calls), bus);
+    const win = fakeFrame();
+    const allowedOrigins = ["https://a.example", "https://b.example"];
+    const uninstall = installEmbedApi(api, bus, win, { allowedOrigins });
+
+    // Events (starting with ready) only go to the allowed origins
+    expect(win.parent.targets).toEqual(allowedOrigins);
+
+    const command = { type: MESSAGE_COMMAND, id: 1, command: "powerOn" };
+    win.dispatchEvent(messageFrom(win, "https://evil.example", command));
+    expect(calls).toEqual([]);
+
+    win.dispatchEvent(messageFrom(win, "https://b.example", command));
+    expect(calls).toEqual([["powerOn"]]);
+    expect(win.parent.messages.at(-1)).toMatchObject({ id: 1, ok: true });
+    expect(win.parent.targets.at(-1)).toBe("https://b.example");
+
+    uninstall();
+  });
+
+  test("by default only a parent on the same origin is answered", () => {
+    const calls = [];
+    const bus = createEventBus();
+    const api = createEmbedApi(fakeCommands(calls), bus);
+    const win = fakeFrame();
+    const uninstall = installEmbedApi(api, bus, win);
+
+    expect(win.parent.targets).toEqual([OWN_ORIGIN]);
+    const command = { type: MESSAGE_COMMAND, id: 1, command: "powerOn" };
+    win.dispatchEvent(messageFrom(win, "https://anyone.example", command));
+    expect(calls).toEqual([]);
+
+    win.dispatchEvent(messageFrom(win, OWN_ORIGIN, command));
+    expect(calls).toEqual([["powerOn"]]);
+    expect(win.parent.targets.at(-1)).toBe(OWN_ORIGIN);
+
+    uninstall();
+  });
+
+  test('"*" opens the API to any parent origin', () => {
+    const calls = [];
+    const bus = createEventBus();
+    const api = createEmbedApi(fakeCommands(calls), bus);
+    const win = fakeFrame();
+    const uninstall = installEmbedApi(api, bus, win, { allowedOrigins: ["*"] });
+
+    expect(win.parent.targets).toEqual(["*"]);
+    const command = { type: MESSAGE_COMMAND, id: 2, command: "powerOn" };
+    win.dispatchEvent(messageFrom(win, "https://anyone.example", command));
+    expect(calls).toEqual([["powerOn"]]);
+    expect(win.parent.targets.at(-1)).toBe("https://anyone.example");
+
+    uninstall();
+  });
+});
@@ -0,0 +1,120 @@
+import { test, expect } from "@playwright/test";
+import { DEFAULT_UI_VOLUME, createFoley } from "../src/lib/foley.js";
+
+function fakeParam(value = 0) {
+  return {
+    value,
+    setValueAtTime(v) {
+      this.value = v;
+    },
+    linearRampToValueAtTime(v) {
+      this.value = v;
+    },
+    exponentialRampToValueAtTime(v) {
+      this.value = v;
+    },
+    setTargetAtTime(v) {
+      this.value = v;
+    },
+    cancelScheduledValues() {},
+  };
+}
+
+function fakeContext() {
+  const context = {
+    currentTime: 0,
+    sampleRate: 100,
+    started: [],
+    stopped: [],
+    destination: {},
+  };
+  const node = (kind, extra = {}) => ({
+    kind,
+    connect: (target) => target,
+    start() {
+      context.started.push(kind);
+    },
+    stop() {
+      context.stopped.push(kind);
+    },
+    ...extra,
+  });
+  Object.assign(context, {
+    createGain: () => node("gain", { gain: fakeParam(1) }),
+    createBiquadFilter: () =>
+      node("filter", { frequency: fakeParam(350), Q: fakeParam(1) }),
+    createOscillator: () => node("oscillator", { frequency: fakeParam(440) }),
+    createBufferSource: () => node("noise"),
+    createBuffer: (channels, length) => {
+      const data = new Float32Array(length);
+      return { getChannelData: () => data };
+    },
+  });
+  return context;
+}
+
+test.describe("foley", () => {
+  test("nothing is created before sound is allowed", () => {
+    let allowed = false;
+    let asked = 0;
+    const context = fakeContext();
+    const foley = createFoley({
+      canStart: () => allowed,
+      getContext: () => {
+        asked += 1;
+        return context;
+      },
+    });
+
+    foley.play("click");
+    foley.hold("room", true);
+    expect(asked).toBe(0);
+
+    // First gesture: the held room tone starts, one-shots play from now on
+    allowed = true;
+    foley.resume();
+    expect(context.started).toEqual(["noise"]);
+    foley.play("click");
+    expect(context.started).toEqual(["noise", "noise", "oscillator"]);
+  });
+
+  test("held sounds start once and stop when released", () => {
+    const context = fakeContext();
+    const foley = createFoley({ canStart: () => true, getContext: () => context });
+
+    foley.hold("whine", true);
+    foley.hold("whine", true);
+    foley.play("degauss");
+    expect(context.started.filter((kind) => kind === "oscillator")).toHaveLength(3);
+
+    foley.hold("whine", false);
+    expect(context.stopped).toContain("oscillator");
+    const stops = context.stopped.length;
+    foley.hold("whine", false);
+    expect(context.stopped).toHaveLength(stops);
+  });
+
+  test("the SFX level sets the master gain", () => {
+    const context = fakeContext();
+    const gains = [];
+    const createGain = context.createGain;
+    context.createGain = () => {
+      const gain = createGain();
+      gains.push(gain);
+      return gain;
+    };
+    const foley = createFoley({ canStart: () => true, getContext: () => context });
+
+    foley.play("click");
+    const [master] = gains;
+    expect(master.gain.value).toBe(DEFAULT_UI_VOLUME);
+    foley.setLevel(0.2);
+    expect(master.gain.value).toBe(0.2);
+  });
+
+  test("unknown sounds are a programming error", () => {
+    const foley = createFoley({ canStart: () => false });
+    expect(() => foley.play("boing")).toThrow(/Unknown foley sound "boing"/);
+    expect(() => foley.hold("click", true)).toThrow(/Unknown foley sound/);
+  });
+});
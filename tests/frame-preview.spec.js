@@ -0,0 +1,108 @@
+import { test, expect } from "@playwright/test";
+import { createFramePreview } from "../src/lib/framePreview.js";
+
+// A video element that records seeks; the test fires its events
+function fakeVideo() {
+  const listeners = {};
+  let time = 0;
+  return {
+    readyState: 0,
+    seeks: [],
+    get currentTime() {
+      return time;
+    },
+    // Seeking an empty element only moves the start position
+    set currentTime(value) {
+      if (this.readyState > 0) this.seeks.push(value);
+      time = value;
+    },
+    addEventListener(type, fn) {
+      listeners[type] = fn;
+    },
+    removeEventListener(type, fn) {
+      if (listeners[type] === fn) delete listeners[type];
+    },
+    removeAttribute() {},
+    load() {},
+    fire(type) {
+      if (type === "loadeddata") this.readyState = 2;
+      listeners[type]?.();
+    },
+  };
+}
+
+function setup() {
+  const video = fakeVideo();
+  const drawn = [];
+  const canvas = {
+    width: 160,
+    height: 120,
+    getContext: () => ({ drawImage: (v) => drawn.push(v.currentTime) }),
+  };
+  const preview = createFramePreview("/video.webm", canvas, {
+    createVideo: () => video,
+  });
+  return { video, drawn, preview };
+}
+
+test.describe("frame preview", () => {
+  test("waits for the first frame before seeking", () => {
+    const { video, drawn, preview } = setup();
+
+    preview.request(12.2);
+    expect(video.seeks).toEqual([]);
+
+    video.fire("loadeddata");
+    expect(video.seeks).toEqual([12]);
+    video.fire("seeked");
+    expect(drawn).toEqual([12]);
+  });
+
+  test("draws straight away when the video is already at the time", () => {
+    const { video, drawn, preview } = setup();
+    video.fire("loadeddata");
+
+    preview.request(0.1);
+    expect(video.seeks).toEqual([]);
+    expect(drawn).toEqual([0]);
+
+    // And the next request still seeks
+    preview.request(5);
+    expect(video.seeks).toEqual([5]);
+  });
+
+  test("coalesces requests made during a seek", () => {
+    const { video, drawn, preview } = setup();
+    video.fire("loadeddata");
+
+    preview.request(10);
+    preview.request(20);
+    preview.request(30);
+    expect(video.seeks).toEqual([10]);
+    video.fire("seeked");
+    expect(video.seeks).toEqual([10, 30]);
+    video.fire("seeked");
+    expect(drawn).toEqual([10, 30]);
+
+    // The frame on the canvas is not fetched again
+    preview.request(30.1);
+    expect(video.seeks).toEqual([10, 30]);
+  });
+
+  test("a video that fails to load stops the preview", () => {
+    const { video, drawn, preview } = setup();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      preview.request(10);
+      video.fire("error");
+    } finally {
+      console.warn = warn;
+    }
+
+    video.fire("loadeddata");
+    preview.request(20);
+    expect(video.seeks).toEqual([]);
+    expect(drawn).toEqual([]);
+  });
+});
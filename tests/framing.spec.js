@@ -0,0 +1,48 @@
+import { test, expect } from "@playwright/test";
+import { PORTRAIT_LIFT, closeupFraming } from "../src/lib/framing.js";
+
+// A 0.4 × 0.3 screen, 0.1 deep, centred at (0, 1, 0)
+const SCREEN = {
+  min: { x: -0.2, y: 0.85, z: -0.05 },
+  max: { x: 0.2, y: 1.15, z: 0.05 },
+};
+const FOV = 35;
+const tanHalf = Math.tan((FOV * Math.PI) / 360);
+
+// Fraction of the frame's height / width the screen covers
+function coverage(framing, aspect) {
+  const visibleHeight = 2 * (framing.distance - 0.05) * tanHalf;
+  return { height: 0.3 / visibleHeight, width: 0.4 / (visibleHeight * aspect) };
+}
+
+test.describe("close-up framing", () => {
+  test("wide windows fit the height, leaving the margin above and below", () => {
+    const framing = closeupFraming(SCREEN, 21 / 9, { fov: FOV, margin: 0.25 });
+    const { height, width } = coverage(framing, 21 / 9);
+    expect(height).toBeCloseTo(0.5);
+    expect(width).toBeLessThan(0.5);
+    expect(framing.target).toEqual([0, 1, 0]);
+  });
+
+  test("narrow windows fit the width instead", () => {
+    const framing = closeupFraming(SCREEN, 1, { fov: FOV, margin: 0.25 });
+    const { height, width } = coverage(framing, 1);
+    expect(width).toBeCloseTo(0.5);
+    expect(height).toBeLessThan(0.5);
+  });
+
+  test("portrait aims below the screen to clear the panel", () => {
+    const framing = closeupFraming(SCREEN, 9 / 16, { fov: FOV, margin: 0.35 });
+    const lift = PORTRAIT_LIFT * framing.distance * tanHalf;
+    expect(framing.target[1]).toBeCloseTo(1 - lift);
+    expect(framing.position[1]).toBeCloseTo(1.03 - lift);
+    // The screen still fits above the middle of the frame
+    expect(lift + 0.15).toBeLessThan(framing.distance * tanHalf);
+  });
+
+  test("a smaller margin moves the camera closer", () => {
+    const loose = closeupFraming(SCREEN, 16 / 9, { fov: FOV, margin: 0.4 });
+    const tight = closeupFraming(SCREEN, 16 / 9, { fov: FOV, margin: 0.1 });
+    expect(tight.distance).toBeLessThan(loose.distance);
+  });
+});
@@ -0,0 +1,88 @@
+import { test, expect } from "@playwright/test";
+import {
+  PAD_BUTTONS,
+  applyDeadzone,
+  createGamepadPoller,
+} from "../src/lib/gamepad.js";
+
+function mockPad({ index = 0, pressed = [], axes = [0, 0, 0, 0] } = {}) {
+  const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+  for (const name of pressed) {
+    buttons[PAD_BUTTONS[name]] = { pressed: true, value: 1 };
+  }
+  return { id: `Mock DualShock ${index}`, index, connected: true, buttons, axes };
+}
+
+test.describe("gamepad poller", () => {
+  test("fires an action once per press, not while held", () => {
+    let pads = [mockPad()];
+    const poller = createGamepadPoller({ getGamepads: () => pads });
+
+    expect(poller.poll().actions).toEqual([]);
+    pads = [mockPad({ pressed: ["cross"] })];
+    expect(poller.poll().actions).toEqual(["playPause"]);
+    expect(poller.poll().actions).toEqual([]);
+    pads = [mockPad()];
+    poller.poll();
+    pads = [mockPad({ pressed: ["cross"] })];
+    expect(poller.poll().actions).toEqual(["playPause"]);
+  });
+
+  test("maps the DualShock layout", () => {
+    let pads = [mockPad()];
+    const poller = createGamepadPoller({ getGamepads: () => pads });
+    poller.poll();
+    pads = [mockPad({ pressed: ["start", "l1", "r1", "left", "right", "select"] })];
+    expect(poller.poll().actions.sort()).toEqual(
+      ["nextChannel", "powerOn", "prevChannel", "seekBack", "seekForward", "togglePanel"].sort(),
+    );
+  });
+
+  test("the button that wakes a pad counts as a press", () => {
+    const poller = createGamepadPoller({
+      getGamepads: () => [mockPad({ pressed: ["start"] })],
+    });
+    expect(poller.poll()).toMatchObject({
+      actions: ["powerOn"],
+      connected: ["Mock DualShock 0"],
+      count: 1,
+    });
+  });
+
+  test("reports connect and disconnect", () => {
+    let pads = [null, mockPad({ index: 1 })];
+    const poller = createGamepadPoller({ getGamepads: () => pads });
+    expect(poller.poll()).toMatchObject({ connected: ["Mock DualShock 1"], count: 1 });
+    expect(poller.poll()).toMatchObject({ connected: [], disconnected: [] });
+    pads = [null, null];
+    expect(poller.poll()).toMatchObject({
+      disconnected: ["Mock DualShock 1"],
+      count: 0,
+    });
+  });
+
+  test("stick has a deadzone and the further-tilted stick wins", () => {
+    expect(applyDeadzone(0.1)).toBe(0);
+    expect(applyDeadzone(1)).toBe(1);
+    expect(applyDeadzone(-1)).toBe(-1);
+
+    const poller = createGamepadPoller({
+      getGamepads: () => [mockPad({ axes: [0.1, 0, 0, -1] })],
+    });
+    expect(poller.poll().stick).toEqual({ x: 0, y: -1 });
+  });
+
+  test("reads navigator.getGamepads by default", () => {
+    const original = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+    Object.defineProperty(globalThis, "navigator", {
+      configurable: true,
+      value: { getGamepads: () => [mockPad({ pressed: ["r1"] })] },
+    });
+    try {
+      expect(createGamepadPoller().poll().actions).toEqual(["nextChannel"]);
+    } finally {
+      if (original) Object.defineProperty(globalThis, "navigator", original);
+      else delete globalThis.navigator;
+    }
+  });
+});
@@ -0,0 +1,66 @@
+import { test, expect } from "@playwright/test";
+import { existsSync } from "node:fs";
+import * as THREE from "three";
+import { HDRLoader } from "three/examples/jsm/loaders/HDRLoader.js";
+import { LIGHTING_ORDER, LIGHTING_PRESETS, nextLighting } from "../src/lib/lighting.js";
+import { encodeHDR, renderEquirect, toRGBE } from "../src/lib/hdri.js";
+
+function decode(bytes) {
+  const loader = new HDRLoader().setDataType(THREE.FloatType);
+  return loader.parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+}
+
+test.describe("HDRI baking", () => {
+  test("RGBE keeps values within the shared exponent's precision", () => {
+    expect(toRGBE(0, 0, 0)).toEqual([0, 0, 0, 0]);
+    expect(toRGBE(1, 0.5, 0.25)).toEqual([128, 64, 32, 129]);
+  });
+
+  test("encoded files decode with three's HDRLoader", () => {
+    const width = 64;
+    const height = 32;
+    const pixels = new Float32Array(width * height * 3);
+    for (let i = 0; i < pixels.length; i += 3) {
+      const col = (i / 3) % width;
+      pixels[i] = col < 20 ? 4 : 0.2; // long runs
+      pixels[i + 1] = (col % 7) / 7; // literal dumps
+      pixels[i + 2] = 0.5;
+    }
+
+    const data = decode(encodeHDR(pixels, width, height));
+    expect(data.width).toBe(width);
+    expect(data.height).toBe(height);
+    for (let p = 0; p < width * height; p++) {
+      for (let c = 0; c < 3; c++) {
+        expect(data.data[p * 4 + c]).toBeCloseTo(pixels[p * 3 + c], 1);
+      }
+    }
+  });
+
+  test("a panel straight ahead lights the middle of the map", () => {
+    const preset = {
+      sky: { color: "#000000", intensity: 0 },
+      ground: { color: "#000000", intensity: 0 },
+      lights: [{ form: "rect", position: [5, 0, 0], scale: [2, 2], color: "#ffffff", intensity: 3 }],
+    };
+    const width = 32;
+    const height = 16;
+    const pixels = renderEquirect(preset, width, height);
+    const at = (col, row) => pixels[(row * width + col) * 3];
+
+    // +X is u = 0.5 in three's equirect layout
+    expect(at(width / 2, height / 2)).toBeCloseTo(3);
+    expect(at(0, height / 2)).toBe(0);
+    expect(at(width / 2, 0)).toBe(0);
+  });
+
+  test("every preset ships a baked file and cycles in order", () => {
+    for (const id of LIGHTING_ORDER) {
+      const preset = LIGHTING_PRESETS[id];
+      expect(existsSync(new URL(`../public${preset.file}`, import.meta.url))).toBe(true);
+      expect(preset.night).toBeLessThan(preset.day);
+    }
+    expect(nextLighting("studio")).toBe("livingRoom");
+    expect(nextLighting("showroom")).toBe("studio");
+  });
+});
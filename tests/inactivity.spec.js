@@ -0,0 +1,107 @@
+import { test, expect } from "@playwright/test";
+import {
+  ACTIVE,
+  createInactivityManager,
+  watchActivity,
+} from "../src/lib/inactivity.js";
+
+// Timers driven by hand: advance(ms) fires whatever is due
+function fakeTimers() {
+  let now = 0;
+  let nextId = 1;
+  const pending = new Map();
+  return {
+    setTimeout(fn, delay) {
+      pending.set(nextId, { fn, at: now + delay });
+      return nextId++;
+    },
+    clearTimeout(id) {
+      pending.delete(id);
+    },
+    advance(ms) {
+      now += ms;
+      for (const [id, { fn, at }] of [...pending]) {
+        if (at > now) continue;
+        pending.delete(id);
+        fn();
+      }
+    },
+  };
+}
+
+const STAGES = [
+  { name: "attract", after: 60000 },
+  { name: "hint", after: 20000 },
+];
+
+test.describe("inactivity manager", () => {
+  test("walks through the stages while nobody does anything", () => {
+    const timers = fakeTimers();
+    const manager = createInactivityManager(STAGES, { timers });
+    const seen = [];
+    manager.subscribe((stage) => seen.push(stage));
+
+    timers.advance(30000);
+    expect(manager.getSnapshot()).toBe(ACTIVE); // not armed yet
+
+    manager.arm();
+    timers.advance(20000);
+    expect(manager.getSnapshot()).toBe("hint");
+    timers.advance(40000);
+    expect(seen).toEqual(["hint", "attract"]);
+  });
+
+  test("activity starts the countdown over", () => {
+    const timers = fakeTimers();
+    const manager = createInactivityManager(STAGES, { timers });
+    manager.arm();
+
+    timers.advance(50000);
+    manager.poke();
+    expect(manager.getSnapshot()).toBe(ACTIVE);
+    timers.advance(50000);
+    expect(manager.getSnapshot()).toBe("hint");
+    // Arming again doesn't reset a running countdown
+    manager.arm();
+    timers.advance(10000);
+    expect(manager.getSnapshot()).toBe("attract");
+  });
+
+  test("disarmed, nothing happens; stages without a delay are skipped", () => {
+    const timers = fakeTimers();
+    const manager = createInactivityManager(
+      [
+        { name: "hint", after: 1000 },
+        { name: "attract", after: Infinity },
+      ],
+      { timers },
+    );
+    manager.arm();
+    timers.advance(1000);
+    manager.disarm();
+    expect(manager.getSnapshot()).toBe(ACTIVE);
+    timers.advance(100000);
+    expect(manager.getSnapshot()).toBe(ACTIVE);
+
+    manager.arm();
+    timers.advance(100000);
+    expect(manager.getSnapshot()).toBe("hint");
+  });
+
+  test("page events count as activity", () => {
+    const timers = fakeTimers();
+    const manager = createInactivityManager(STAGES, { timers });
+    const target = new EventTarget();
+    const stop = watchActivity(target, manager);
+    manager.arm();
+
+    timers.advance(20000);
+    target.dispatchEvent(new Event("keydown"));
+    expect(manager.getSnapshot()).toBe(ACTIVE);
+
+    stop();
+    timers.advance(20000);
+    target.dispatchEvent(new Event("pointermove"));
+    expect(manager.getSnapshot()).toBe("hint");
+  });
+});
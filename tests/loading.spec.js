@@ -0,0 +1,47 @@
+import { test, expect } from "@playwright/test";
+
+// Browser test: the loading screen in front of the scene, and RETRY after
+// the model fails to download
+const MODEL = "**/playstationconpantallalista.glb";
+
+test.describe("loading screen", () => {
+  test("shows progress, then gives way to the scene", async ({ page }) => {
+    // Held back a second, so the screen can't flash past on a warm cache
+    await page.route(MODEL, async (route) => {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      await route.continue();
+    });
+    await page.goto("http://localhost:5173/");
+    await expect(page.getByRole("progressbar", { name: "Loading" })).toBeVisible();
+    await expect(page.getByTestId("loading-screen")).toBeHidden({ timeout: 30000 });
+    await expect(page.locator("canvas")).toBeVisible();
+  });
+
+  test("a failed model download can be retried", async ({ page }) => {
+    await page.route(MODEL, (route) => route.abort());
+    await page.goto("http://localhost:5173/");
+
+    const alert = page.getByRole("alert");
+    await expect(alert).toBeVisible({ timeout: 30000 });
+    await expect(alert).toContainText("playstationconpantallalista.glb");
+
+    await page.unroute(MODEL);
+    await alert.getByRole("button", { name: "RETRY" }).click();
+    await expect(page.getByTestId("loading-screen")).toBeHidden({ timeout: 30000 });
+    await expect(page.locator("canvas")).toBeVisible();
+  });
+
+  test("a failed catalog download can be retried", async ({ page }) => {
+    await page.route("**/videos.json", (route) => route.abort());
+    await page.goto("http://localhost:5173/");
+
+    const alert = page.getByRole("alert");
+    await expect(alert).toBeVisible({ timeout: 30000 });
+    await expect(alert).toContainText("videos.json");
+
+    await page.unroute("**/videos.json");
+    await alert.getByRole("button", { name: "RETRY" }).click();
+    await expect(page.getByTestId("loading-screen")).toBeHidden({ timeout: 30000 });
+    await expect(page.locator("canvas")).toBeVisible();
+  });
+});
@@ -0,0 +1,94 @@
+import { test, expect, devices } from "@playwright/test";
+import {
+  MAX_DISTANCE_SCALE,
+  aspectDistanceScale,
+  createSwipeTracker,
+  scaledPosition,
+  swipeAction,
+} from "../src/lib/mobile.js";
+
+// The layout tests below run in a phone-emulated browser (portrait
+// Pixel 7: touch, no hover)
+
+test.describe("mobile helpers", () => {
+  test("narrow windows back the camera off, wide ones don't", () => {
+    expect(aspectDistanceScale(16 / 9)).toBe(1);
+    expect(aspectDistanceScale(2 / 3)).toBeCloseTo(2);
+    expect(aspectDistanceScale(0.3)).toBe(MAX_DISTANCE_SCALE);
+    expect(scaledPosition([0, 2, 4], [0, 1, 0], 2)).toEqual([0, 3, 8]);
+  });
+
+  test("swipes map to gamepad actions", () => {
+    expect(swipeAction(120, 10, 200)).toBe("seekForward");
+    expect(swipeAction(-120, 30, 200)).toBe("seekBack");
+    expect(swipeAction(20, -120, 200)).toBe("nextChannel");
+    expect(swipeAction(0, 120, 200)).toBe("prevChannel");
+    expect(swipeAction(30, 0, 200)).toBeNull(); // too short
+    expect(swipeAction(200, 0, 1500)).toBeNull(); // too slow
+  });
+
+  test("a second finger cancels the swipe; mice are ignored", () => {
+    const swipe = createSwipeTracker();
+    const touch = (pointerId, clientX, timeStamp) => ({
+      pointerType: "touch",
+      pointerId,
+      clientX,
+      clientY: 0,
+      timeStamp,
+    });
+
+    swipe.down(touch(1, 0, 0));
+    expect(swipe.up(touch(1, 100, 100))).toBe("seekForward");
+
+    swipe.down(touch(1, 0, 0));
+    swipe.down(touch(2, 50, 10));
+    expect(swipe.up(touch(1, 100, 100))).toBeNull();
+    expect(swipe.up(touch(2, 150, 100))).toBeNull();
+    swipe.down({ ...touch(3, 0, 0), pointerType: "mouse" });
+    expect(swipe.up({ ...touch(3, 100, 100), pointerType: "mouse" })).toBeNull();
+  });
+});
+
+// Browser: deep link into the close-up with the panel shown
+const PANEL_URL = "http://localhost:5173/?view=closeup&ch=winning&panel=shown";
+
+test.describe("phone layout", () => {
+  const { defaultBrowserType: _browser, ...pixel } = devices["Pixel 7"];
+  test.use(pixel);
+
+  test("the panel fits the screen and starts collapsed", async ({ page }) => {
+    await page.goto(PANEL_URL);
+    const panel = page.getByRole("region", { name: "Video controls" });
+    await expect(panel).toBeVisible({ timeout: 30000 });
+
+    const box = await panel.boundingBox();
+    const viewport = page.viewportSize();
+    expect(box.x).toBeGreaterThanOrEqual(0);
+    expect(box.x + box.width).toBeLessThanOrEqual(viewport.width);
+
+    const volume = panel.getByRole("slider", { name: "Volume" });
+    await expect(volume).toBeHidden();
+    await panel.getByRole("button", { name: "More controls" }).tap();
+    await expect(volume).toBeVisible();
+  });
+
+  test("tap-only screens get no hover styles", async ({ page }) => {
+    await page.goto(PANEL_URL);
+    expect(await page.evaluate(() => matchMedia("(hover: hover)").matches)).toBe(false);
+  });
+
+  test("swiping up on the TV changes channel", async ({ page }) => {
+    await page.goto(PANEL_URL);
+    await expect(page.getByRole("region", { name: "Video controls" })).toBeVisible({
+      timeout: 30000,
+    });
+
+    const canvas = page.locator("canvas").first();
+    const { width, height } = page.viewportSize();
+    const touch = { pointerType: "touch", pointerId: 7, isPrimary: true, bubbles: true };
+    await canvas.dispatchEvent("pointerdown", { ...touch, clientX: width / 2, clientY: height / 2 });
+    await canvas.dispatchEvent("pointerup", { ...touch, clientX: width / 2, clientY: height / 4 });
+
+    await expect(page.getByRole("status")).toContainText("channel 2");
+  });
+});
@@ -0,0 +1,70 @@
+import { test, expect } from "@playwright/test";
+import {
+  DEFAULT_PLAYBACK_MODE,
+  PLAYBACK_MODES,
+  createPlaylist,
+  nextPlaybackMode,
+  shuffled,
+  startedVideo,
+  toggleQueued,
+  upNext,
+} from "../src/lib/playlist.js";
+
+// Always picks the first remaining slot: shuffled([0..n]) → [1..n, 0]
+const first = () => 0;
+
+test.describe("playlist", () => {
+  test("the mode button cycles through every mode and wraps", () => {
+    let mode = DEFAULT_PLAYBACK_MODE;
+    const seen = [];
+    for (let i = 0; i < PLAYBACK_MODES.length; i++) {
+      mode = nextPlaybackMode(mode);
+      seen.push(mode);
+    }
+    expect(seen).toEqual(["repeatOne", "shuffle", "stopAfter", "repeatAll"]);
+  });
+
+  test("each mode picks what plays next", () => {
+    const playlist = createPlaylist(4, { random: first });
+    expect(playlist.order).toEqual([1, 2, 3, 0]);
+
+    expect(upNext(playlist, 3, 4)).toBe(0); // repeat all wraps around
+    expect(upNext({ ...playlist, mode: "repeatOne" }, 2, 4)).toBe(2);
+    expect(upNext({ ...playlist, mode: "shuffle" }, 1, 4)).toBe(2);
+    expect(upNext({ ...playlist, mode: "stopAfter" }, 1, 4)).toBeNull();
+  });
+
+  test("queued games come first, in order, and can be taken out", () => {
+    let playlist = createPlaylist(4, { mode: "repeatOne", random: first });
+    playlist = toggleQueued(playlist, 3);
+    playlist = toggleQueued(playlist, 0);
+    expect(playlist.queue).toEqual([3, 0]);
+    expect(upNext(playlist, 1, 4)).toBe(3);
+
+    playlist = toggleQueued(playlist, 3);
+    expect(playlist.queue).toEqual([0]);
+    expect(upNext(playlist, 1, 4)).toBe(0);
+    // Stop after current wins over the queue
+    expect(upNext({ ...playlist, mode: "stopAfter" }, 1, 4)).toBeNull();
+  });
+
+  test("a game that starts leaves the queue and the shuffle pass", () => {
+    let playlist = toggleQueued(createPlaylist(3, { random: first }), 2);
+    playlist = startedVideo(playlist, 2, 3, first);
+    expect(playlist.queue).toEqual([]);
+    expect(playlist.order).toEqual([1, 0]);
+
+    playlist = startedVideo(playlist, 1, 3, first);
+    playlist = startedVideo(playlist, 0, 3, first);
+    // Pass over: a new one without the game playing now
+    expect(playlist.order).toEqual([2, 1]);
+    expect(upNext({ ...playlist, mode: "shuffle" }, 0, 3)).toBe(2);
+  });
+
+  test("shuffle never repeats the current game unless it's the only one", () => {
+    expect(shuffled([0, 1, 2], () => 0.99)).toEqual([0, 1, 2]);
+    const playlist = { mode: "shuffle", queue: [], order: [1] };
+    expect(upNext(playlist, 1, 1)).toBe(1);
+    expect(upNext({ ...playlist, order: [1, 0] }, 1, 2)).toBe(0);
+  });
+});
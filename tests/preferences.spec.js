@@ -0,0 +1,161 @@
+import { test, expect } from "@playwright/test";
+import {
+  DEFAULT_PREFERENCES,
+  PREFS_STORAGE_KEY,
+  PREFS_VERSION,
+  RESUME_MAX_AGE,
+  clearPreferences,
+  loadPreferences,
+  migratePreferences,
+  resetAllPreferences,
+  resumeOffer,
+  resumePoint,
+  updatePreferences,
+} from "../src/lib/preferences.js";
+
+// localStorage stand-in; `initial` is what a previous visit left behind
+function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+const LAYOUTS = ["rightTransport", "topRightPair"];
+
+test.describe("preferences", () => {
+  test("defaults when nothing (or garbage) is stored", () => {
+    expect(loadPreferences({ storage: memoryStorage() })).toEqual(DEFAULT_PREFERENCES);
+    const storage = memoryStorage({ [PREFS_STORAGE_KEY]: "{not json" });
+    expect(loadPreferences({ storage })).toEqual(DEFAULT_PREFERENCES);
+    expect(loadPreferences({ storage: null })).toEqual(DEFAULT_PREFERENCES);
+  });
+
+  test("updates merge into what is stored", () => {
+    const storage = memoryStorage();
+    updatePreferences({ volume: 0.4, muted: true }, { storage });
+    updatePreferences({ actionLayout: "topRightPair" }, { storage });
+
+    expect(JSON.parse(storage.getItem(PREFS_STORAGE_KEY)).version).toBe(PREFS_VERSION);
+    expect(loadPreferences({ storage, layouts: LAYOUTS })).toMatchObject({
+      volume: 0.4,
+      muted: true,
+      actionLayout: "topRightPair",
+    });
+  });
+
+  test("bad fields fall back one by one", () => {
+    const stored = {
+      version: PREFS_VERSION,
+      volume: 7,
+      muted: "yes",
+      crtSpeaker: "on",
+      actionLayout: "sideways",
+      channel: "winning",
+      resume: { channel: "winning", time: "soon", savedAt: 1 },
+    };
+    const storage = memoryStorage({ [PREFS_STORAGE_KEY]: JSON.stringify(stored) });
+    expect(loadPreferences({ storage, layouts: LAYOUTS })).toEqual({
+      ...DEFAULT_PREFERENCES,
+      volume: 1,
+      channel: "winning",
+    });
+  });
+
+  test("migrations run in order; unknown versions are discarded", () => {
+    const migrations = {
+      0: ({ vol, ...rest }) => ({ ...rest, volume: vol }),
+    };
+    // Pretend version 0 stored the level as `vol`
+    expect(migratePreferences({ version: 0, vol: 0.3 }, migrations)).toEqual({
+      version: PREFS_VERSION,
+      volume: 0.3,
+    });
+    expect(migratePreferences({ version: 0, vol: 0.3 }, {})).toBeNull();
+    expect(migratePreferences({ version: PREFS_VERSION + 1 })).toBeNull();
+    expect(migratePreferences({ volume: 0.3 })).toBeNull();
+  });
+
+  test("reset all forgets the channel and resume point only", () => {
+    const storage = memoryStorage();
+    updatePreferences(
+      {
+        volume: 0.5,
+        muted: true,
+        crtSpeaker: true,
+        actionLayout: "topRightPair",
+        channel: "winning",
+        resume: { channel: "winning", time: 42, savedAt: 1 },
+      },
+      { storage },
+    );
+    expect(resetAllPreferences({ storage })).toEqual({
+      ...DEFAULT_PREFERENCES,
+      volume: 0.5,
+      muted: true,
+      crtSpeaker: true,
+      actionLayout: "topRightPair",
+    });
+
+    clearPreferences({ storage });
+    expect(storage.getItem(PREFS_STORAGE_KEY)).toBeNull();
+  });
+
+  test("resume points skip the ends of the video and stale entries", () => {
+    expect(resumePoint("a", 2, 100, 10)).toBeNull();
+    expect(resumePoint("a", 97, 100, 10)).toBeNull();
+    expect(resumePoint("a", 42, 100, 10)).toEqual({ channel: "a", time: 42, savedAt: 10 });
+
+    const videos = [{ id: "a" }, { id: "b" }];
+    const prefs = { resume: { channel: "b", time: 42, savedAt: 10 } };
+    expect(resumeOffer(prefs, videos, 20)).toEqual({ index: 1, time: 42 });
+    expect(resumeOffer(prefs, videos, 11 + RESUME_MAX_AGE)).toBeNull();
+    expect(resumeOffer(prefs, [{ id: "a" }], 20)).toBeNull();
+  });
+});
+
+// Browser: two channels that share the one bundled video
+const CATALOG = {
+  videos: ["first", "second"].map((id) => ({
+    id,
+    label: id.toUpperCase(),
+    src: "/winning-eleven.webm",
+    cover: "/cover-winning.webp",
+  })),
+};
+
+test.describe("saved channel in the scene", () => {
+  test("a playlist that stops after the current video keeps the channel", async ({ page }) => {
+    await page.route("**/videos.json", (route) => route.fulfill({ json: CATALOG }));
+    await page.goto("http://localhost:5173/?view=closeup&ch=first&panel=shown");
+    const sceneState = () => page.evaluate(() => window.PS1Showcase?.getState());
+    await expect.poll(async () => (await sceneState())?.state, { timeout: 30000 }).toBe("playing");
+
+    await page.evaluate(() => window.PS1Showcase.selectChannel("second"));
+    await expect
+      .poll(async () => {
+        const { state, channel } = await sceneState();
+        return `${state} ${channel}`;
+      }, { timeout: 30000 })
+      .toBe("playing second");
+
+    // Repeat all → repeat one → shuffle → stop after current
+    const mode = page.getByRole("button", { name: /^Playback mode/ });
+    for (let i = 0; i < 3; i++) await mode.click();
+    await expect(mode).toHaveAccessibleName("Playback mode: Stop after current");
+    await page.evaluate(() => {
+      const { duration } = window.PS1Showcase.getState();
+      window.PS1Showcase.seek(duration - 0.5);
+    });
+
+    await expect.poll(async () => (await sceneState()).state, { timeout: 30000 }).toBe("idle");
+    const saved = await page.evaluate(
+      (key) => JSON.parse(localStorage.getItem(key)),
+      PREFS_STORAGE_KEY,
+    );
+    expect(saved.channel).toBe("second");
+    expect((await sceneState()).channel).toBe("second");
+  });
+});
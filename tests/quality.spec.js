@@ -0,0 +1,81 @@
+import { test, expect } from "@playwright/test";
+import {
+  AUTO_START_TIER,
+  QUALITY_MODES,
+  UPGRADE_AFTER,
+  WINDOW_FRAMES,
+  createQualityGovernor,
+  nextQualityMode,
+} from "../src/lib/quality.js";
+
+const feedWindow = (governor, ms) => {
+  for (let i = 0; i < WINDOW_FRAMES; i++) governor.sample(ms);
+};
+
+test.describe("quality governor", () => {
+  test("auto starts mid-range and steps down after one slow window", () => {
+    const governor = createQualityGovernor();
+    expect(governor.getSnapshot()).toEqual({
+      mode: "auto",
+      tier: AUTO_START_TIER,
+      fps: null,
+    });
+
+    feedWindow(governor, 40);
+    expect(governor.getSnapshot()).toMatchObject({ tier: "low", fps: 25 });
+    // Already at the bottom: stays there
+    feedWindow(governor, 40);
+    expect(governor.getSnapshot().tier).toBe("low");
+  });
+
+  test("steps up only after several fast windows in a row", () => {
+    const governor = createQualityGovernor();
+    for (let i = 0; i < UPGRADE_AFTER - 1; i++) feedWindow(governor, 10);
+    // An in-between window restarts the count
+    feedWindow(governor, 18);
+    for (let i = 0; i < UPGRADE_AFTER - 1; i++) feedWindow(governor, 10);
+    expect(governor.getSnapshot().tier).toBe("medium");
+
+    feedWindow(governor, 10);
+    expect(governor.getSnapshot()).toMatchObject({ tier: "high", fps: 100 });
+  });
+
+  test("a fixed mode measures but never changes tier", () => {
+    const governor = createQualityGovernor({ mode: "high" });
+    feedWindow(governor, 40);
+    expect(governor.getSnapshot()).toEqual({ mode: "high", tier: "high", fps: 25 });
+  });
+
+  test("gaps between frames aren't counted", () => {
+    const governor = createQualityGovernor();
+    for (let i = 0; i < WINDOW_FRAMES * 2; i++) governor.sample(5000);
+    governor.sample(0);
+    expect(governor.getSnapshot().fps).toBeNull();
+  });
+
+  test("switching mode starts a fresh window, auto keeps the tier", () => {
+    const governor = createQualityGovernor();
+    const seen = [];
+    governor.subscribe((snapshot) => seen.push(snapshot.tier));
+
+    for (let i = 0; i < WINDOW_FRAMES - 1; i++) governor.sample(40);
+    governor.setMode("low");
+    governor.setMode("auto");
+    expect(seen).toEqual(["low", "low"]);
+    governor.sample(40);
+    expect(governor.getSnapshot().fps).toBeNull();
+
+    governor.setMode("ultra");
+    expect(governor.getSnapshot().mode).toBe("auto");
+  });
+
+  test("the Q key cycles through every mode", () => {
+    let mode = QUALITY_MODES[0];
+    const visited = [];
+    for (let i = 0; i < QUALITY_MODES.length; i++) {
+      mode = nextQualityMode(mode);
+      visited.push(mode);
+    }
+    expect(visited).toEqual(["high", "medium", "low", "auto"]);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, expect } from "@playwright/test";
+import { createRenderStats } from "../src/lib/renderStats.js";
+
+test.describe("render stats", () => {
+  test("counts frames and tells a run from a restart", () => {
+    const stats = createRenderStats();
+    const seen = [];
+    stats.subscribe(({ frames }) => seen.push(frames));
+
+    expect(stats.isStopped()).toBe(true);
+    // An animation: the first frame starts the loop, the next follow it
+    expect([stats.frame(), stats.frame(), stats.frame()]).toEqual([
+      false,
+      true,
+      true,
+    ]);
+    expect(stats.isStopped()).toBe(false);
+
+    // Nothing asked for another frame: the next one starts a new run
+    stats.stop();
+    expect(stats.isStopped()).toBe(true);
+    expect(stats.frame()).toBe(false);
+    expect(stats.getSnapshot()).toEqual({ frames: 4 });
+    expect(seen).toEqual([1, 2, 3, 4]);
+  });
+
+  test("the idle scene stops rendering until something moves", async ({ page }) => {
+    await page.goto("http://localhost:5173/?debug");
+    const frames = page.getByTestId("frame-count");
+    const count = async () => Number(await frames.textContent());
+    await expect(frames).not.toHaveText("0", { timeout: 30000 });
+
+    // Model, maps and the first settle: then nothing should render
+    await page.waitForTimeout(3000);
+    const idle = await count();
+    await page.waitForTimeout(2000);
+    expect(await count()).toBe(idle);
+
+    // Orbiting asks for frames again (OrbitControls' change events)
+    const box = await page.locator("canvas").first().boundingBox();
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2 + 120, box.y + box.height / 2, {
+      steps: 8,
+    });
+    await page.mouse.up();
+    await expect.poll(count).toBeGreaterThan(idle);
+  });
+});
@@ -0,0 +1,119 @@
+import { test, expect } from "@playwright/test";
+import {
+  createSceneMachine,
+  SCENE_CHART,
+  SCENE_STATES,
+} from "../src/lib/sceneMachine.js";
+
+const silentLogger = { warn: () => {} };
+
+function boot(machine, channel = 0) {
+  machine.send("POWER_ON", { channel });
+  machine.send("ZOOM_COMPLETE");
+  machine.send("VIDEO_READY", { channel });
+}
+
+test.describe("scene state machine", () => {
+  test("chart only targets known states", () => {
+    for (const [state, events] of Object.entries(SCENE_CHART)) {
+      expect(SCENE_STATES).toContain(state);
+      for (const config of Object.values(events)) {
+        const target = typeof config === "string" ? config : config.target;
+        if (typeof target === "string") expect(SCENE_STATES).toContain(target);
+      }
+    }
+  });
+
+  test("runs the click-to-start flow", () => {
+    const machine = createSceneMachine({ logger: silentLogger });
+    expect(machine.getSnapshot().state).toBe("idle");
+    expect(machine.send("POWER_ON", { channel: 0 })).toBe(true);
+    expect(machine.getSnapshot().state).toBe("zoomingIn");
+    machine.send("ZOOM_COMPLETE");
+    expect(machine.getSnapshot().state).toBe("loadingVideo");
+    machine.send("VIDEO_READY", { channel: 0 });
+    expect(machine.getSnapshot().state).toBe("playing");
+  });
+
+  test("rejects and logs a PS1 click during reset", () => {
+    const warnings = [];
+    const machine = createSceneMachine({
+      logger: { warn: (msg) => warnings.push(msg) },
+    });
+    boot(machine);
+    machine.send("RESET");
+
+    expect(machine.send("POWER_ON", { channel: 0 })).toBe(false);
+    expect(machine.getSnapshot().state).toBe("resetting");
+    expect(warnings).toEqual(['[scene] rejected "POWER_ON" in state "resetting"']);
+
+    const last = machine.getSnapshot().history.at(-1);
+    expect(last).toMatchObject({ event: "POWER_ON", rejected: true });
+  });
+
+  test("rejects a double reset", () => {
+    const machine = createSceneMachine({ logger: silentLogger });
+    boot(machine);
+    expect(machine.send("RESET")).toBe(true);
+    expect(machine.send("RESET")).toBe(false);
+    expect(machine.send("ZOOM_OUT_COMPLETE")).toBe(true);
+    expect(machine.getSnapshot().state).toBe("idle");
+  });
+
+  test("ignores a video that arrives for a channel the user left", () => {
+    const machine = createSceneMachine({ logger: silentLogger });
+    boot(machine, 0);
+    machine.send("SWITCH_CHANNEL", { channel: 1 });
+    machine.send("SWITCH_CHANNEL", { channel: 2 });
+
+    expect(machine.send("VIDEO_READY", { channel: 1 })).toBe(false);
+    expect(machine.getSnapshot().state).toBe("switchingChannel");
+    expect(machine.send("VIDEO_READY", { channel: 2 })).toBe(true);
+    expect(machine.getSnapshot().state).toBe("playing");
+  });
+
+  test("hidden panel remembers play/pause and keeps playing underneath", () => {
+    const machine = createSceneMachine({ logger: silentLogger });
+    boot(machine);
+    machine.send("PAUSE");
+    machine.send("HIDE_PANEL");
+    expect(machine.getSnapshot()).toMatchObject({
+      state: "hidden",
+      context: { resumeTo: "paused" },
+    });
+
+    machine.send("PLAY");
+    machine.send("ENDED", { channel: 1 });
+    machine.send("VIDEO_READY", { channel: 1 });
+    expect(machine.getSnapshot().state).toBe("hidden");
+
+    machine.send("SHOW_PANEL");
+    expect(machine.getSnapshot().state).toBe("playing");
+  });
+
+  test("panel dismissed during reset is remembered until idle", () => {
+    const machine = createSceneMachine({ logger: silentLogger });
+    boot(machine);
+    machine.send("RESET");
+    machine.send("HIDE_PANEL");
+    expect(machine.getSnapshot().context.panelHidden).toBe(true);
+    machine.send("ZOOM_OUT_COMPLETE");
+    expect(machine.getSnapshot().context).toMatchObject({
+      panelHidden: false,
+      channel: null,
+    });
+  });
+
+  test("notifies subscribers with a new snapshot", () => {
+    const machine = createSceneMachine({ logger: silentLogger });
+    const seen = [];
+    const unsubscribe = machine.subscribe((snap) => seen.push(snap.state));
+    const before = machine.getSnapshot();
+    machine.send("POWER_ON", { channel: 0 });
+    unsubscribe();
+    machine.send("ZOOM_COMPLETE");
+
+    expect(seen).toEqual(["zoomingIn"]);
+    expect(machine.getSnapshot()).not.toBe(before);
+  });
+});
@@ -0,0 +1,140 @@
+import { test, expect } from "@playwright/test";
+import * as THREE from "three";
+import {
+  CRT_SPEAKER_EQ,
+  SPEAKER_NODE,
+  createTvAudio,
+  findSpeaker,
+} from "../src/lib/tvAudio.js";
+
+function fakeNode(extra = {}) {
+  return {
+    outputs: new Set(),
+    connect(node) {
+      this.outputs.add(node);
+      return node;
+    },
+    disconnect(node) {
+      this.outputs.delete(node);
+    },
+    ...extra,
+  };
+}
+
+const fakeParam = (value) => ({
+  value,
+  setTargetAtTime(target) {
+    this.value = target;
+  },
+});
+
+function fakeContext() {
+  const context = {
+    currentTime: 0,
+    destination: fakeNode(),
+    sourcesCreated: 0,
+    createGain: () => fakeNode({ gain: fakeParam(1) }),
+    createPanner: () => fakeNode(),
+    createBiquadFilter: () =>
+      fakeNode({ frequency: fakeParam(350), Q: fakeParam(1), gain: fakeParam(0) }),
+    createMediaElementSource(element) {
+      context.sourcesCreated += 1;
+      return fakeNode({ mediaElement: element });
+    },
+  };
+  return context;
+}
+
+test.describe("tv audio", () => {
+  test("without WebAudio the level goes to the video element", () => {
+    const tvAudio = createTvAudio({ level: 0.5, getContext: () => null });
+    const video = { volume: 1 };
+    tvAudio.connect(video);
+    expect(video.volume).toBe(0.5);
+    tvAudio.setLevel(0);
+    expect(video.volume).toBe(0);
+    expect(tvAudio.getSnapshot()).toBeNull();
+  });
+
+  test("the video plays through the speaker, which owns the level", () => {
+    const context = fakeContext();
+    const tvAudio = createTvAudio({ level: 0.4, getContext: () => context });
+    const seen = [];
+    tvAudio.subscribe((graph) => seen.push(graph));
+
+    const video = { volume: 0.4 };
+    tvAudio.connect(video);
+    const { listener, speaker } = tvAudio.getSnapshot();
+    expect(seen).toHaveLength(1);
+    expect(speaker).toBeInstanceOf(THREE.PositionalAudio);
+    expect(speaker.listener).toBe(listener);
+    expect(speaker.source.mediaElement).toBe(video);
+    expect(speaker.source.outputs.has(speaker.panner)).toBe(true);
+    expect(video.volume).toBe(1);
+    expect(speaker.gain.gain.value).toBe(0.4);
+
+    tvAudio.setLevel(0.8);
+    expect(speaker.gain.gain.value).toBe(0.8);
+    expect(video.volume).toBe(1);
+  });
+
+  test("each element gets one source, kept across channel changes", () => {
+    const context = fakeContext();
+    const tvAudio = createTvAudio({ getContext: () => context });
+    const first = { volume: 1 };
+    const second = { volume: 1 };
+
+    tvAudio.connect(first);
+    const { speaker } = tvAudio.getSnapshot();
+    const firstSource = speaker.source;
+    tvAudio.connect(second);
+    expect(firstSource.outputs.size).toBe(0);
+    // Back to the first channel: drei hands over the same element again
+    tvAudio.connect(first);
+    expect(speaker.source).toBe(firstSource);
+    expect(context.sourcesCreated).toBe(2);
+  });
+
+  test("the CRT speaker EQ goes in and out of the chain", () => {
+    const context = fakeContext();
+    const tvAudio = createTvAudio({ getContext: () => context });
+    // Chosen before any video: applied when the graph is built
+    tvAudio.setLofi(true);
+    tvAudio.connect({ volume: 1 });
+    const { speaker, eq } = tvAudio.getSnapshot();
+
+    expect(eq.map((filter) => filter.type)).toEqual(
+      CRT_SPEAKER_EQ.map((band) => band.type),
+    );
+    expect(speaker.source.outputs.has(eq[0])).toBe(true);
+    expect(eq.at(-1).outputs.has(speaker.panner)).toBe(true);
+
+    tvAudio.setLofi(false);
+    expect(speaker.source.outputs.has(eq[0])).toBe(false);
+    expect(speaker.source.outputs.has(speaker.panner)).toBe(true);
+  });
+
+  test("the speaker sits on its Blender empty, else on the TV's front", () => {
+    const root = new THREE.Group();
+    root.position.set(1, 0, 0);
+    const tv = new THREE.Mesh(
+      new THREE.BoxGeometry(2, 2, 2),
+      new THREE.MeshBasicMaterial({ name: "pvm_case_mat" }),
+    );
+    root.add(tv);
+
+    // Fallback: bottom-centre of the TV's front face
+    const [x, y, z] = findSpeaker(root);
+    expect(x).toBeCloseTo(1);
+    expect(y).toBeCloseTo(-0.76);
+    expect(z).toBeCloseTo(1);
+
+    const empty = new THREE.Object3D();
+    empty.name = SPEAKER_NODE;
+    empty.position.set(0.5, -0.5, 1);
+    root.add(empty);
+    expect(findSpeaker(root)).toEqual([1.5, -0.5, 1]);
+
+    expect(findSpeaker(new THREE.Group())).toBeNull();
+  });
+});
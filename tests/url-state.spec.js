@@ -0,0 +1,83 @@
+import { test, expect } from "@playwright/test";
+import {
+  parseTime,
+  parseUrlState,
+  serializeUrlState,
+} from "../src/lib/urlState.js";
+
+test.describe("URL state", () => {
+  test("parses the supported time formats", () => {
+    expect(parseTime("83")).toBe(83);
+    expect(parseTime("1:23")).toBe(83);
+    expect(parseTime("1m23s")).toBe(83);
+    expect(parseTime("1:02:03")).toBe(3723);
+    expect(parseTime("nonsense")).toBe(0);
+  });
+
+  test("reads a close-up deep link", () => {
+    const state = parseUrlState(
+      "?view=closeup&ch=winning&t=1:23&crt=consumer&scanlines=0.2&panel=hidden&layout=topRightPair&light=livingRoom",
+      { layouts: ["rightTransport", "topRightPair"] },
+    );
+    expect(state).toMatchObject({
+      view: "closeup",
+      videoId: "winning",
+      time: 83,
+      crtPreset: "consumer",
+      crtOverrides: { scanlines: 0.2 },
+      panel: "hidden",
+      layout: "topRightPair",
+      lighting: "livingRoom",
+    });
+  });
+
+  test("ignores unknown values", () => {
+    const state = parseUrlState("?view=sideways&crt=plasma&panel=maybe&light=disco");
+    expect(state.view).toBe("initial");
+    expect(state.crtPreset).toBeNull();
+    expect(state.panel).toBe("auto");
+    expect(state.lighting).toBeNull();
+  });
+
+  test("round-trips and keeps unrelated params", () => {
+    const search = serializeUrlState(
+      {
+        view: "closeup",
+        videoId: "winning",
+        time: 83.7,
+        crtPreset: null,
+        crtOverrides: {},
+        panel: "auto",
+        layout: null,
+      },
+      "?utm_source=mail&t=5",
+    );
+    expect(search).toBe("?utm_source=mail&view=closeup&t=1:23&ch=winning");
+    expect(parseUrlState(search).time).toBe(83);
+  });
+
+  test("reads the kiosk attract delay, but never writes it", () => {
+    expect(parseUrlState("").attract).toBeNull();
+    expect(parseUrlState("?attract").attract).toBe(60);
+    expect(parseUrlState("?attract=1:30").attract).toBe(90);
+    expect(parseUrlState("?attract=off").attract).toBeNull();
+    expect(serializeUrlState({ view: "initial", crtOverrides: {} }, "?attract=90")).toBe(
+      "?attract=90",
+    );
+  });
+
+  test("reads a quality override, but never writes it", () => {
+    expect(parseUrlState("").quality).toBeNull();
+    expect(parseUrlState("?quality=low").quality).toBe("low");
+    expect(parseUrlState("?quality=ultra").quality).toBeNull();
+    expect(
+      serializeUrlState({ view: "initial", crtOverrides: {} }, "?quality=low"),
+    ).toBe("?quality=low");
+  });
+
+  test("a default scene produces an empty query", () => {
+    expect(
+      serializeUrlState({ view: "initial", time: 40, crtOverrides: {} }),
+    ).toBe("");
+  });
+});